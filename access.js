@@ -0,0 +1,311 @@
+/**
+ * StatCoach Volleyball - Team Access Module
+ * Teams, seasons and staff roles. The rules themselves live in the database
+ * (supabase/migrations, row level security); this module mirrors them so pages
+ * can hide what a role can't use and the API can refuse early with a clear error.
+ * Functions that talk to Supabase take the page's (or the API's) client.
+ */
+
+// Staff roles, most access first
+const TEAM_ROLES = {
+    owner: { label: 'Owner', rank: 3, description: 'Manages the team and its staff, plus everything an editor can do' },
+    editor: { label: 'Editor', rank: 2, description: 'Enters and edits games, seasons, roster, goals and practice plans' },
+    viewer: { label: 'Viewer', rank: 1, description: 'Sees everything, changes nothing' }
+};
+
+// The least role each action needs; matches has_team_role() in the policies
+const ROLE_ACTIONS = {
+    view: 'viewer',
+    edit: 'editor',
+    manage: 'owner'
+};
+
+// localStorage keys for the team and season the coach last picked
+const TEAM_KEY = 'statcoach.team';
+const SEASON_KEY = 'statcoach.season';
+
+// Picking "All seasons" on the dashboard is stored as this instead of a season id
+const ALL_SEASONS = 'all';
+
+// New seasons run July to June, so a fall season and the club season after it stay together
+const SEASON_START_MONTH = 7;
+
+function canDo(role, action) {
+    const needed = TEAM_ROLES[ROLE_ACTIONS[action]];
+    return Boolean(TEAM_ROLES[role] && needed && TEAM_ROLES[role].rank >= needed.rank);
+}
+
+/**
+ * Text any coach, import or API key entered (names, labels, opponents), made safe for innerHTML
+ * Staff on a team see each other's data, so one editor's input must never run in another's session.
+ */
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+}
+
+/**
+ * The default season a game date falls in: { name: '2025-26', startsOn: '2025-07-01', endsOn: '2026-06-30' }
+ */
+function defaultSeason(gameDate) {
+    const [year, month] = String(gameDate).split('-').map(Number);
+    const start = month >= SEASON_START_MONTH ? year : year - 1;
+    return {
+        name: `${start}-${String((start + 1) % 100).padStart(2, '0')}`,
+        startsOn: `${start}-${String(SEASON_START_MONTH).padStart(2, '0')}-01`,
+        endsOn: `${start + 1}-${String(SEASON_START_MONTH - 1).padStart(2, '0')}-30`
+    };
+}
+
+/**
+ * The seasons row a date falls in; when seasons overlap the one that started latest wins
+ */
+function seasonForDate(seasons, date) {
+    return (seasons || [])
+        .filter(season => season.starts_on <= date && date <= season.ends_on)
+        .sort((a, b) => (a.starts_on < b.starts_on ? 1 : -1))[0] || null;
+}
+
+/**
+ * Check an invite before it's sent: { valid, errors } keyed by field
+ */
+function validateInvite(invite) {
+    const errors = {};
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalizeEmail(invite.email))) {
+        errors.email = 'Enter a valid email address';
+    }
+    if (!TEAM_ROLES[invite.role]) {
+        errors.role = 'Role must be owner, editor or viewer';
+    }
+    return { valid: Object.keys(errors).length === 0, errors };
+}
+
+/**
+ * Check a season before it's saved: { valid, errors } keyed by field
+ */
+function validateSeason(season) {
+    const errors = {};
+    if (!season.name || !String(season.name).trim()) {
+        errors.name = 'Season name is required';
+    } else if (String(season.name).length > 60) {
+        errors.name = 'Season name is too long (60 characters max)';
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(season.startsOn || '')) {
+        errors.startsOn = 'Start date is required';
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(season.endsOn || '')) {
+        errors.endsOn = 'End date is required';
+    } else if (!errors.startsOn && season.endsOn < season.startsOn) {
+        errors.endsOn = 'The season has to end after it starts';
+    }
+    return { valid: Object.keys(errors).length === 0, errors };
+}
+
+/**
+ * Would this change leave the team without an owner? change is { userId, role } (role null for removal)
+ * The database refuses it either way; this lets the page say why first.
+ */
+function leavesNoOwner(members, change) {
+    return !members.some(member => member.user_id === change.userId
+        ? change.role === 'owner'
+        : member.role === 'owner');
+}
+
+function readStored(key) {
+    return typeof localStorage === 'undefined' ? null : localStorage.getItem(key);
+}
+
+/**
+ * The team the coach is working in; null until loadTeamContext has picked one on this device
+ */
+function selectedTeamId() {
+    return readStored(TEAM_KEY);
+}
+
+function selectTeam(teamId) {
+    localStorage.setItem(TEAM_KEY, teamId);
+    localStorage.removeItem(SEASON_KEY);
+}
+
+function selectSeason(seasonId) {
+    localStorage.setItem(SEASON_KEY, seasonId || ALL_SEASONS);
+}
+
+// Errors the API turns into a status code
+function accessError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * A signed-in coach's role on a team, or null when they aren't on it
+ */
+async function teamRole(client, userId, teamId) {
+    const { data, error } = await client
+        .from('team_members')
+        .select('role')
+        .eq('team_id', teamId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data ? data.role : null;
+}
+
+/**
+ * Throw unless the user's role on the team allows the action; returns the role
+ * Used by the API, where the service key bypasses row level security.
+ */
+async function assertTeamAccess(client, userId, teamId, action) {
+    if (!teamId) {
+        throw accessError('Missing team', 400);
+    }
+    const role = await teamRole(client, userId, teamId);
+    if (!role) {
+        throw accessError('You are not on this team', 403);
+    }
+    if (!canDo(role, action)) {
+        throw accessError(`${TEAM_ROLES[role].label}s can't do that on this team`, 403);
+    }
+    return role;
+}
+
+/**
+ * Create a team with the coach as its owner
+ */
+async function createTeam(client, user, name) {
+    const { data: team, error } = await client
+        .from('teams')
+        .insert([{ name: String(name).trim(), created_by: user.id }])
+        .select()
+        .single();
+
+    if (error) throw error;
+
+    const { error: memberError } = await client
+        .from('team_members')
+        .insert([{
+            team_id: team.id,
+            user_id: user.id,
+            role: 'owner',
+            email: normalizeEmail(user.email),
+            name: user.user_metadata?.coach_name || user.email
+        }]);
+
+    if (memberError) throw memberError;
+    return team;
+}
+
+/**
+ * The season a game on this date belongs to, creating the default July-June season the first time
+ * Returns the season id
+ */
+async function ensureSeason(client, teamId, gameDate) {
+    const { data: seasons, error } = await client
+        .from('seasons')
+        .select('*')
+        .eq('team_id', teamId);
+
+    if (error) throw error;
+
+    const existing = seasonForDate(seasons, gameDate);
+    if (existing) return existing.id;
+
+    const season = defaultSeason(gameDate);
+    const { data: created, error: createError } = await client
+        .from('seasons')
+        .insert([{ team_id: teamId, name: season.name, starts_on: season.startsOn, ends_on: season.endsOn }])
+        .select()
+        .single();
+
+    if (createError) throw createError;
+    return created.id;
+}
+
+/**
+ * Everything a page needs to scope its queries: { user, teams, team, role, seasons, season }
+ * Open invites for the coach's email are accepted first, and a coach on no team gets one of
+ * their own. team and season are the last ones picked here (season null means all seasons);
+ * a new visit starts on the season that covers today. Returns null when nobody is signed in.
+ */
+async function loadTeamContext(client) {
+    const { data: { user } } = await client.auth.getUser();
+    if (!user) return null;
+
+    const { error: inviteError } = await client.rpc('accept_team_invites');
+    if (inviteError) console.error('Error accepting team invites:', inviteError);
+
+    const { data: memberships, error } = await client
+        .from('team_members')
+        .select('role, teams(*)')
+        .eq('user_id', user.id);
+
+    if (error) throw error;
+
+    let teams = (memberships || [])
+        .filter(membership => membership.teams)
+        .map(membership => ({ ...membership.teams, role: membership.role }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+    if (teams.length === 0) {
+        const team = await createTeam(client, user, user.user_metadata?.team_name || 'My Team');
+        teams = [{ ...team, role: 'owner' }];
+    }
+
+    const team = teams.find(candidate => candidate.id === readStored(TEAM_KEY)) || teams[0];
+    // Kept even when it was only the default, so per-team settings (the win model) find it
+    if (typeof localStorage !== 'undefined' && readStored(TEAM_KEY) !== team.id) {
+        localStorage.setItem(TEAM_KEY, team.id);
+    }
+
+    const { data: seasons, error: seasonsError } = await client
+        .from('seasons')
+        .select('*')
+        .eq('team_id', team.id)
+        .order('starts_on', { ascending: false });
+
+    if (seasonsError) throw seasonsError;
+
+    const storedSeason = readStored(SEASON_KEY);
+    const season = storedSeason === ALL_SEASONS
+        ? null
+        : (seasons || []).find(candidate => candidate.id === storedSeason)
+            || seasonForDate(seasons, new Date().toISOString().slice(0, 10))
+            || (seasons || [])[0]
+            || null;
+
+    return { user, teams, team, role: team.role, seasons: seasons || [], season };
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TEAM_ROLES,
+        ROLE_ACTIONS,
+        ALL_SEASONS,
+        canDo,
+        escapeHtml,
+        normalizeEmail,
+        defaultSeason,
+        seasonForDate,
+        validateInvite,
+        validateSeason,
+        leavesNoOwner,
+        teamRole,
+        selectedTeamId,
+        accessError,
+        assertTeamAccess,
+        createTeam,
+        ensureSeason,
+        loadTeamContext
+    };
+}
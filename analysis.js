@@ -47,13 +47,162 @@ const ODDS_RATIOS = {
     blockErrors: 0.867      // Not significant in research
 };
 
+/**
+ * Benchmark profiles by competition level and gender
+ * Each profile needs published match averages and odds ratios behind it, so only the D-I men's
+ * research study is here; other levels are added as sourced data for them turns up.
+ */
+const BENCHMARK_PROFILES = {
+    ncaa_d1_men: {
+        id: 'ncaa_d1_men',
+        label: "NCAA D-I Men's",
+        source: "NCAA Division I Men's Volleyball Research (2025)",
+        setsPerMatch: 3.5,
+        win: RESEARCH_BENCHMARKS.win,
+        loss: RESEARCH_BENCHMARKS.loss,
+        oddsRatios: ODDS_RATIOS
+    }
+};
+
+const DEFAULT_PROFILE = 'ncaa_d1_men';
+
+// Profiles removed for want of sourced data; games and queued saves that still name one read as the default
+const RETIRED_PROFILES = ['ncaa_d1_women', 'ncaa_d2_d3', 'high_school', 'club'];
+
+/**
+ * Look up a benchmark profile, falling back to the research default
+ */
+function getBenchmarkProfile(profileId) {
+    return BENCHMARK_PROFILES[profileId] || BENCHMARK_PROFILES[DEFAULT_PROFILE];
+}
+
+/**
+ * Fill a benchmark profile <select> and pick profileId (the default when it isn't a profile)
+ * While only one profile is sourced there's nothing to choose, so the select stays disabled
+ * and its title says where the numbers come from
+ */
+function fillProfileSelect(select, profileId) {
+    const profiles = Object.values(BENCHMARK_PROFILES);
+    select.innerHTML = profiles
+        .map(profile => `<option value="${profile.id}">${profile.label}</option>`)
+        .join('');
+    select.value = getBenchmarkProfile(profileId).id;
+    select.disabled = profiles.length === 1;
+    if (select.disabled) {
+        select.title = `${profiles[0].source} - other levels are added once sourced averages for them are published`;
+    }
+}
+
+/**
+ * Extended stats: the numbers coaches judge a match by beyond the research box score
+ * basis says how far each one can be taken:
+ *   model        built from model terms, so its impact is theirs (hitting percentage)
+ *   descriptive  no published averages and no odds ratio; shown as recorded. Sideout and
+ *                point-scoring % are the rally results the model predicts, so they'd count twice.
+ * value(stats) returns null when the game didn't record what the metric needs
+ */
+const EXTENDED_METRICS = {
+    hittingPercentage: {
+        label: 'Hitting Percentage',
+        lower: false,
+        basis: 'model',
+        modelTerms: ['kills', 'errors', 'attempts'],
+        value: stats => (stats.killAttempts > 0 ? (stats.totalKills - stats.attackErrors) / stats.killAttempts : null)
+    },
+    passRating: {
+        label: 'Pass Rating',
+        lower: false,
+        basis: 'descriptive',
+        value: stats => (isRecorded(stats.passRating) ? Number(stats.passRating) : null)
+    },
+    sideoutPercentage: {
+        label: 'Sideout %',
+        lower: false,
+        basis: 'descriptive',
+        value: stats => sideoutPercentage(stats)
+    },
+    pointScoringPercentage: {
+        label: 'Point-Scoring %',
+        lower: false,
+        basis: 'descriptive',
+        value: stats => pointScoringPercentage(stats)
+    },
+    assistsPerSet: {
+        label: 'Assists / Set',
+        lower: false,
+        basis: 'descriptive',
+        value: stats => (isRecorded(stats.assists) && stats.totalSets > 0 ? Number(stats.assists) / stats.totalSets : null)
+    },
+    ballHandlingErrorsPerSet: {
+        label: 'Ball-Handling Errors / Set',
+        lower: true,
+        basis: 'descriptive',
+        value: stats => (isRecorded(stats.ballHandlingErrors) && stats.totalSets > 0 ? Number(stats.ballHandlingErrors) / stats.totalSets : null)
+    }
+};
+
+// Extended fields are optional; blank means the game didn't record it
+function isRecorded(value) {
+    return value !== null && value !== undefined && value !== '';
+}
+
+// Points the opponent scored, from the typed set scores or the set-by-set rows; null when neither was entered
+function opponentPoints(stats) {
+    const scores = Array.isArray(stats.setScores) && stats.setScores.length > 0 ? stats.setScores : (stats.sets || []);
+    const total = scores.reduce((sum, set) => sum + (Number(set.opponentScore) || 0), 0);
+    return total > 0 ? total : null;
+}
+
+/**
+ * Share of the opponent's serves we won
+ * Serve only changes hands on a sideout, so the rallies we received come to the opponent's
+ * points (within one per set) and those points stand in for them.
+ */
+function sideoutPercentage(stats) {
+    const received = opponentPoints(stats);
+    if (!isRecorded(stats.sideoutPoints) || !received) return null;
+    return Math.min(100, Number(stats.sideoutPoints) / received * 100);
+}
+
+/**
+ * Share of our own serves we won; by the same reasoning our serves come to our points
+ */
+function pointScoringPercentage(stats) {
+    if (!isRecorded(stats.pointsOnServe) || !isRecorded(stats.sideoutPoints)) return null;
+    const served = Number(stats.pointsOnServe) + Number(stats.sideoutPoints);
+    return served > 0 ? Number(stats.pointsOnServe) / served * 100 : null;
+}
+
+/**
+ * Winning and losing averages for an extended metric: { win, loss }, or null for descriptive ones
+ * Hitting percentage comes from the profile's kills, attack errors and attempts.
+ */
+function extendedBenchmarks(metric, profile = getBenchmarkProfile()) {
+    if (metric === 'hittingPercentage') {
+        const hitting = side => (side.kills - side.errors) / side.attempts;
+        return { win: hitting(profile.win), loss: hitting(profile.loss) };
+    }
+    return null;
+}
+
+/**
+ * An extended metric for display: .287 hitting, 2.14 pass rating, 64.0%, 11.3/set
+ */
+function formatExtendedValue(metric, value) {
+    if (value === null || value === undefined) return '--';
+    if (metric === 'hittingPercentage') return value.toFixed(3).replace(/^(-?)0\./, '$1.');
+    if (metric === 'passRating') return value.toFixed(2);
+    if (metric.endsWith('Percentage')) return `${value.toFixed(1)}%`;
+    return `${value.toFixed(1)}/set`;
+}
+
 /**
  * Normalize stats to per-game basis for comparison with research
- * Research data is from full matches (typically 3-4 sets)
+ * Benchmarks are full-match averages, so scale to the profile's typical match length
  */
-function normalizeStats(stats, sets = 3) {
-    const normalizationFactor = 3.5 / sets; // Research average ~3.5 sets per match
-    
+function normalizeStats(stats, sets = 3, profile = getBenchmarkProfile()) {
+    const normalizationFactor = profile.setsPerMatch / sets;
+
     return {
         kills: stats.totalKills * normalizationFactor,
         errors: stats.attackErrors * normalizationFactor,
@@ -67,57 +216,129 @@ function normalizeStats(stats, sets = 3) {
     };
 }
 
+// What the combined model is and isn't - shown next to every predicted win probability
+const WIN_MODEL_NOTE = 'Predicted win probability combines every metric in one logistic model: the odds ratios are ' +
+    'added on the log-odds scale, with an intercept that puts a team halfway between the winning and losing ' +
+    'averages at 50%. It describes how this stat line compares with the teams behind the benchmarks. It is not ' +
+    'a forecast of a specific match, does not know who you played, and assumes each metric acts independently.';
+
+// Shown instead of WIN_MODEL_NOTE when the prediction used the team's own fitted coefficients
+const TEAM_MODEL_NOTE = 'Predicted win probability uses coefficients fitted on your own saved results (see Model ' +
+    'Calibration), centered on the same benchmark midpoints as the research model. With a small sample the fit ' +
+    'leans toward the research odds ratios, and it only reflects the kind of opponents you have played.';
+
+/**
+ * Build the combined logistic win model for a profile
+ * Coefficients are log odds ratios; each metric is centered on the midpoint of the
+ * winning and losing averages, and the intercept makes that midpoint team a 50/50 match
+ */
+function buildWinModel(profile = getBenchmarkProfile()) {
+    const coefficients = {};
+    const centers = {};
+    let intercept = 0;
+
+    for (let metric in profile.oddsRatios) {
+        if (profile.win[metric] === undefined || profile.loss[metric] === undefined) continue;
+
+        const beta = Math.log(profile.oddsRatios[metric]);
+        const center = (profile.win[metric] + profile.loss[metric]) / 2;
+        coefficients[metric] = beta;
+        centers[metric] = center;
+        intercept -= beta * center;
+    }
+
+    return { source: 'research', intercept, coefficients, centers };
+}
+
 /**
- * Calculate impact of each metric using odds ratios
- * Returns percentage point impact on win probability
+ * Predict overall win probability from normalized stats
+ * Metrics that weren't recorded sit at their center and contribute nothing.
+ * Each metric's share is its slice of the move from the baseline probability,
+ * split in proportion to its log-odds contribution so the shares add up exactly.
  */
-function calculateImpacts(normalizedStats) {
+function predictWinProbability(normalizedStats, model) {
+    const sigmoid = x => 1 / (1 + Math.exp(-x));
+    const contributions = {};
+    let baselineLogit = model.intercept;
+    let logit = model.intercept;
+
+    for (let metric in model.coefficients) {
+        const beta = model.coefficients[metric];
+        const center = model.centers[metric];
+        const value = normalizedStats[metric] !== undefined ? normalizedStats[metric] : center;
+
+        baselineLogit += beta * center;
+        logit += beta * value;
+        contributions[metric] = beta * (value - center);
+    }
+
+    const probability = sigmoid(logit);
+    const baselineProbability = sigmoid(baselineLogit);
+    const logitChange = logit - baselineLogit;
+
+    // Probability points per unit of log-odds; use the slope at baseline when the change is ~0
+    const pointsPerLogit = Math.abs(logitChange) > 1e-9
+        ? (probability - baselineProbability) * 100 / logitChange
+        : baselineProbability * (1 - baselineProbability) * 100;
+
+    const shares = {};
+    for (let metric in contributions) {
+        shares[metric] = {
+            logOdds: contributions[metric],
+            share: contributions[metric] * pointsPerLogit
+        };
+    }
+
+    return {
+        probability,
+        percent: probability * 100,
+        baselineProbability,
+        logit,
+        intercept: model.intercept,
+        source: model.source,
+        contributions: shares
+    };
+}
+
+/**
+ * Calculate impact of each metric from the combined win model
+ * impact is the metric's share (percentage points) of the predicted win probability
+ */
+function calculateImpacts(normalizedStats, profile = getBenchmarkProfile(), prediction) {
     const impacts = {};
-    const midpoint = RESEARCH_BENCHMARKS.win; // Use winning average as baseline
-    
-    // Calculate log odds impact for each metric
-    for (let metric in ODDS_RATIOS) {
-        if (normalizedStats[metric] !== undefined && midpoint[metric] !== undefined) {
-            const deviation = normalizedStats[metric] - midpoint[metric];
-            
-            // Calculate the cumulative odds ratio for this deviation
-            // For each unit of deviation, multiply/divide by the odds ratio
-            const cumulativeOddsRatio = Math.pow(ODDS_RATIOS[metric], deviation);
-            
-            // Convert odds ratio to percentage point change in win probability
-            // Assuming baseline 50% win probability at benchmark
-            const baselineProb = 0.5;
-            const baselineOdds = baselineProb / (1 - baselineProb); // = 1.0
-            const newOdds = baselineOdds * cumulativeOddsRatio;
-            const newProb = newOdds / (1 + newOdds);
-            
-            // Impact is the change in probability (as percentage points)
-            const percentageImpact = (newProb - baselineProb) * 100;
-            
+    const benchmarks = profile.win; // Display comparisons against the winning average
+
+    for (let metric in prediction.contributions) {
+        if (normalizedStats[metric] !== undefined && benchmarks[metric] !== undefined) {
             impacts[metric] = {
                 value: normalizedStats[metric],
-                benchmark: midpoint[metric],
-                deviation: deviation,
-                impact: percentageImpact,
-                oddsRatio: ODDS_RATIOS[metric]
+                benchmark: benchmarks[metric],
+                deviation: normalizedStats[metric] - benchmarks[metric],
+                impact: prediction.contributions[metric].share,
+                logOdds: prediction.contributions[metric].logOdds,
+                oddsRatio: profile.oddsRatios[metric]
             };
         }
     }
-    
+
     return impacts;
 }
 
 /**
  * Determine performance level vs benchmarks
  */
-function getPerformanceLevel(value, metric) {
-    const winBench = RESEARCH_BENCHMARKS.win[metric];
-    const lossBench = RESEARCH_BENCHMARKS.loss[metric];
+function getPerformanceLevel(value, metric, profile = getBenchmarkProfile()) {
+    const winBench = profile.win[metric];
+    const lossBench = profile.loss[metric];
     
     // For metrics where lower is better (errors, attempts)
     const lowerIsBetter = ['errors', 'attempts', 'serviceErrors', 'receptionErrors', 'blockErrors'];
-    
-    if (lowerIsBetter.includes(metric)) {
+
+    return levelAgainst(value, winBench, lossBench, lowerIsBetter.includes(metric));
+}
+
+function levelAgainst(value, winBench, lossBench, lower) {
+    if (lower) {
         if (value <= winBench) return 'excellent';
         if (value <= lossBench) return 'good';
         return 'needs_improvement';
@@ -129,6 +350,57 @@ function getPerformanceLevel(value, metric) {
     }
 }
 
+/**
+ * The extended stats a game recorded, each against the profile's averages
+ * Returns { metric: { value, basis, win, loss, level, impact } } for the metrics the game has.
+ * win, loss and level are null for descriptive metrics; impact (model metrics only) is the
+ * combined win-probability share of the model terms the metric is built from.
+ */
+function analyzeExtendedStats(stats, impacts, profile = getBenchmarkProfile()) {
+    const extended = {};
+
+    for (let metric in EXTENDED_METRICS) {
+        const definition = EXTENDED_METRICS[metric];
+        const value = definition.value(stats);
+        if (value === null) continue;
+
+        const benchmarks = extendedBenchmarks(metric, profile);
+        extended[metric] = {
+            value,
+            basis: definition.basis,
+            win: benchmarks ? benchmarks.win : null,
+            loss: benchmarks ? benchmarks.loss : null,
+            level: benchmarks ? levelAgainst(value, benchmarks.win, benchmarks.loss, definition.lower) : null,
+            impact: definition.modelTerms
+                ? definition.modelTerms.reduce((sum, term) => sum + (impacts[term] ? impacts[term].impact : 0), 0)
+                : null
+        };
+    }
+
+    return extended;
+}
+
+/**
+ * Insight lines for the extended stats, one per recorded metric
+ */
+function describeExtendedStats(stats, extended) {
+    return Object.entries(extended).map(([metric, data]) => {
+        const label = EXTENDED_METRICS[metric].label;
+        const value = formatExtendedValue(metric, data.value);
+
+        if (data.basis === 'descriptive') {
+            const assisted = metric === 'assistsPerSet' && stats.totalKills > 0
+                ? ` (${Math.round(Number(stats.assists) / stats.totalKills * 100)}% of kills assisted)`
+                : '';
+            return `• ${label}: ${value}${assisted} - descriptive only, no research averages`;
+        }
+
+        const averages = `winning avg ${formatExtendedValue(metric, data.win)}, losing avg ${formatExtendedValue(metric, data.loss)}`;
+        const standing = data.level === 'excellent' ? 'at winning level' : data.level === 'good' ? 'between the averages' : 'below the losing average';
+        return `• ${label}: ${value} (${averages}) - ${standing}; kills, attack errors and attempts together account for ${data.impact >= 0 ? '+' : ''}${data.impact.toFixed(1)} points of predicted win probability`;
+    });
+}
+
 /**
  * Generate prioritized practice recommendations
  */
@@ -189,17 +461,23 @@ function formatMetricName(metric) {
 /**
  * Generate human-readable insights text
  */
-function generateInsightsText(stats, impacts, recommendations) {
+function generateInsightsText(stats, impacts, recommendations, profile = getBenchmarkProfile(), prediction) {
     let insights = [];
     
     // Header
-    insights.push('**Performance Analysis Based on NCAA Research**\n');
+    insights.push(`**Performance Analysis Based on ${profile.label} Benchmarks**\n`);
     
-    // Overall summary
-    const totalImpact = Object.values(impacts).reduce((sum, i) => sum + i.impact, 0);
-    if (totalImpact > 5) {
-        insights.push('Your statistics profile suggests strong performance aligned with winning teams from NCAA Division I research.\n');
-    } else if (totalImpact < -5) {
+    if (prediction.source === 'team') {
+        insights.push("Odds ratios: fitted on your team's own results instead of the research study.\n");
+    }
+    const evidence = prediction.source === 'team' ? 'Your results show' : 'Research shows';
+
+    // Overall summary from the combined model
+    const winPercent = prediction.percent;
+    insights.push(`Predicted win probability: ${winPercent.toFixed(0)}% (50% = midway between ${profile.label} winning and losing averages)\n`);
+    if (winPercent > 60) {
+        insights.push(`Your statistics profile suggests strong performance aligned with winning ${profile.label} teams.\n`);
+    } else if (winPercent < 40) {
         insights.push('Your statistics profile shows several areas below winning benchmarks. Focus on the priorities below for maximum improvement.\n');
     } else {
         insights.push('Your statistics show a mixed profile with both strengths and areas for improvement.\n');
@@ -212,13 +490,13 @@ function generateInsightsText(stats, impacts, recommendations) {
         recommendations.weaknesses.forEach((weakness, index) => {
             const metricName = formatMetricName(weakness.metric);
             const impactPercent = Math.abs(weakness.impact).toFixed(1);
-            const orValue = ODDS_RATIOS[weakness.metric];
+            const orValue = profile.oddsRatios[weakness.metric];
             const orPercent = Math.abs((1 - orValue) * 100).toFixed(1);
             
             insights.push(`**Priority ${index + 1}: ${metricName}**`);
             insights.push(`Your ${weakness.value.toFixed(1)} vs winning average of ${weakness.benchmark.toFixed(1)}`);
-            insights.push(`Impact: ${impactPercent}% reduction in win probability`);
-            insights.push(`Research shows each ${metricName.toLowerCase()} changes win odds by ${orPercent}%\n`);
+            insights.push(`Impact: -${impactPercent} points of predicted win probability`);
+            insights.push(`${evidence} each ${metricName.toLowerCase()} changes win odds by ${orPercent}%\n`);
         });
     }
     
@@ -231,16 +509,22 @@ function generateInsightsText(stats, impacts, recommendations) {
             const impactPercent = strength.impact.toFixed(1);
             
             insights.push(`**${metricName}:** ${strength.value.toFixed(1)} (winning avg: ${strength.benchmark.toFixed(1)})`);
-            insights.push(`Contributing +${impactPercent}% to win probability\n`);
+            insights.push(`Contributing +${impactPercent} points to predicted win probability\n`);
         });
     }
     
     // Key research insights
-    insights.push('**📊 Key Research Findings**\n');
-    insights.push('• Service aces have the strongest positive impact (+33.8% per ace)');
-    insights.push('• Reception errors have the strongest negative impact (-24.3% per error)');
-    insights.push('• More attack attempts actually hurt performance - efficiency over volume');
-    insights.push('• Both solo blocks and block assists significantly improve win probability\n');
+    insights.push(prediction.source === 'team' ? '**📊 Key Findings From Your Games**\n' : '**📊 Key Research Findings**\n');
+    const rankedOdds = Object.entries(profile.oddsRatios).sort((a, b) => b[1] - a[1]);
+    const [bestMetric, bestOR] = rankedOdds[0];
+    const [worstMetric, worstOR] = rankedOdds[rankedOdds.length - 1];
+    insights.push(`• ${formatMetricName(bestMetric)} have the strongest positive impact (+${((bestOR - 1) * 100).toFixed(1)}% per ${formatMetricName(bestMetric).toLowerCase().replace(/s$/, '')})`);
+    insights.push(`• ${formatMetricName(worstMetric)} have the strongest negative impact (-${((1 - worstOR) * 100).toFixed(1)}% per ${formatMetricName(worstMetric).toLowerCase().replace(/s$/, '')})`);
+    if (prediction.source !== 'team') {
+        insights.push('• More attack attempts actually hurt performance - efficiency over volume');
+        insights.push('• Both solo blocks and block assists significantly improve win probability');
+    }
+    insights.push('');
     
     // Specific actionable recommendations
     insights.push('**🏐 Recommended Practice Focus**\n');
@@ -278,26 +562,74 @@ function generateInsightsText(stats, impacts, recommendations) {
     return insights.join('\n');
 }
 
+/**
+ * Odds ratios implied by a fitted team model's coefficients
+ */
+function teamOddsRatios(model) {
+    const oddsRatios = {};
+    for (let metric in model.coefficients) {
+        oddsRatios[metric] = Math.exp(model.coefficients[metric]);
+    }
+    return oddsRatios;
+}
+
 /**
  * Main analysis function
  * Takes raw game stats and returns complete analysis
+ * profileId selects the benchmark profile (defaults to stats.benchmarkProfile, then D-I men's)
+ * teamModel is an optional model from fitTeamModel (calibration.js); it replaces the research
+ * coefficients only when it was fitted for the same profile
  */
-function analyzeGame(stats) {
+function analyzeGame(stats, profileId = stats.benchmarkProfile, teamModel = null) {
+    const researchProfile = getBenchmarkProfile(profileId);
+    const useTeamModel = teamModel && teamModel.profile === researchProfile.id;
+
+    // The team's fitted odds ratios stand in for the research ones everywhere they're quoted
+    const profile = useTeamModel
+        ? { ...researchProfile, oddsRatios: { ...researchProfile.oddsRatios, ...teamOddsRatios(teamModel) } }
+        : researchProfile;
+
     // Normalize stats to match research scale
-    const normalized = normalizeStats(stats, stats.totalSets || 3);
+    const normalized = normalizeStats(stats, stats.totalSets || 3, profile);
     
-    // Calculate impacts using odds ratios
-    const impacts = calculateImpacts(normalized);
+    // Combine all metrics into one predicted win probability
+    const prediction = predictWinProbability(normalized, useTeamModel ? teamModel : buildWinModel(profile));
+
+    // Each metric's share of that prediction
+    const impacts = calculateImpacts(normalized, profile, prediction);
     
+    // Hitting percentage, pass rating and the rest, where the game recorded them
+    const extended = analyzeExtendedStats(stats, impacts, profile);
+
     // Generate recommendations
     const recommendations = generateRecommendations(impacts);
     
+    // Player-level breakdown when a box score was entered
+    const players = stats.players && stats.players.length > 0
+        ? analyzePlayers(stats.players, stats, profile)
+        : null;
+
+    // Set-by-set breakdown when per-set rows were entered
+    const setAnalysis = stats.sets && stats.sets.length > 0
+        ? analyzeSets(stats.sets, profile)
+        : null;
+
     // Generate insights text
-    const insightsText = generateInsightsText(stats, impacts, recommendations);
+    let insightsText = generateInsightsText(stats, impacts, recommendations, profile, prediction);
+    if (players && players.flags.length > 0) {
+        insightsText += '\n\n**👤 Player Notes**\n\n' + players.flags.map(flag => `• ${flag.text}`).join('\n');
+    }
+    if (setAnalysis && setAnalysis.notes.length > 0) {
+        insightsText += '\n\n**📈 Set-by-Set Momentum**\n\n' + setAnalysis.notes.map(note => `• ${note}`).join('\n');
+    }
+    if (Object.keys(extended).length > 0) {
+        insightsText += '\n\n**📋 Beyond the Box Score**\n\n' + describeExtendedStats(stats, extended).join('\n');
+    }
     
     // Calculate basic metrics for display
     const metrics = {
         killEfficiency: stats.killAttempts > 0 ? (stats.totalKills / stats.killAttempts * 100) : 0,
+        hittingPercentage: stats.killAttempts > 0 ? (stats.totalKills - stats.attackErrors) / stats.killAttempts : 0,
         acesPerSet: stats.totalSets > 0 ? (stats.serviceAces / stats.totalSets) : 0,
         blocksPerSet: stats.totalSets > 0 ? ((stats.soloBlocks + stats.blockAssists) / stats.totalSets) : 0,
         digsPerSet: stats.totalSets > 0 ? (stats.digs / stats.totalSets) : 0,
@@ -306,15 +638,260 @@ function analyzeGame(stats) {
     };
     
     return {
+        profile: profile.id,
+        winProbability: {
+            probability: prediction.probability,
+            percent: prediction.percent,
+            baselineProbability: prediction.baselineProbability,
+            logit: prediction.logit,
+            intercept: prediction.intercept,
+            source: prediction.source,
+            games: useTeamModel ? teamModel.games : null
+        },
         normalized,
         impacts,
         recommendations,
         insightsText,
-        metrics
+        metrics,
+        extended,
+        players,
+        sets: setAnalysis
     };
 }
 
+/**
+ * Player box score support
+ * Player rows use the same stat keys as the team stats object, plus name/playerId
+ */
+const BOX_SCORE_FIELDS = [
+    'totalKills', 'killAttempts', 'attackErrors',
+    'serviceAces', 'serviceErrors', 'receptionErrors',
+    'digs', 'soloBlocks', 'blockAssists'
+];
+
+// Maps box score fields onto the research metric names used by the win model
+const BOX_SCORE_METRICS = {
+    totalKills: 'kills',
+    attackErrors: 'errors',
+    serviceAces: 'serviceAces',
+    serviceErrors: 'serviceErrors',
+    receptionErrors: 'receptionErrors',
+    digs: 'digs',
+    soloBlocks: 'soloBlocks',
+    blockAssists: 'blockAssists'
+};
+
+// Player impact scores are log-odds x 10, so a D-I kill is worth about +2.3
+const PLAYER_SCORE_SCALE = 10;
+
+/**
+ * Sum player rows into team totals
+ */
+function sumBoxScore(players) {
+    const totals = {};
+    BOX_SCORE_FIELDS.forEach(field => {
+        totals[field] = players.reduce((sum, player) => sum + (parseInt(player[field]) || 0), 0);
+    });
+    return totals;
+}
+
+/**
+ * Research-weighted impact breakdown for one player
+ * Every event is weighted by its log odds ratio and scaled to a full match.
+ * Attack attempts are left out: a hitter's volume reflects their role, and the
+ * research effect of attempts only holds with team kills and errors fixed.
+ */
+function analyzePlayer(player, sets = 3, profile = getBenchmarkProfile()) {
+    const normalizationFactor = profile.setsPerMatch / sets;
+    const breakdown = {};
+    let netScore = 0;
+
+    for (let field in BOX_SCORE_METRICS) {
+        const metric = BOX_SCORE_METRICS[field];
+        const count = parseInt(player[field]) || 0;
+        const score = Math.log(profile.oddsRatios[metric]) * count * normalizationFactor * PLAYER_SCORE_SCALE;
+
+        breakdown[metric] = { count, score };
+        netScore += score;
+    }
+
+    return {
+        playerId: player.playerId || null,
+        name: player.name,
+        breakdown,
+        netScore,
+        killEfficiency: player.killAttempts > 0 ? (player.totalKills / player.killAttempts * 100) : null
+    };
+}
+
+/**
+ * Analyze every player and flag anyone responsible for most of a team error total
+ */
+function analyzePlayers(players, teamStats, profile = getBenchmarkProfile()) {
+    const sets = teamStats.totalSets || 3;
+    const teamTotals = sumBoxScore(players);
+    const results = players
+        .map(player => analyzePlayer(player, sets, profile))
+        .sort((a, b) => b.netScore - a.netScore);
+
+    const flags = [];
+    ['receptionErrors', 'attackErrors', 'serviceErrors'].forEach(field => {
+        const teamTotal = teamTotals[field];
+        if (teamTotal < 3) return;
+
+        players.forEach(player => {
+            const count = parseInt(player[field]) || 0;
+            if (count / teamTotal >= 0.5) {
+                flags.push({
+                    name: player.name,
+                    metric: BOX_SCORE_METRICS[field],
+                    count,
+                    teamTotal,
+                    text: `${player.name} had ${count} of the team's ${teamTotal} ${formatMetricName(BOX_SCORE_METRICS[field]).toLowerCase()}`
+                });
+            }
+        });
+    });
+
+    return { players: results, flags };
+}
+
+/**
+ * Set-by-set analysis
+ * Set rows use the box score keys plus setNumber, ourScore and opponentScore
+ */
+// Rallies in a typical set to 25; shorter or longer sets are scaled by points played
+const AVERAGE_SET_POINTS = 45;
+
+const SET_CATEGORIES = {
+    serving: ['serviceAces', 'serviceErrors'],
+    passing: ['receptionErrors'],
+    attacking: ['kills', 'errors', 'attempts'],
+    defense: ['digs', 'soloBlocks', 'blockAssists']
+};
+
+/**
+ * A deciding set is the last set played when the sets before it were split evenly
+ */
+function isDecidingSet(sets, index) {
+    if (index !== sets.length - 1 || index === 0) return false;
+    const priorWins = sets.slice(0, index).filter(set => set.ourScore > set.opponentScore).length;
+    return priorWins * 2 === index;
+}
+
+// A set row with every count and score as a number; a blank counts as 0, so one missing field
+// can't turn the set's rates into NaN
+function completeSetRow(set) {
+    const row = { ...set, ourScore: Number(set.ourScore) || 0, opponentScore: Number(set.opponentScore) || 0 };
+    BOX_SCORE_FIELDS.forEach(field => {
+        row[field] = Number(set[field]) || 0;
+    });
+    return row;
+}
+
+/**
+ * Run each set through the win model and describe how the impact profile moved
+ * Each set is scaled to a full match (by points played when the score is known)
+ * so its probability is comparable to the match model.
+ */
+function analyzeSets(rows, profile = getBenchmarkProfile()) {
+    const model = buildWinModel(profile);
+    const sets = rows.map(completeSetRow);
+
+    const results = sets.map((set, index) => {
+        const hasScore = set.ourScore > 0 || set.opponentScore > 0;
+        const setLength = hasScore ? (set.ourScore + set.opponentScore) / AVERAGE_SET_POINTS : 1;
+        const normalized = normalizeStats(set, setLength, profile);
+        const prediction = predictWinProbability(normalized, model);
+        const won = hasScore ? set.ourScore > set.opponentScore : null;
+
+        const categories = {};
+        for (let category in SET_CATEGORIES) {
+            categories[category] = SET_CATEGORIES[category]
+                .reduce((sum, metric) => sum + (prediction.contributions[metric]?.share || 0), 0);
+        }
+
+        // The category that pushed hardest in the direction of the result decided the set
+        let decidedBy = null;
+        if (won !== null) {
+            const direction = won ? 1 : -1;
+            const [category, share] = Object.entries(categories)
+                .sort((a, b) => direction * (b[1] - a[1]))[0];
+            if (direction * share > 0) decidedBy = category;
+        }
+
+        const rankedMetrics = Object.entries(prediction.contributions)
+            .sort((a, b) => a[1].share - b[1].share);
+        const costliest = rankedMetrics[0][1].share < 0 ? rankedMetrics[0][0] : null;
+        const best = rankedMetrics[rankedMetrics.length - 1][1].share > 0 ? rankedMetrics[rankedMetrics.length - 1][0] : null;
+
+        return {
+            setNumber: set.setNumber || index + 1,
+            ourScore: set.ourScore,
+            opponentScore: set.opponentScore,
+            won,
+            deciding: hasScore && isDecidingSet(sets, index),
+            winProbability: prediction.percent,
+            contributions: prediction.contributions,
+            categories,
+            decidedBy,
+            costliest,
+            best
+        };
+    });
+
+    const notes = [];
+    results.forEach((set, index) => {
+        if (set.won === false && set.costliest) {
+            notes.push(`${formatMetricName(set.costliest)} cost you set ${set.setNumber} (${set.ourScore}-${set.opponentScore})`);
+        }
+        if (set.decidedBy === 'serving' || set.decidedBy === 'passing') {
+            notes.push(`Set ${set.setNumber} was ${set.won ? 'won' : 'lost'} on ${set.decidedBy}`);
+        }
+
+        // Flag the biggest set-to-set swing in the model
+        if (index > 0) {
+            const previous = results[index - 1];
+            const swing = set.winProbability - previous.winProbability;
+            if (Math.abs(swing) >= 40) {
+                const driver = Object.keys(set.contributions)
+                    .sort((a, b) => Math.abs(set.contributions[b].share - previous.contributions[b].share) -
+                        Math.abs(set.contributions[a].share - previous.contributions[a].share))[0];
+                notes.push(`Momentum ${swing > 0 ? 'swung your way' : 'dropped'} in set ${set.setNumber} (${swing > 0 ? '+' : ''}${swing.toFixed(0)} pts), mostly from ${formatMetricName(driver).toLowerCase()}`);
+            }
+        }
+    });
+
+    return { sets: results, notes };
+}
+
 // Export for use in other files
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { analyzeGame, RESEARCH_BENCHMARKS, ODDS_RATIOS };
+    module.exports = {
+        analyzeGame,
+        buildWinModel,
+        normalizeStats,
+        predictWinProbability,
+        getBenchmarkProfile,
+        fillProfileSelect,
+        WIN_MODEL_NOTE,
+        TEAM_MODEL_NOTE,
+        sumBoxScore,
+        analyzePlayer,
+        analyzePlayers,
+        BOX_SCORE_FIELDS,
+        PLAYER_SCORE_SCALE,
+        analyzeSets,
+        isDecidingSet,
+        BENCHMARK_PROFILES,
+        DEFAULT_PROFILE,
+        RETIRED_PROFILES,
+        RESEARCH_BENCHMARKS,
+        ODDS_RATIOS,
+        EXTENDED_METRICS,
+        extendedBenchmarks,
+        analyzeExtendedStats,
+        formatExtendedValue,
+        formatMetricName
+    };
 }
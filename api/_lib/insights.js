@@ -0,0 +1,143 @@
+// /api/_lib/insights.js - The /api/analyze handler: coaching insights from the configured provider,
+// saved on the game row so every instance reuses them
+
+import { createHash } from 'crypto';
+import analysisModule from '../../analysis.js';
+import schemaModule from '../../game-schema.js';
+import accessModule from '../../access.js';
+import gamesModule from '../../games.js';
+import { buildPrompt } from './prompt.js';
+import { createProvider } from './llm.js';
+import { isUuid } from './rest.js';
+
+const { analyzeGame } = analysisModule;
+const { validateGame } = schemaModule;
+const { accessError, assertTeamAccess } = accessModule;
+const { loadGame } = gamesModule;
+
+/**
+ * A key that changes whenever the stats or the provider/model change
+ */
+export function insightsKey(stats, provider) {
+    return createHash('sha1')
+        .update(JSON.stringify({ stats, provider: provider?.name, model: provider?.model }))
+        .digest('hex')
+        .slice(0, 16);
+}
+
+// The saved game a coach asked about, once their token and team role check out
+async function loadTeamGame(supabase, userToken, gameId) {
+    const { data: { user }, error: authError } = await supabase.auth.getUser(userToken);
+    if (authError || !user) {
+        throw accessError('Invalid user token', 401);
+    }
+
+    const game = isUuid(gameId) ? await loadGame(supabase, gameId) : null;
+    if (!game) {
+        throw accessError('Game not found', 404);
+    }
+
+    await assertTeamAccess(supabase, user.id, game.row.team_id, 'view');
+    return game;
+}
+
+/**
+ * Build the handler. getClient returns the service key Supabase client; tests pass their own,
+ * and their own provider (or a createProvider env pointing at a local stand-in server).
+ *
+ * With gameId (and userToken), the saved game is analyzed and the insights are saved on it.
+ * Without, the posted stats are analyzed and nothing is saved.
+ */
+export function createAnalyzeHandler({ getClient, getProvider = () => createProvider() }) {
+    return async function handler(req, res) {
+        // Only allow POST requests
+        if (req.method !== 'POST') {
+            return res.status(405).json({ error: 'Method not allowed' });
+        }
+
+        try {
+            const { stats: posted, gameId, userToken } = req.body || {};
+
+            let supabase = null;
+            let game = null;
+            if (gameId) {
+                if (!userToken) {
+                    return res.status(400).json({ error: 'Missing required data' });
+                }
+                supabase = getClient();
+                game = await loadTeamGame(supabase, userToken, gameId);
+            } else if (!posted) {
+                return res.status(400).json({ error: 'Missing stats data' });
+            }
+
+            const stats = game ? game.stats : posted;
+            const { valid, errors } = validateGame(stats);
+            if (!valid) {
+                return res.status(400).json({ error: 'Invalid game data', fields: errors });
+            }
+
+            const analysis = analyzeGame(stats, stats.benchmarkProfile);
+            const respond = (text, source, extra = {}) => res.status(200).json({
+                success: true,
+                analysis: text,
+                source,
+                winProbability: analysis.winProbability.percent,
+                timestamp: new Date().toISOString(),
+                gameId: gameId || `${stats.opponent}_${stats.gameDate}`.replace(/\s+/g, '_'),
+                ...extra
+            });
+
+            // A provider that's missing, misconfigured or down falls back to the rule-based insights
+            let provider = null;
+            try {
+                provider = getProvider();
+            } catch (error) {
+                console.error('LLM provider configuration error:', error.message);
+                return respond(analysis.insightsText, 'fallback', { fallbackReason: 'provider misconfigured' });
+            }
+
+            if (!provider) {
+                return respond(analysis.insightsText, 'fallback', { fallbackReason: 'no provider configured' });
+            }
+
+            const key = insightsKey(stats, provider);
+            const saved = game && game.row.insights;
+            if (saved && saved.key === key) {
+                return respond(saved.text, saved.source, { cached: true });
+            }
+
+            let text;
+            try {
+                text = await provider.complete(buildPrompt(stats, analysis), { stats, analysis });
+            } catch (error) {
+                // Fallbacks aren't saved, so the provider is tried again on the next request
+                console.error(`LLM provider ${provider.name} failed:`, error.message);
+                return respond(analysis.insightsText, 'fallback', { fallbackReason: 'provider unavailable' });
+            }
+
+            if (game) {
+                // The coach still gets the insights if saving them fails; the next request regenerates
+                const { error } = await supabase
+                    .from('games')
+                    .update({ insights: { key, text, source: provider.name, model: provider.model, generatedAt: new Date().toISOString() } })
+                    .eq('id', game.row.id);
+
+                if (error) console.error('Insights save error:', error);
+            }
+
+            return respond(text, provider.name, { cached: false });
+
+        } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({ error: error.message });
+            }
+
+            console.error('API analysis error:', error);
+
+            return res.status(500).json({
+                error: 'Analysis failed',
+                message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+            });
+        }
+    };
+}
@@ -0,0 +1,123 @@
+// /api/_lib/llm.js - Pluggable LLM providers for /api/analyze
+//
+// Chosen by environment variables:
+//   LLM_PROVIDER     openrouter | openai-compatible | mock | none
+//                    (default: openrouter when OPENROUTER_API_KEY is set, otherwise none)
+//   LLM_MODEL        model name (openrouter default: anthropic/claude-3-sonnet)
+//   LLM_BASE_URL     openai-compatible only, e.g. http://localhost:11434/v1 for a local server
+//   LLM_API_KEY      openai-compatible only, if the endpoint needs one
+//   LLM_TIMEOUT_MS   per-request timeout (default 20000)
+// Any server that speaks the OpenAI chat completions API can stand in for a real provider.
+
+const OPENROUTER_URL = 'https://openrouter.ai/api/v1';
+const DEFAULT_OPENROUTER_MODEL = 'anthropic/claude-3-sonnet';
+const DEFAULT_TIMEOUT_MS = 20000;
+
+/**
+ * POST to an OpenAI-style /chat/completions endpoint and return the message text
+ */
+async function chatCompletion({ baseUrl, apiKey, model, headers = {}, prompt, timeoutMs }) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+        const response = await fetch(`${baseUrl.replace(/\/$/, '')}/chat/completions`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+                ...headers
+            },
+            body: JSON.stringify({
+                model,
+                messages: [
+                    {
+                        role: 'user',
+                        content: prompt
+                    }
+                ],
+                max_tokens: 1500,
+                temperature: 0.7
+            }),
+            signal: controller.signal
+        });
+
+        if (!response.ok) {
+            throw new Error(`Provider returned ${response.status}: ${await response.text()}`);
+        }
+
+        const data = await response.json();
+        const content = data.choices?.[0]?.message?.content;
+        if (!content) {
+            throw new Error('Invalid response from analysis service');
+        }
+        return content;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Build the configured provider: { name, model, complete(prompt, context) }
+ * Returns null when no provider is configured, so callers go straight to the fallback.
+ */
+export function createProvider(env = process.env) {
+    const name = env.LLM_PROVIDER || (env.OPENROUTER_API_KEY ? 'openrouter' : 'none');
+    const timeoutMs = parseInt(env.LLM_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+
+    if (name === 'openrouter') {
+        const model = env.LLM_MODEL || DEFAULT_OPENROUTER_MODEL;
+        return {
+            name,
+            model,
+            complete: async prompt => {
+                if (!env.OPENROUTER_API_KEY) {
+                    throw new Error('OPENROUTER_API_KEY is not set');
+                }
+                return chatCompletion({
+                    baseUrl: OPENROUTER_URL,
+                    apiKey: env.OPENROUTER_API_KEY,
+                    model,
+                    headers: {
+                        'HTTP-Referer': 'https://statcoach-volleyball.vercel.app',
+                        'X-Title': 'StatCoach Volleyball'
+                    },
+                    prompt,
+                    timeoutMs
+                });
+            }
+        };
+    }
+
+    if (name === 'openai-compatible') {
+        if (!env.LLM_BASE_URL || !env.LLM_MODEL) {
+            throw new Error('openai-compatible provider needs LLM_BASE_URL and LLM_MODEL');
+        }
+        return {
+            name,
+            model: env.LLM_MODEL,
+            complete: prompt => chatCompletion({
+                baseUrl: env.LLM_BASE_URL,
+                apiKey: env.LLM_API_KEY,
+                model: env.LLM_MODEL,
+                prompt,
+                timeoutMs
+            })
+        };
+    }
+
+    // Deterministic stand-in: the rule-based insights, so the full flow runs with no network
+    if (name === 'mock') {
+        return {
+            name,
+            model: 'mock',
+            complete: async (prompt, { analysis }) => analysis.insightsText
+        };
+    }
+
+    if (name === 'none') {
+        return null;
+    }
+
+    throw new Error(`Unknown LLM_PROVIDER "${name}"`);
+}
@@ -0,0 +1,90 @@
+// /api/_lib/prompt.js - Build the coaching prompt from analysis.js output
+import analysisModule from '../../analysis.js';
+
+const { getBenchmarkProfile, WIN_MODEL_NOTE, EXTENDED_METRICS, formatExtendedValue, formatMetricName } = analysisModule;
+
+const EXTENDED_BASIS = {
+    model: 'built from kills, attack errors and attempts in the model',
+    descriptive: 'descriptive only, no benchmarks'
+};
+
+function percentPerUnit(oddsRatio) {
+    const change = (oddsRatio - 1) * 100;
+    return `${change >= 0 ? '+' : ''}${change.toFixed(1)}%`;
+}
+
+/**
+ * Every number in the prompt comes from the game's benchmark profile and its analyzeGame result,
+ * so the model sees the same research data and win probability the app shows
+ */
+export function buildPrompt(stats, analysis) {
+    const profile = getBenchmarkProfile(analysis.profile);
+    const metrics = Object.keys(profile.oddsRatios).filter(metric => profile.win[metric] !== undefined);
+
+    const oddsLines = metrics
+        .slice()
+        .sort((a, b) => Math.abs(Math.log(profile.oddsRatios[b])) - Math.abs(Math.log(profile.oddsRatios[a])))
+        .map(metric => `- ${formatMetricName(metric)}: OR = ${profile.oddsRatios[metric]} (${percentPerUnit(profile.oddsRatios[metric])} odds of winning per unit)`);
+
+    const benchmarkLines = metrics
+        .map(metric => `- ${formatMetricName(metric)}: winners avg ${profile.win[metric]}, losers avg ${profile.loss[metric]}`);
+
+    const impactLines = Object.entries(analysis.impacts)
+        .sort((a, b) => Math.abs(b[1].impact) - Math.abs(a[1].impact))
+        .map(([metric, data]) => `- ${formatMetricName(metric)}: ${data.value.toFixed(1)} per match vs winning avg ${data.benchmark} (${data.impact >= 0 ? '+' : ''}${data.impact.toFixed(1)} pts of win probability)`);
+
+    const extras = [];
+    if (analysis.players && analysis.players.flags.length > 0) {
+        extras.push('PLAYER NOTES:', ...analysis.players.flags.map(flag => `- ${flag.text}`));
+    }
+    if (analysis.sets && analysis.sets.notes.length > 0) {
+        extras.push('SET-BY-SET NOTES:', ...analysis.sets.notes.map(note => `- ${note}`));
+    }
+    if (analysis.extended && Object.keys(analysis.extended).length > 0) {
+        extras.push('EXTENDED STATS (only cite win probability for the model-based one):', ...Object.entries(analysis.extended).map(([metric, data]) =>
+            `- ${EXTENDED_METRICS[metric].label}: ${formatExtendedValue(metric, data.value)}${data.win !== null ? ` (winning avg ${formatExtendedValue(metric, data.win)}, losing avg ${formatExtendedValue(metric, data.loss)})` : ''} - ${EXTENDED_BASIS[data.basis]}`));
+    }
+
+    return `You are StatCoach Volleyball, a professional volleyball analysis tool that provides research-backed insights to coaches.
+
+RESEARCH DATA (${profile.source}):
+${oddsLines.join('\n')}
+
+${profile.label.toUpperCase()} WINNING vs LOSING TEAM BENCHMARKS (per match):
+${benchmarkLines.join('\n')}
+
+CURRENT GAME STATISTICS:
+- Opponent: ${stats.opponent}
+- Sets Played: ${stats.totalSets}
+- Kills: ${stats.totalKills} of ${stats.killAttempts} attempts, ${stats.attackErrors} attack errors (${analysis.metrics.killEfficiency.toFixed(1)}% kill efficiency)
+- Service Aces: ${stats.serviceAces} (${analysis.metrics.acesPerSet.toFixed(1)} per set), Service Errors: ${stats.serviceErrors}
+- Reception Errors: ${stats.receptionErrors} (${analysis.metrics.receptionErrorRate.toFixed(1)} per set)
+- Blocks: ${stats.soloBlocks} solo, ${stats.blockAssists} assists (${analysis.metrics.blocksPerSet.toFixed(1)} per set)
+- Digs: ${stats.digs} (${analysis.metrics.digsPerSet.toFixed(1)} per set)
+
+MODEL OUTPUT (already calculated - use these numbers, do not recalculate):
+- Predicted win probability: ${analysis.winProbability.percent.toFixed(0)}%
+${impactLines.join('\n')}
+${extras.length > 0 ? '\n' + extras.join('\n') + '\n' : ''}
+About the model: ${WIN_MODEL_NOTE}
+
+TONE: Professional coach-to-coach communication. Research-backed but practical. No jargon.
+
+STRUCTURE YOUR RESPONSE EXACTLY LIKE THIS:
+
+**Game Impact Summary**
+[Brief assessment using the predicted win probability and which metrics fall into winning or losing team ranges.]
+
+**Biggest Advantages**
+[2-3 top areas, citing their share of the win probability and the research odds ratio.]
+
+**Areas for Improvement**
+[Key weaknesses compared to the benchmarks, citing their cost in win probability points.]
+
+**Weekly Practice Recommendations**
+**Primary Focus (40% of practice time)**: [The metric costing the most win probability]
+**Secondary Focus (25% of practice time)**: [The next biggest cost, with research justification]
+**Strengths to Maintain (20% of practice time)**: [Areas at winning team levels]
+
+Only use the numbers given above.`;
+}
@@ -0,0 +1,327 @@
+// /api/_lib/report-page.js - The read-only report page a share link opens
+import analysisModule from '../../analysis.js';
+import schemaModule from '../../game-schema.js';
+import accessModule from '../../access.js';
+
+const { getBenchmarkProfile, formatMetricName, formatExtendedValue, EXTENDED_METRICS, WIN_MODEL_NOTE, TEAM_MODEL_NOTE } = analysisModule;
+const { formatSetScores } = schemaModule;
+// Everything on the page comes from coach-entered text, and the page is public
+const { escapeHtml } = accessModule;
+
+// Chart data goes into a script tag, so "</script>" in an opponent name can't close it
+function scriptJson(value) {
+    return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+function formatDate(date) {
+    return date ? new Date(`${date}T00:00:00`).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' }) : '';
+}
+
+function resultText(result, setScores) {
+    if (!result) return '';
+    const scores = formatSetScores(setScores);
+    return `${result === 'win' ? 'Won' : 'Lost'}${scores ? ` ${scores}` : ''}`;
+}
+
+// The same reading of insightsText as formatInsights in results.js
+function insightsHtml(text) {
+    return String(text || '')
+        .split('\n')
+        .map(line => {
+            if (line.startsWith('**') && line.endsWith('**')) return `<h4>${escapeHtml(line.replace(/\*\*/g, ''))}</h4>`;
+            if (line.startsWith('•')) return `<li>${escapeHtml(line.substring(1).trim())}</li>`;
+            if (line.trim() === '') return '';
+            return `<p>${escapeHtml(line.replace(/\*\*/g, ''))}</p>`;
+        })
+        .join('');
+}
+
+function page(title, body, script = '') {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex, nofollow">
+    <title>${escapeHtml(title)} - StatCoach Volleyball</title>
+    <style>
+        * { box-sizing: border-box; margin: 0; padding: 0; }
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #f8fafc; color: #1a1a1a; line-height: 1.5; }
+        .report { max-width: 960px; margin: 0 auto; padding: 2rem 1.5rem 3rem; }
+        .report-brand { font-size: 0.875rem; font-weight: 600; color: #3b82f6; margin-bottom: 0.5rem; }
+        h1 { font-size: 1.75rem; font-weight: 700; }
+        .report-meta { color: #6b7280; font-size: 0.875rem; margin-bottom: 1.5rem; }
+        .card { background: white; border-radius: 16px; padding: 1.5rem; margin-bottom: 1.5rem; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.08); }
+        .card h2 { font-size: 1.125rem; margin-bottom: 0.75rem; }
+        .headline { display: flex; align-items: baseline; gap: 0.75rem; }
+        .headline-value { font-size: 2.5rem; font-weight: 700; color: #1d4ed8; }
+        .bar { height: 10px; background: #e5e7eb; border-radius: 999px; overflow: hidden; margin-top: 0.5rem; }
+        .bar-fill { height: 100%; background: linear-gradient(90deg, #3b82f6, #1d4ed8); }
+        .note { color: #6b7280; font-size: 0.75rem; margin-top: 0.75rem; }
+        .metrics { display: grid; grid-template-columns: repeat(auto-fit, minmax(160px, 1fr)); gap: 1rem; margin-bottom: 1.5rem; }
+        .metric { background: white; border-radius: 12px; padding: 1rem; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.08); }
+        .metric-label { font-size: 0.75rem; color: #6b7280; font-weight: 600; }
+        .metric-value { font-size: 1.5rem; font-weight: 700; }
+        table { width: 100%; border-collapse: collapse; font-size: 0.875rem; }
+        th, td { padding: 0.5rem; border-bottom: 1px solid #f3f4f6; text-align: left; }
+        th { color: #6b7280; font-weight: 600; font-size: 0.75rem; }
+        .positive { color: #059669; font-weight: 600; }
+        .negative { color: #dc2626; font-weight: 600; }
+        .chart { position: relative; height: 280px; }
+        .insights h4 { margin: 1rem 0 0.25rem; }
+        .insights li { margin-left: 1.25rem; }
+        .footer { color: #9ca3af; font-size: 0.75rem; text-align: center; }
+        .table-wrap { overflow-x: auto; }
+    </style>
+</head>
+<body>
+    <main class="report">
+        <div class="report-brand">🏐 StatCoach Volleyball · Shared report</div>
+        ${body}
+        <p class="footer">Read-only report shared by the coaching staff.</p>
+    </main>
+    ${script}
+</body>
+</html>`;
+}
+
+function winProbabilityCard(analysis, label) {
+    const percent = analysis.winProbability.percent;
+    return `
+        <section class="card">
+            <h2>${escapeHtml(label)}</h2>
+            <div class="headline"><span class="headline-value">${percent.toFixed(0)}%</span></div>
+            <div class="bar"><div class="bar-fill" style="width: ${percent.toFixed(1)}%"></div></div>
+            <p class="note">${escapeHtml(analysis.winProbability.source === 'team' ? TEAM_MODEL_NOTE : WIN_MODEL_NOTE)}</p>
+        </section>`;
+}
+
+function metricCards(stats, analysis) {
+    const m = analysis.metrics;
+    const perSet = value => (value || 0).toFixed(1);
+    return `
+        <div class="metrics">
+            <div class="metric"><div class="metric-label">Kill Efficiency</div><div class="metric-value">${(m.killEfficiency || 0).toFixed(1)}%</div></div>
+            <div class="metric"><div class="metric-label">Hitting Percentage</div><div class="metric-value">${formatExtendedValue('hittingPercentage', EXTENDED_METRICS.hittingPercentage.value(stats) || 0)}</div></div>
+            <div class="metric"><div class="metric-label">Aces Per Set</div><div class="metric-value">${perSet(m.acesPerSet)}</div></div>
+            <div class="metric"><div class="metric-label">Blocks Per Set</div><div class="metric-value">${perSet(m.blocksPerSet)}</div></div>
+            <div class="metric"><div class="metric-label">Reception Errors/Set</div><div class="metric-value">${perSet(m.receptionErrorRate)}</div></div>
+        </div>`;
+}
+
+function impactChartCard(analysis) {
+    return `
+        <section class="card">
+            <h2>What Moved the Win Probability</h2>
+            <div class="chart"><canvas id="impactChart"></canvas></div>
+            <p class="note">Each stat's share of the predicted win probability, in percentage points.</p>
+        </section>`;
+}
+
+function extendedCard(analysis) {
+    const rows = Object.entries(analysis.extended || {});
+    if (rows.length === 0) return '';
+    return `
+        <section class="card">
+            <h2>Beyond the Box Score</h2>
+            <div class="table-wrap">
+                <table>
+                    <thead><tr><th>Stat</th><th>Value</th><th>Winning Avg</th><th>Losing Avg</th></tr></thead>
+                    <tbody>
+                        ${rows.map(([metric, data]) => `
+                            <tr>
+                                <td>${escapeHtml(EXTENDED_METRICS[metric].label)}</td>
+                                <td>${formatExtendedValue(metric, data.value)}</td>
+                                <td>${formatExtendedValue(metric, data.win)}</td>
+                                <td>${formatExtendedValue(metric, data.loss)}</td>
+                            </tr>`).join('')}
+                    </tbody>
+                </table>
+            </div>
+        </section>`;
+}
+
+function playersCard(players) {
+    if (!players || players.length === 0) return '';
+    const score = value => `<span class="${value >= 0 ? 'positive' : 'negative'}">${value >= 0 ? '+' : ''}${value.toFixed(1)}</span>`;
+    return `
+        <section class="card">
+            <h2>Player Impact</h2>
+            <div class="table-wrap">
+                <table>
+                    <thead><tr><th>Player</th><th>Kills</th><th>Kill Eff.</th><th>Aces</th><th>Rec. Errors</th><th>Digs</th><th>Impact</th></tr></thead>
+                    <tbody>
+                        ${players.map(player => `
+                            <tr>
+                                <td><strong>${escapeHtml(player.name)}</strong></td>
+                                <td>${player.kills}</td>
+                                <td>${player.killEfficiency === null ? '-' : `${player.killEfficiency.toFixed(1)}%`}</td>
+                                <td>${player.serviceAces}</td>
+                                <td>${player.receptionErrors}</td>
+                                <td>${player.digs}</td>
+                                <td>${score(player.netScore)}</td>
+                            </tr>`).join('')}
+                    </tbody>
+                </table>
+            </div>
+        </section>`;
+}
+
+function setsCard(sets) {
+    if (!sets || sets.length === 0) return '';
+    return `
+        <section class="card">
+            <h2>Set-by-Set</h2>
+            <table>
+                <thead><tr><th>Set</th><th>Score</th><th>Win Prob.</th></tr></thead>
+                <tbody>
+                    ${sets.map(set => `
+                        <tr>
+                            <td>${set.setNumber}</td>
+                            <td>${set.won === null ? '-' : `<span class="${set.won ? 'positive' : 'negative'}">${set.won ? 'W' : 'L'}</span> ${set.ourScore}-${set.opponentScore}`}</td>
+                            <td>${set.winProbability.toFixed(0)}%</td>
+                        </tr>`).join('')}
+                </tbody>
+            </table>
+        </section>`;
+}
+
+function insightsCard(analysis) {
+    return `
+        <section class="card insights">
+            <h2>Coaching Insights</h2>
+            ${insightsHtml(analysis.insightsText)}
+        </section>`;
+}
+
+function chartScript(config) {
+    return `
+    <script src="https://cdn.jsdelivr.net/npm/chart.js@4.4.1/dist/chart.umd.js"></script>
+    <script>
+        (function () {
+            var config = ${scriptJson(config)};
+            if (window.Chart) new Chart(document.getElementById(config.canvas), config.chart);
+        })();
+    </script>`;
+}
+
+/**
+ * The page for a game share link, from buildSharedGameReport (share.js)
+ */
+export function renderGameReport(report) {
+    const { analysis } = report;
+    const profile = getBenchmarkProfile(analysis.profile);
+    const impacts = Object.entries(analysis.impacts).sort((a, b) => Math.abs(b[1].impact) - Math.abs(a[1].impact));
+    const meta = [formatDate(report.gameDate), resultText(report.result, report.setScores), `${report.stats.totalSets} sets`, profile.label]
+        .filter(Boolean);
+
+    const body = `
+        <h1>${escapeHtml(report.teamName)} vs ${escapeHtml(report.opponent)}</h1>
+        <p class="report-meta">${meta.map(escapeHtml).join(' · ')}</p>
+        ${winProbabilityCard(analysis, 'Predicted Win Probability')}
+        ${metricCards(report.stats, analysis)}
+        ${impactChartCard(analysis)}
+        ${extendedCard(analysis)}
+        ${playersCard(analysis.players)}
+        ${setsCard(analysis.sets)}
+        ${insightsCard(analysis)}`;
+
+    return page(`${report.teamName} vs ${report.opponent}`, body, chartScript({
+        canvas: 'impactChart',
+        chart: {
+            type: 'bar',
+            data: {
+                labels: impacts.map(([metric]) => formatMetricName(metric)),
+                datasets: [{
+                    data: impacts.map(([, data]) => Number(data.impact.toFixed(1))),
+                    backgroundColor: impacts.map(([, data]) => (data.impact >= 0 ? '#10b981' : '#ef4444'))
+                }]
+            },
+            options: { indexAxis: 'y', maintainAspectRatio: false, plugins: { legend: { display: false } } }
+        }
+    }));
+}
+
+/**
+ * The page for a season share link, from buildSharedSeasonReport (share.js)
+ */
+export function renderSeasonReport(report) {
+    const profile = getBenchmarkProfile(report.profile);
+    const { wins, losses } = report.record;
+    const dates = report.games.map(game => game.gameDate);
+    const meta = [
+        `${report.games.length} game${report.games.length !== 1 ? 's' : ''}`,
+        wins + losses > 0 ? `${wins}-${losses}` : '',
+        dates.length > 0 ? `${formatDate(dates[0])} to ${formatDate(dates[dates.length - 1])}` : '',
+        profile.label
+    ].filter(Boolean);
+
+    if (!report.analysis) {
+        return page(`${report.teamName} ${report.seasonName}`, `
+            <h1>${escapeHtml(report.teamName)} · ${escapeHtml(report.seasonName)}</h1>
+            <p class="report-meta">No games have been saved in this season yet.</p>`);
+    }
+
+    const body = `
+        <h1>${escapeHtml(report.teamName)} · ${escapeHtml(report.seasonName)}</h1>
+        <p class="report-meta">${meta.map(escapeHtml).join(' · ')}</p>
+        ${winProbabilityCard(report.analysis, 'Season Average Stat Line - Predicted Win Probability')}
+        ${metricCards(report.stats, report.analysis)}
+        <section class="card">
+            <h2>Predicted Win Probability by Game</h2>
+            <div class="chart"><canvas id="seasonChart"></canvas></div>
+        </section>
+        <section class="card">
+            <h2>Game Log</h2>
+            <div class="table-wrap">
+                <table>
+                    <thead><tr><th>Date</th><th>Opponent</th><th>Result</th><th>K</th><th>TA</th><th>E</th><th>Hit %</th><th>SA</th><th>RE</th><th>DIG</th><th>Win Prob.</th></tr></thead>
+                    <tbody>
+                        ${report.games.slice().reverse().map(game => `
+                            <tr>
+                                <td>${escapeHtml(formatDate(game.gameDate))}</td>
+                                <td>${escapeHtml(game.opponent)}</td>
+                                <td>${escapeHtml(resultText(game.result, game.setScores)) || '-'}</td>
+                                <td>${game.stats.totalKills}</td>
+                                <td>${game.stats.killAttempts}</td>
+                                <td>${game.stats.attackErrors}</td>
+                                <td>${formatExtendedValue('hittingPercentage', game.hittingPercentage)}</td>
+                                <td>${game.stats.serviceAces}</td>
+                                <td>${game.stats.receptionErrors}</td>
+                                <td>${game.stats.digs}</td>
+                                <td>${game.winProbability.toFixed(0)}%</td>
+                            </tr>`).join('')}
+                    </tbody>
+                </table>
+            </div>
+        </section>
+        ${insightsCard(report.analysis)}`;
+
+    return page(`${report.teamName} ${report.seasonName}`, body, chartScript({
+        canvas: 'seasonChart',
+        chart: {
+            type: 'line',
+            data: {
+                labels: report.games.map(game => `${formatDate(game.gameDate)} vs ${game.opponent}`),
+                datasets: [{
+                    label: 'Predicted win probability',
+                    data: report.games.map(game => Number(game.winProbability.toFixed(1))),
+                    borderColor: '#3b82f6',
+                    backgroundColor: 'rgba(59, 130, 246, 0.1)',
+                    fill: true,
+                    tension: 0.3
+                }]
+            },
+            options: { maintainAspectRatio: false, scales: { y: { min: 0, max: 100 } }, plugins: { legend: { display: false } } }
+        }
+    }));
+}
+
+/**
+ * What a missing, revoked or expired link shows; it doesn't say which, so tokens can't be probed
+ */
+export function renderUnavailable() {
+    return page('Report unavailable', `
+        <h1>This report isn't available</h1>
+        <p class="report-meta">The link may have expired or been turned off by the coaching staff. Ask them for a new one.</p>`);
+}
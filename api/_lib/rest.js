@@ -0,0 +1,150 @@
+// /api/_lib/rest.js - API key auth, paging and the game resource shared by the /api/v1 routes
+import schemaModule from '../../game-schema.js';
+import accessModule from '../../access.js';
+import integrationsModule from '../../integrations.js';
+
+const { gameRowToStats, gamePlayerRowToLine, gameSetRowToSet } = schemaModule;
+const { accessError, assertTeamAccess } = accessModule;
+const { API_KEY_SCOPES, hashApiKey } = integrationsModule;
+
+export const DEFAULT_PAGE_SIZE = 25;
+export const MAX_PAGE_SIZE = 100;
+
+/**
+ * The API key on a request, from "Authorization: Bearer <key>" or "X-API-Key: <key>"
+ * Returns { id, name, teamId, scope, userId } or throws a 401 when the key is missing, unknown or revoked.
+ * A key acts as the coach who made it, so it also stops working if they leave the team or lose the
+ * role its scope needs.
+ */
+export async function authenticateApiKey(supabase, req, scope = 'read') {
+    const header = req.headers.authorization || '';
+    const key = header.startsWith('Bearer ') ? header.slice('Bearer '.length).trim() : req.headers['x-api-key'];
+    if (!key) {
+        throw accessError('Missing API key', 401);
+    }
+
+    const { data: apiKey, error } = await supabase
+        .from('api_keys')
+        .select('*')
+        .eq('key_hash', await hashApiKey(String(key)))
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!apiKey || apiKey.revoked_at) {
+        throw accessError('Invalid or revoked API key', 401);
+    }
+    if (scope === 'write' && apiKey.scope !== 'write') {
+        throw accessError('This API key is read only', 403);
+    }
+
+    await assertTeamAccess(supabase, apiKey.created_by, apiKey.team_id, API_KEY_SCOPES[apiKey.scope].action);
+
+    const { error: usedError } = await supabase
+        .from('api_keys')
+        .update({ last_used_at: new Date().toISOString() })
+        .eq('id', apiKey.id);
+
+    if (usedError) console.error('API key usage error:', usedError);
+
+    return { id: apiKey.id, name: apiKey.name, teamId: apiKey.team_id, scope: apiKey.scope, userId: apiKey.created_by };
+}
+
+/**
+ * Who a write through this key is saved as: the key's coach, shown as the key on "last changed by"
+ */
+export function keyUser(apiKey) {
+    return { id: apiKey.userId, email: null, user_metadata: { coach_name: `API key "${apiKey.name}"` } };
+}
+
+/**
+ * The API's view of a games row: the stats in the entry form's shape, plus the players, set
+ * rows and stored analysis when they're given. User ids and the edit history stay out.
+ */
+export function gameResource(row, playerRows = null, setRows = null) {
+    const resource = {
+        id: row.id,
+        seasonId: row.season_id,
+        opponentId: row.opponent_id || null,
+        ...gameRowToStats(row),
+        winProbability: row.analysis_data && row.analysis_data.winProbability ? row.analysis_data.winProbability.percent : null,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at || row.created_at,
+        updatedBy: row.updated_by_name || null
+    };
+    if (playerRows) resource.players = playerRows.map(gamePlayerRowToLine);
+    if (setRows) resource.sets = setRows.map(gameSetRowToSet);
+    if (playerRows || setRows) resource.analysis = row.analysis_data || null;
+    return resource;
+}
+
+// Query parameters are strings; a bad one is the caller's mistake, not a server error
+function badRequest(message) {
+    return accessError(message, 400);
+}
+
+export function isUuid(value) {
+    return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(String(value));
+}
+
+function isDate(value) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(`${value}T00:00:00Z`));
+}
+
+/**
+ * Paging and filters for GET /api/v1/games: { limit, offset, opponent, from, to, seasonId }
+ */
+export function parseListQuery(query) {
+    const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+    const offset = query.offset === undefined ? 0 : Number(query.offset);
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        throw badRequest(`limit must be a whole number from 1 to ${MAX_PAGE_SIZE}`);
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+        throw badRequest('offset must be a whole number, 0 or more');
+    }
+    if (query.season !== undefined && !isUuid(query.season)) {
+        throw badRequest('season must be a season id');
+    }
+    for (const name of ['from', 'to']) {
+        if (query[name] !== undefined && !isDate(query[name])) {
+            throw badRequest(`${name} must be a date (YYYY-MM-DD)`);
+        }
+    }
+
+    return {
+        limit,
+        offset,
+        opponent: query.opponent ? String(query.opponent).trim() : null,
+        from: query.from || null,
+        to: query.to || null,
+        seasonId: query.season || null
+    };
+}
+
+/**
+ * A LIKE pattern matching names that contain the text, with the wildcards in it taken literally
+ */
+export function containsPattern(text) {
+    return `%${text.replace(/[\\%_]/g, match => `\\${match}`)}%`;
+}
+
+/**
+ * Point each player line at the team's roster by name; a caller can't name a player id directly,
+ * since it could belong to another team. Unknown names get added to the roster on save.
+ */
+export async function resolvePlayers(supabase, teamId, players) {
+    const { data: roster, error } = await supabase
+        .from('players')
+        .select('id, name')
+        .eq('team_id', teamId);
+
+    if (error) throw error;
+
+    const byName = new Map((roster || []).map(player => [player.name.trim().toLowerCase(), player.id]));
+    return players.map(player => {
+        const { playerId, ...line } = player;
+        const id = byName.get(String(line.name || '').trim().toLowerCase());
+        return id ? { ...line, playerId: id } : line;
+    });
+}
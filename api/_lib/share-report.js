@@ -0,0 +1,121 @@
+// /api/_lib/share-report.js - The /api/report handler: a share link's token to its report page
+import shareModule from '../../share.js';
+import { renderGameReport, renderSeasonReport, renderUnavailable } from './report-page.js';
+
+const { shareLinkStatus, buildSharedGameReport, buildSharedSeasonReport } = shareModule;
+
+function sendPage(res, status, html) {
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    // The page is only as private as its token: keep it out of caches, search and referrers
+    res.setHeader('Cache-Control', 'no-store');
+    res.setHeader('X-Robots-Tag', 'noindex, nofollow');
+    res.setHeader('Referrer-Policy', 'no-referrer');
+    return res.status(status).send(html);
+}
+
+/**
+ * Build the handler. getClient returns the service key Supabase client; tests pass their own.
+ */
+export function createReportHandler({ getClient }) {
+    return async function handler(req, res) {
+        if (req.method !== 'GET') {
+            return res.status(405).json({ error: 'Method not allowed' });
+        }
+
+        try {
+            const { token } = req.query;
+
+            if (!token || typeof token !== 'string') {
+                return sendPage(res, 404, renderUnavailable());
+            }
+
+            const supabase = getClient();
+
+            const { data: link, error: linkError } = await supabase
+                .from('share_links')
+                .select('*')
+                .eq('token', token)
+                .maybeSingle();
+
+            if (linkError) throw linkError;
+            // Unknown, revoked and expired links get the same page and status, so tokens can't be probed
+            if (!link || shareLinkStatus(link) !== 'active') {
+                return sendPage(res, 404, renderUnavailable());
+            }
+
+            const { data: team, error: teamError } = await supabase
+                .from('teams')
+                .select('name')
+                .eq('id', link.team_id)
+                .single();
+
+            if (teamError) throw teamError;
+
+            // The service key skips row level security, so every query is pinned to the link's team
+            let html;
+            if (link.kind === 'game') {
+                const { data: row, error: gameError } = await supabase
+                    .from('games')
+                    .select('*')
+                    .eq('id', link.game_id)
+                    .eq('team_id', link.team_id)
+                    .maybeSingle();
+
+                if (gameError) throw gameError;
+                if (!row) {
+                    return sendPage(res, 404, renderUnavailable());
+                }
+
+                const [{ data: playerRows, error: playersError }, { data: setRows, error: setsError }] = await Promise.all([
+                    supabase.from('game_players').select('*').eq('game_id', row.id),
+                    supabase.from('game_sets').select('*').eq('game_id', row.id).order('set_number')
+                ]);
+
+                if (playersError) throw playersError;
+                if (setsError) throw setsError;
+
+                html = renderGameReport(buildSharedGameReport(team.name, row, playerRows || [], setRows || []));
+            } else {
+                const { data: season, error: seasonError } = await supabase
+                    .from('seasons')
+                    .select('name')
+                    .eq('id', link.season_id)
+                    .eq('team_id', link.team_id)
+                    .maybeSingle();
+
+                if (seasonError) throw seasonError;
+                if (!season) {
+                    return sendPage(res, 404, renderUnavailable());
+                }
+
+                const { data: rows, error: gamesError } = await supabase
+                    .from('games')
+                    .select('*')
+                    .eq('team_id', link.team_id)
+                    .eq('season_id', link.season_id)
+                    .order('game_date', { ascending: true });
+
+                if (gamesError) throw gamesError;
+
+                html = renderSeasonReport(buildSharedSeasonReport(team.name, season, rows || [], link.benchmark_profile));
+            }
+
+            // Lets the staff see whether a link is being used; a failed write doesn't cost the viewer the page
+            const { error: viewError } = await supabase
+                .from('share_links')
+                .update({ last_viewed_at: new Date().toISOString() })
+                .eq('id', link.id);
+
+            if (viewError) console.error('Share link view error:', viewError);
+
+            return sendPage(res, 200, html);
+
+        } catch (error) {
+            console.error('Report error:', error);
+            return res.status(500).json({
+                error: 'Failed to load report',
+                message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+            });
+        }
+    };
+}
@@ -0,0 +1,169 @@
+// /api/_lib/webhooks.js - Deliver a saved game to the team's webhooks
+import { createHmac, randomUUID } from 'crypto';
+import { lookup } from 'dns';
+import { request } from 'https';
+import { BlockList, isIP } from 'net';
+import schemaModule from '../../game-schema.js';
+import { gameResource } from './rest.js';
+
+const { formatSetScores, matchResult, matchSetScores } = schemaModule;
+
+// A receiver that hangs doesn't hold the save that triggered it past this
+const DELIVERY_TIMEOUT_MS = 5000;
+
+// The server can reach hosts an owner can't (the database, cloud metadata, anything on the
+// private network), so receivers must be on the public internet
+const RESERVED_RANGES = new BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+    ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => RESERVED_RANGES.addSubnet(network, prefix, 'ipv4'));
+[
+    // NAT64 and 6to4 addresses can carry any IPv4 address, private ones included; IPv4-mapped
+    // addresses (::ffff:10.0.0.1) are checked against the IPv4 ranges above
+    ['::', 127], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+    ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => RESERVED_RANGES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is one a webhook may be delivered to
+ */
+export function isPublicAddress(address) {
+    const family = isIP(address);
+    return family !== 0 && !RESERVED_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+function blockedError(hostname) {
+    const error = new Error(`${hostname} is not a public address`);
+    error.code = 'EBLOCKED';
+    return error;
+}
+
+// dns.lookup for the request itself, so the address checked is the address connected to
+// (a name that resolves somewhere public once and somewhere private the next time gets nowhere)
+function publicLookup(hostname, options, callback) {
+    lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        if (addresses.length === 0 || addresses.some(({ address }) => !isPublicAddress(address))) {
+            return callback(blockedError(hostname));
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+// POST the body and resolve with the status code; redirects aren't followed
+function post(url, headers, body, signal) {
+    // An address in the URL is connected to without a lookup, so it's checked here
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    if (isIP(host) && !isPublicAddress(host)) {
+        return Promise.reject(blockedError(host));
+    }
+
+    return new Promise((resolve, reject) => {
+        const outgoing = request(url, {
+            method: 'POST',
+            headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+            lookup: publicLookup,
+            signal
+        }, response => {
+            response.resume();
+            resolve(response.statusCode);
+        });
+        outgoing.on('error', reject);
+        outgoing.end(body);
+    });
+}
+
+/**
+ * X-StatCoach-Signature for a body: "sha256=" and the HMAC of the raw body with the webhook's secret
+ */
+export function signPayload(secret, body) {
+    return `sha256=${createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+// One line for chat tools; a Slack incoming webhook shows the text field as the message
+function summaryText(teamName, event, stats, analysis) {
+    const result = matchResult(stats);
+    const scores = formatSetScores(matchSetScores(stats));
+    const sets = result && result.setsWon !== null ? ` ${result.setsWon}-${result.setsLost}` : '';
+    const outcome = result ? `${result.won ? 'beat' : 'lost to'} ${stats.opponent}${sets}` : `played ${stats.opponent}`;
+    const probability = analysis && analysis.winProbability ? ` · ${analysis.winProbability.percent.toFixed(0)}% predicted win probability` : '';
+    return `${event === 'game.updated' ? 'Updated: ' : ''}${teamName} ${outcome}${scores ? ` (${scores})` : ''} on ${stats.gameDate}${probability}`;
+}
+
+async function deliver(webhook, event, body) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), DELIVERY_TIMEOUT_MS);
+
+    let status = null;
+    let failure = null;
+    try {
+        const url = new URL(webhook.url);
+        if (url.protocol !== 'https:') throw new Error('Webhook URLs must use https');
+
+        status = await post(url, {
+            'Content-Type': 'application/json',
+            'User-Agent': 'StatCoach-Webhooks/1',
+            'X-StatCoach-Event': event,
+            'X-StatCoach-Delivery': randomUUID(),
+            'X-StatCoach-Signature': signPayload(webhook.secret, body)
+        }, body, controller.signal);
+        if (status < 200 || status > 299) failure = `Receiver answered ${status}`;
+    } catch (error) {
+        failure = error.name === 'AbortError' ? `No answer within ${DELIVERY_TIMEOUT_MS / 1000}s` : error.message;
+    } finally {
+        clearTimeout(timer);
+    }
+
+    return { status, failure };
+}
+
+/**
+ * Post a game event to every active webhook on the game's team that listens for it
+ * Deliveries aren't retried; each webhook keeps its last status so the team page can show
+ * one that's failing. Returns how many deliveries the receivers accepted.
+ */
+export async function deliverGameEvent(supabase, row, event) {
+    const { data: webhooks, error } = await supabase
+        .from('webhooks')
+        .select('*')
+        .eq('team_id', row.team_id)
+        .eq('active', true)
+        .contains('events', [event]);
+
+    if (error) throw error;
+    if (!webhooks || webhooks.length === 0) return 0;
+
+    const { data: team, error: teamError } = await supabase
+        .from('teams')
+        .select('name')
+        .eq('id', row.team_id)
+        .single();
+
+    if (teamError) throw teamError;
+
+    const game = gameResource(row);
+    const body = JSON.stringify({
+        event,
+        sentAt: new Date().toISOString(),
+        team: { id: row.team_id, name: team.name },
+        game,
+        text: summaryText(team.name, event, game, row.analysis_data)
+    });
+
+    const results = await Promise.all(webhooks.map(webhook => deliver(webhook, event, body)));
+
+    await Promise.all(webhooks.map(async (webhook, index) => {
+        const { status, failure } = results[index];
+        const { error: recordError } = await supabase
+            .from('webhooks')
+            .update({ last_delivery_at: new Date().toISOString(), last_status: status, last_error: failure })
+            .eq('id', webhook.id);
+
+        if (recordError) console.error('Webhook status error:', recordError);
+    }));
+
+    return results.filter(result => !result.failure).length;
+}
@@ -0,0 +1,67 @@
+// /api/game-webhook.js - Deliver a game saved in the app to the team's webhooks
+import { createClient } from '@supabase/supabase-js';
+import accessModule from '../access.js';
+import integrationsModule from '../integrations.js';
+import { deliverGameEvent } from './_lib/webhooks.js';
+
+const { assertTeamAccess } = accessModule;
+const { WEBHOOK_EVENTS } = integrationsModule;
+
+export default async function handler(req, res) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+        const { userToken, gameId, event } = req.body;
+
+        if (!userToken || !gameId || !WEBHOOK_EVENTS[event]) {
+            return res.status(400).json({ error: 'Missing required data' });
+        }
+
+        // Initialize Supabase with service key for server-side operations
+        const supabase = createClient(
+            process.env.NEXT_PUBLIC_SUPABASE_URL,
+            process.env.SUPABASE_SERVICE_ROLE_KEY
+        );
+
+        const { data: { user }, error: authError } = await supabase.auth.getUser(userToken);
+
+        if (authError || !user) {
+            return res.status(401).json({ error: 'Invalid user token' });
+        }
+
+        const { data: row, error: gameError } = await supabase
+            .from('games')
+            .select('*')
+            .eq('id', gameId)
+            .maybeSingle();
+
+        if (gameError) throw gameError;
+        if (!row) {
+            return res.status(404).json({ error: 'Game not found' });
+        }
+
+        // Only someone who could have saved the game can announce it; the payload is built from
+        // the saved row, never from what the page sends
+        await assertTeamAccess(supabase, user.id, row.team_id, 'edit');
+
+        const delivered = await deliverGameEvent(supabase, row, event);
+
+        return res.status(200).json({
+            success: true,
+            delivered
+        });
+
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+
+        console.error('Game webhook error:', error);
+        return res.status(500).json({
+            error: 'Failed to deliver webhooks',
+            message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+}
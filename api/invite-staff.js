@@ -0,0 +1,102 @@
+// /api/invite-staff.js - Invite a coach or stats manager to a team by email
+import { createClient } from '@supabase/supabase-js';
+import accessModule from '../access.js';
+
+const { assertTeamAccess, validateInvite, normalizeEmail } = accessModule;
+
+export default async function handler(req, res) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+        const { userToken, teamId, email, role, redirectTo } = req.body;
+
+        if (!userToken || !teamId) {
+            return res.status(400).json({ error: 'Missing required data' });
+        }
+
+        const { valid, errors } = validateInvite({ email, role });
+        if (!valid) {
+            return res.status(400).json({ error: 'Invalid invite', fields: errors });
+        }
+
+        // Initialize Supabase with service key for server-side operations
+        const supabase = createClient(
+            process.env.NEXT_PUBLIC_SUPABASE_URL,
+            process.env.SUPABASE_SERVICE_ROLE_KEY
+        );
+
+        const { data: { user }, error: authError } = await supabase.auth.getUser(userToken);
+
+        if (authError || !user) {
+            return res.status(401).json({ error: 'Invalid user token' });
+        }
+
+        // Only owners manage staff; the service key skips row level security, so check here
+        await assertTeamAccess(supabase, user.id, teamId, 'manage');
+
+        const address = normalizeEmail(email);
+
+        const { data: member, error: memberError } = await supabase
+            .from('team_members')
+            .select('user_id')
+            .eq('team_id', teamId)
+            .eq('email', address)
+            .maybeSingle();
+
+        if (memberError) throw memberError;
+        if (member) {
+            return res.status(409).json({ error: 'Already on this team; change their role in the staff list' });
+        }
+
+        // Re-inviting the same address updates the role on the open invite
+        const { data: existing, error: findError } = await supabase
+            .from('team_invites')
+            .select('*')
+            .eq('team_id', teamId)
+            .eq('email', address)
+            .maybeSingle();
+
+        if (findError) throw findError;
+
+        const { data: invite, error: saveError } = existing
+            ? await supabase
+                .from('team_invites')
+                .update({ role, invited_by: user.id, accepted_at: null })
+                .eq('id', existing.id)
+                .select()
+                .single()
+            : await supabase
+                .from('team_invites')
+                .insert([{ team_id: teamId, email: address, role, invited_by: user.id }])
+                .select()
+                .single();
+
+        if (saveError) throw saveError;
+
+        // New coaches get a sign-up email; existing accounts pick the invite up on their next visit
+        const { error: emailError } = await supabase.auth.admin.inviteUserByEmail(address, redirectTo ? { redirectTo } : undefined);
+        const emailed = !emailError;
+        if (emailError && !/already (been )?registered/i.test(emailError.message)) {
+            console.error('Invite email error:', emailError);
+        }
+
+        return res.status(200).json({
+            success: true,
+            invite,
+            emailed
+        });
+
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+
+        console.error('Invite staff error:', error);
+        return res.status(500).json({
+            error: 'Failed to invite staff',
+            message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+}
@@ -0,0 +1,94 @@
+// /api/migrate-games.js - Normalize games saved in the older api/save-game.js shape
+import { createClient } from '@supabase/supabase-js';
+import schemaModule from '../game-schema.js';
+import accessModule from '../access.js';
+
+const { migrateLegacyRow } = schemaModule;
+const { canDo } = accessModule;
+
+export default async function handler(req, res) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+        const { userToken, dryRun = false } = req.body;
+
+        if (!userToken) {
+            return res.status(400).json({ error: 'Missing required data' });
+        }
+
+        // Initialize Supabase with service key for server-side operations
+        const supabase = createClient(
+            process.env.NEXT_PUBLIC_SUPABASE_URL,
+            process.env.SUPABASE_SERVICE_ROLE_KEY
+        );
+
+        // Verify user token; a coach can only migrate games they saved, on teams they can still edit
+        const { data: { user }, error: authError } = await supabase.auth.getUser(userToken);
+
+        if (authError || !user) {
+            return res.status(401).json({ error: 'Invalid user token' });
+        }
+
+        const { data: games, error: loadError } = await supabase
+            .from('games')
+            .select('*')
+            .eq('user_id', user.id);
+
+        if (loadError) {
+            throw loadError;
+        }
+
+        const { data: memberships, error: membersError } = await supabase
+            .from('team_members')
+            .select('team_id, role')
+            .eq('user_id', user.id);
+
+        if (membersError) {
+            throw membersError;
+        }
+
+        const editable = new Set((memberships || [])
+            .filter(membership => canDo(membership.role, 'edit'))
+            .map(membership => membership.team_id));
+
+        const migrated = [];
+        for (const game of games.filter(row => editable.has(row.team_id))) {
+            const update = migrateLegacyRow(game);
+            if (!update) continue;
+
+            if (!dryRun) {
+                const { error: updateError } = await supabase
+                    .from('games')
+                    .update(update)
+                    .eq('id', game.id);
+
+                if (updateError) {
+                    throw updateError;
+                }
+            }
+
+            migrated.push({
+                id: game.id,
+                opponent: game.opponent,
+                gameDate: game.game_date,
+                notes: update.analysis_data.migrationNotes || []
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            dryRun,
+            checked: games.length,
+            migrated
+        });
+
+    } catch (error) {
+        console.error('Migrate games error:', error);
+        return res.status(500).json({
+            error: 'Failed to migrate games',
+            message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+}
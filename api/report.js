@@ -0,0 +1,11 @@
+// /api/report.js - Serve a share link as a read-only game or season report page
+import { createClient } from '@supabase/supabase-js';
+import { createReportHandler } from './_lib/share-report.js';
+
+export default createReportHandler({
+    // Initialize Supabase with service key for server-side operations
+    getClient: () => createClient(
+        process.env.NEXT_PUBLIC_SUPABASE_URL,
+        process.env.SUPABASE_SERVICE_ROLE_KEY
+    )
+});
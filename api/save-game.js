@@ -1,5 +1,20 @@
 // /api/save-game.js - Save analyzed games to database
+// The analysis is done here, with the team's own win model once it has enough results. Coaching
+// insights aren't taken from the caller: /api/analyze writes them for the saved game.
 import { createClient } from '@supabase/supabase-js';
+import analysisModule from '../analysis.js';
+import schemaModule from '../game-schema.js';
+import gamesModule from '../games.js';
+import accessModule from '../access.js';
+import calibrationModule from '../calibration.js';
+import { resolvePlayers } from './_lib/rest.js';
+import { deliverGameEvent } from './_lib/webhooks.js';
+
+const { analyzeGame, getBenchmarkProfile } = analysisModule;
+const { validateGame } = schemaModule;
+const { buildGameRow, linkOpponent, insertGame } = gamesModule;
+const { assertTeamAccess, ensureSeason } = accessModule;
+const { loadTeamModel } = calibrationModule;
 
 export default async function handler(req, res) {
     if (req.method !== 'POST') {
@@ -7,12 +22,18 @@ export default async function handler(req, res) {
     }
 
     try {
-        const { gameData, analysisData, userToken } = req.body;
+        const { gameData, userToken, teamId, seasonId } = req.body;
 
-        if (!gameData || !userToken) {
+        if (!gameData || !userToken || !teamId) {
             return res.status(400).json({ error: 'Missing required data' });
         }
 
+        // Same validation as the entry form; field errors go back to the caller
+        const { valid, errors } = validateGame(gameData);
+        if (!valid) {
+            return res.status(400).json({ error: 'Invalid game data', fields: errors });
+        }
+
         // Initialize Supabase with service key for server-side operations
         const supabase = createClient(
             process.env.NEXT_PUBLIC_SUPABASE_URL,
@@ -21,59 +42,66 @@ export default async function handler(req, res) {
 
         // Verify user token
         const { data: { user }, error: authError } = await supabase.auth.getUser(userToken);
-        
+
         if (authError || !user) {
             return res.status(401).json({ error: 'Invalid user token' });
         }
 
-        // Calculate metrics for storage
-        const killEfficiency = gameData.killAttempts > 0 ? (gameData.totalKills / gameData.killAttempts * 100) : 0;
-        const acesPerSet = gameData.totalSets > 0 ? (gameData.serviceAces / gameData.totalSets) : 0;
-        const receptionErrorRate = gameData.totalSets > 0 ? (gameData.receptionErrors / gameData.totalSets) : 0;
-        const blocksPerSet = gameData.totalSets > 0 ? (gameData.totalBlocks / gameData.totalSets) : 0;
-        const digsPerSet = gameData.totalSets > 0 ? (gameData.digs / gameData.totalSets) : 0;
-
-        // Insert game record
-        const { data: savedGame, error: saveError } = await supabase
-            .from('games')
-            .insert([
-                {
-                    user_id: user.id,
-                    opponent: gameData.opponent,
-                    game_date: gameData.gameDate,
-                    total_kills: gameData.totalKills,
-                    kill_attempts: gameData.killAttempts,
-                    service_aces: gameData.serviceAces,
-                    service_errors: gameData.serviceErrors,
-                    reception_errors: gameData.receptionErrors,
-                    total_blocks: gameData.totalBlocks,
-                    digs: gameData.digs,
-                    total_sets: gameData.totalSets,
-                    analysis_data: {
-                        kill_efficiency: killEfficiency,
-                        aces_per_set: acesPerSet,
-                        reception_error_rate: receptionErrorRate,
-                        blocks_per_set: blocksPerSet,
-                        digs_per_set: digsPerSet,
-                        analysis_text: analysisData || null,
-                        analyzed_at: new Date().toISOString()
-                    }
-                }
-            ])
-            .select()
-            .single();
-
-        if (saveError) {
-            throw saveError;
+        // The service key skips row level security, so the team role is checked here
+        await assertTeamAccess(supabase, user.id, teamId, 'edit');
+
+        // A season picked by the caller has to be one of this team's; otherwise go by the game date
+        let season = seasonId;
+        if (season) {
+            const { data: owned, error: seasonError } = await supabase
+                .from('seasons')
+                .select('id')
+                .eq('id', season)
+                .eq('team_id', teamId)
+                .maybeSingle();
+
+            if (seasonError) throw seasonError;
+            if (!owned) {
+                return res.status(400).json({ error: 'Season does not belong to this team' });
+            }
+        } else {
+            season = await ensureSeason(supabase, teamId, gameData.gameDate);
         }
 
-        return res.status(200).json({
+        // analysis_data is always the analyzeGame result, so both save paths store the same shape
+        const profileId = getBenchmarkProfile(gameData.benchmarkProfile).id;
+        const analysis = analyzeGame(gameData, profileId, await loadTeamModel(supabase, teamId, profileId));
+
+        // Player ids from the caller could be another team's; lines are matched to this roster by name
+        if (gameData.players && gameData.players.length > 0) {
+            gameData.players = await resolvePlayers(supabase, teamId, gameData.players);
+        }
+
+        const row = buildGameRow(gameData, analysis, user, { teamId, seasonId: season });
+        row.opponent_id = await linkOpponent(supabase, teamId, user.id, gameData.opponent);
+
+        // Insert the game with its player lines and set rows
+        const savedGame = await insertGame(supabase, row, user.id, gameData.players, gameData.sets);
+
+        res.status(200).json({
             success: true,
             game: savedGame,
             message: 'Game saved successfully'
         });
 
+        // Delivered after the response, so a slow receiver never holds up the save;
+        // a webhook that fails shows on the team page
+        try {
+            await deliverGameEvent(supabase, savedGame, 'game.created');
+        } catch (error) {
+            console.error('Webhook delivery error:', error);
+        }
+
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+
         console.error('Save game error:', error);
         return res.status(500).json({
             error: 'Failed to save game',
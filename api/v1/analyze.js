@@ -0,0 +1,46 @@
+// /api/v1/analyze - Run analyzeGame on a stat line without saving it (REST API, API key auth)
+import { createClient } from '@supabase/supabase-js';
+import analysisModule from '../../analysis.js';
+import schemaModule from '../../game-schema.js';
+import { authenticateApiKey } from '../_lib/rest.js';
+
+const { analyzeGame } = analysisModule;
+const { validateGame } = schemaModule;
+
+export default async function handler(req, res) {
+    if (req.method !== 'POST') {
+        res.setHeader('Allow', 'POST');
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+        // Initialize Supabase with service key for server-side operations
+        const supabase = createClient(
+            process.env.NEXT_PUBLIC_SUPABASE_URL,
+            process.env.SUPABASE_SERVICE_ROLE_KEY
+        );
+
+        // Any key will do: nothing is read from or written to the team
+        await authenticateApiKey(supabase, req, 'read');
+
+        const stats = req.body || {};
+        const { valid, errors } = validateGame(stats);
+        if (!valid) {
+            return res.status(400).json({ error: 'Invalid game data', fields: errors });
+        }
+
+        // The same analysis the entry form shows and a saved game stores
+        return res.status(200).json({ data: analyzeGame(stats, stats.benchmarkProfile) });
+
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+
+        console.error('Analyze API error:', error);
+        return res.status(500).json({
+            error: 'Analysis failed',
+            message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+}
@@ -0,0 +1,129 @@
+// /api/v1/games/:id - Get, update or delete one of a team's games (REST API, API key auth)
+import { createClient } from '@supabase/supabase-js';
+import analysisModule from '../../../analysis.js';
+import schemaModule from '../../../game-schema.js';
+import gamesModule from '../../../games.js';
+import calibrationModule from '../../../calibration.js';
+import { authenticateApiKey, keyUser, gameResource, resolvePlayers, isUuid } from '../../_lib/rest.js';
+import { deliverGameEvent } from '../../_lib/webhooks.js';
+
+const { analyzeGame, getBenchmarkProfile } = analysisModule;
+const { validateGame, gameRowToStats, gamePlayerRowToLine, gameSetRowToSet } = schemaModule;
+const { buildGameUpdate, applyGameUpdate, deleteGame } = gamesModule;
+const { loadTeamModel } = calibrationModule;
+
+const METHODS = ['GET', 'PATCH', 'DELETE'];
+
+// The game with its player and set rows, or null when it isn't on the key's team
+async function loadTeamGame(supabase, teamId, gameId) {
+    // An id that isn't a uuid can't be a game; Postgres would reject it as a query error
+    if (!isUuid(gameId)) return null;
+
+    const { data: row, error } = await supabase
+        .from('games')
+        .select('*')
+        .eq('id', gameId)
+        .eq('team_id', teamId)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!row) return null;
+
+    const [{ data: playerRows, error: playersError }, { data: setRows, error: setsError }] = await Promise.all([
+        supabase.from('game_players').select('*').eq('game_id', row.id),
+        supabase.from('game_sets').select('*').eq('game_id', row.id).order('set_number')
+    ]);
+
+    if (playersError) throw playersError;
+    if (setsError) throw setsError;
+    return { row, playerRows: playerRows || [], setRows: setRows || [] };
+}
+
+/**
+ * PATCH takes any of the game's fields; the rest keep their saved values. players or sets,
+ * when given, replace the saved lines. The analysis is re-run and the old one kept in the
+ * game's history, as an edit on the game page does.
+ */
+async function patchGame(supabase, apiKey, game, req, res) {
+    const changes = req.body || {};
+    if (typeof changes !== 'object' || Array.isArray(changes)) {
+        return res.status(400).json({ error: 'Invalid game data', fields: validateGame(changes).errors });
+    }
+
+    const current = gameRowToStats(game.row);
+    if (game.playerRows.length > 0) current.players = game.playerRows.map(gamePlayerRowToLine);
+    if (game.setRows.length > 0) current.sets = game.setRows.map(gameSetRowToSet);
+
+    const stats = { ...current, ...changes };
+    const { valid, errors } = validateGame(stats);
+    if (!valid) {
+        return res.status(400).json({ error: 'Invalid game data', fields: errors });
+    }
+
+    const user = keyUser(apiKey);
+    if (changes.players) {
+        stats.players = await resolvePlayers(supabase, apiKey.teamId, changes.players);
+    }
+
+    const profileId = getBenchmarkProfile(stats.benchmarkProfile).id;
+    const analysis = analyzeGame(stats, profileId, await loadTeamModel(supabase, apiKey.teamId, profileId));
+    const update = await buildGameUpdate(supabase, game.row, stats, analysis, user);
+
+    const saved = await applyGameUpdate(supabase, game.row, update, user.id,
+        changes.players ? stats.players : null, changes.sets ? stats.sets : null);
+
+    const updated = await loadTeamGame(supabase, apiKey.teamId, saved.id);
+    res.status(200).json({ data: gameResource(updated.row, updated.playerRows, updated.setRows) });
+
+    // Delivered after the response, so a slow receiver never holds up the edit;
+    // a webhook that fails shows on the team page
+    try {
+        await deliverGameEvent(supabase, saved, 'game.updated');
+    } catch (error) {
+        console.error('Webhook delivery error:', error);
+    }
+}
+
+export default async function handler(req, res) {
+    if (!METHODS.includes(req.method)) {
+        res.setHeader('Allow', METHODS.join(', '));
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+        // Initialize Supabase with service key for server-side operations
+        const supabase = createClient(
+            process.env.NEXT_PUBLIC_SUPABASE_URL,
+            process.env.SUPABASE_SERVICE_ROLE_KEY
+        );
+
+        // The service key skips row level security, so the game is only looked up on the key's team
+        const apiKey = await authenticateApiKey(supabase, req, req.method === 'GET' ? 'read' : 'write');
+        const game = await loadTeamGame(supabase, apiKey.teamId, req.query.id);
+
+        if (!game) {
+            return res.status(404).json({ error: 'Game not found' });
+        }
+
+        if (req.method === 'GET') {
+            return res.status(200).json({ data: gameResource(game.row, game.playerRows, game.setRows) });
+        }
+        if (req.method === 'PATCH') {
+            return await patchGame(supabase, apiKey, game, req, res);
+        }
+
+        await deleteGame(supabase, game.row.id);
+        return res.status(204).end();
+
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+
+        console.error('Game API error:', error);
+        return res.status(500).json({
+            error: 'Request failed',
+            message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+}
@@ -0,0 +1,116 @@
+// /api/v1/games - List a team's games, or save a new one (REST API, API key auth)
+import { createClient } from '@supabase/supabase-js';
+import analysisModule from '../../../analysis.js';
+import schemaModule from '../../../game-schema.js';
+import gamesModule from '../../../games.js';
+import calibrationModule from '../../../calibration.js';
+import accessModule from '../../../access.js';
+import { authenticateApiKey, keyUser, gameResource, parseListQuery, containsPattern, resolvePlayers } from '../../_lib/rest.js';
+import { deliverGameEvent } from '../../_lib/webhooks.js';
+
+const { analyzeGame, getBenchmarkProfile } = analysisModule;
+const { validateGame } = schemaModule;
+const { buildGameRow, linkOpponent, insertGame } = gamesModule;
+const { loadTeamModel } = calibrationModule;
+const { ensureSeason } = accessModule;
+
+async function listGames(supabase, apiKey, req, res) {
+    const { limit, offset, opponent, from, to, seasonId } = parseListQuery(req.query);
+
+    let query = supabase
+        .from('games')
+        .select('*', { count: 'exact' })
+        .eq('team_id', apiKey.teamId);
+    if (opponent) query = query.ilike('opponent', containsPattern(opponent));
+    if (from) query = query.gte('game_date', from);
+    if (to) query = query.lte('game_date', to);
+    if (seasonId) query = query.eq('season_id', seasonId);
+
+    const { data: rows, error, count } = await query
+        .order('game_date', { ascending: false })
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+
+    return res.status(200).json({
+        data: (rows || []).map(row => gameResource(row)),
+        pagination: {
+            limit,
+            offset,
+            total: count,
+            nextOffset: offset + limit < count ? offset + limit : null
+        }
+    });
+}
+
+async function createGame(supabase, apiKey, req, res) {
+    const stats = req.body || {};
+
+    // Same validation as the entry form; field errors go back to the caller
+    const { valid, errors } = validateGame(stats);
+    if (!valid) {
+        return res.status(400).json({ error: 'Invalid game data', fields: errors });
+    }
+
+    const user = keyUser(apiKey);
+    if (stats.players && stats.players.length > 0) {
+        stats.players = await resolvePlayers(supabase, apiKey.teamId, stats.players);
+    }
+
+    const seasonId = await ensureSeason(supabase, apiKey.teamId, stats.gameDate);
+    const profileId = getBenchmarkProfile(stats.benchmarkProfile).id;
+    const analysis = analyzeGame(stats, profileId, await loadTeamModel(supabase, apiKey.teamId, profileId));
+    const row = buildGameRow(stats, analysis, user, { teamId: apiKey.teamId, seasonId });
+    row.opponent_id = await linkOpponent(supabase, apiKey.teamId, user.id, stats.opponent);
+
+    const saved = await insertGame(supabase, row, user.id, stats.players, stats.sets);
+
+    const [{ data: playerRows }, { data: setRows }] = await Promise.all([
+        supabase.from('game_players').select('*').eq('game_id', saved.id),
+        supabase.from('game_sets').select('*').eq('game_id', saved.id).order('set_number')
+    ]);
+
+    res.status(201).json({ data: gameResource(saved, playerRows || [], setRows || []) });
+
+    // Delivered after the response, so a slow receiver never holds up the save;
+    // a webhook that fails shows on the team page
+    try {
+        await deliverGameEvent(supabase, saved, 'game.created');
+    } catch (error) {
+        console.error('Webhook delivery error:', error);
+    }
+}
+
+export default async function handler(req, res) {
+    if (req.method !== 'GET' && req.method !== 'POST') {
+        res.setHeader('Allow', 'GET, POST');
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+        // Initialize Supabase with service key for server-side operations
+        const supabase = createClient(
+            process.env.NEXT_PUBLIC_SUPABASE_URL,
+            process.env.SUPABASE_SERVICE_ROLE_KEY
+        );
+
+        // The service key skips row level security, so every query is pinned to the key's team
+        const apiKey = await authenticateApiKey(supabase, req, req.method === 'POST' ? 'write' : 'read');
+
+        return req.method === 'POST'
+            ? await createGame(supabase, apiKey, req, res)
+            : await listGames(supabase, apiKey, req, res);
+
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+
+        console.error('Games API error:', error);
+        return res.status(500).json({
+            error: 'Request failed',
+            message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+}
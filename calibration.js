@@ -0,0 +1,393 @@
+/**
+ * StatCoach Volleyball - Model Calibration Module
+ * Fits the win model on the team's own results (logistic regression with a ridge
+ * penalty toward the research coefficients), and scores how well past predictions
+ * matched what actually happened.
+ */
+
+// analysis.js and game-schema.js are loaded first on the page; under Node pull them in directly
+const calibrationAnalysis = typeof module !== 'undefined' && module.exports
+    ? require('./analysis.js')
+    : { getBenchmarkProfile, buildWinModel, normalizeStats, predictWinProbability };
+const calibrationSchema = typeof module !== 'undefined' && module.exports
+    ? require('./game-schema.js')
+    : { matchResult, gameRowToStats, gameSetRowToSet };
+const calibrationAccess = typeof module !== 'undefined' && module.exports
+    ? require('./access.js')
+    : { selectedTeamId };
+
+// Below this many games with a result, the team model is shown but can't be switched on
+const MIN_CALIBRATION_GAMES = 20;
+
+// Rule of thumb for a stable logistic fit: 10 of the rarer outcome per coefficient
+const EVENTS_PER_COEFFICIENT = 10;
+
+// Strength of the pull toward the research coefficients, in standardized units
+const RIDGE_PENALTY = 2;
+
+// localStorage key prefix for the model choice, one per team: { source: 'research' | 'team', model }
+// The last fitted model is kept even while the research model is in use
+const WIN_MODEL_KEY = 'statcoach.winModel';
+
+/**
+ * Games with a known result, as { id, gameDate, opponent, normalized, won, storedProbability }
+ * games are { row, stats } pairs; storedProbability is the prediction saved with the game
+ */
+function buildSamples(games, profileId) {
+    const profile = calibrationAnalysis.getBenchmarkProfile(profileId);
+
+    return games
+        .map(({ row, stats }) => {
+            const result = calibrationSchema.matchResult(stats);
+            if (!result) return null;
+            return {
+                id: row.id,
+                gameDate: row.game_date,
+                opponent: row.opponent,
+                normalized: calibrationAnalysis.normalizeStats(stats, stats.totalSets || 3, profile),
+                won: result.won,
+                storedProbability: row.analysis_data?.winProbability?.probability ?? null
+            };
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Samples for every game the team has saved, set rows included: games saved before results were
+ * recorded still have a result if their set rows were entered. Every season counts towards the
+ * fit - more games, steadier odds ratios.
+ */
+async function loadTeamSamples(client, teamId, profileId) {
+    const [{ data: games, error }, { data: setRows, error: setsError }] = await Promise.all([
+        client.from('games').select('*').eq('team_id', teamId).order('game_date', { ascending: true }),
+        client.from('game_sets').select('*').eq('team_id', teamId).order('set_number')
+    ]);
+
+    if (error) throw error;
+    if (setsError) throw setsError;
+
+    return buildSamples((games || []).map(row => {
+        const stats = calibrationSchema.gameRowToStats(row);
+        const sets = (setRows || []).filter(set => set.game_id === row.id).map(calibrationSchema.gameSetRowToSet);
+        if (sets.length > 0) stats.sets = sets;
+        return { row, stats };
+    }), profileId);
+}
+
+/**
+ * Solve A x = b by Gaussian elimination with partial pivoting
+ */
+function solveLinear(A, b) {
+    const n = b.length;
+    const m = A.map((row, i) => row.concat([b[i]]));
+
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row;
+        }
+        [m[col], m[pivot]] = [m[pivot], m[col]];
+
+        for (let row = col + 1; row < n; row++) {
+            const factor = m[row][col] / m[col][col];
+            for (let k = col; k <= n; k++) {
+                m[row][k] -= factor * m[col][k];
+            }
+        }
+    }
+
+    const x = new Array(n).fill(0);
+    for (let row = n - 1; row >= 0; row--) {
+        let sum = m[row][n];
+        for (let k = row + 1; k < n; k++) sum -= m[row][k] * x[k];
+        x[row] = sum / m[row][row];
+    }
+    return x;
+}
+
+function invertMatrix(A) {
+    return A.map((_, i) => solveLinear(A, A.map((__, j) => (i === j ? 1 : 0))))
+        .reduce((inverse, column, j) => {
+            column.forEach((value, i) => {
+                inverse[i][j] = value;
+            });
+            return inverse;
+        }, A.map(row => row.map(() => 0)));
+}
+
+/**
+ * Penalized logistic regression by Newton's method (IRLS)
+ * X rows start with 1 for the intercept; prior holds the value each coefficient is pulled
+ * toward (the intercept isn't penalized). Returns { theta, covariance }.
+ */
+function fitLogistic(X, y, prior, penalty) {
+    const k = prior.length;
+    let theta = prior.slice();
+
+    for (let iteration = 0; iteration < 50; iteration++) {
+        const gradient = new Array(k).fill(0);
+        const hessian = Array.from({ length: k }, () => new Array(k).fill(0));
+
+        X.forEach((x, i) => {
+            const eta = x.reduce((sum, value, j) => sum + value * theta[j], 0);
+            const mu = 1 / (1 + Math.exp(-eta));
+            const weight = mu * (1 - mu);
+            for (let a = 0; a < k; a++) {
+                gradient[a] += x[a] * (y[i] - mu);
+                for (let b = 0; b < k; b++) {
+                    hessian[a][b] += weight * x[a] * x[b];
+                }
+            }
+        });
+
+        for (let j = 1; j < k; j++) {
+            gradient[j] -= penalty * (theta[j] - prior[j]);
+            hessian[j][j] += penalty;
+        }
+
+        const step = solveLinear(hessian, gradient);
+        theta = theta.map((value, j) => value + step[j]);
+        if (Math.max(...step.map(Math.abs)) < 1e-8) break;
+    }
+
+    // Covariance from the penalized information at the solution
+    const hessian = Array.from({ length: k }, () => new Array(k).fill(0));
+    X.forEach(x => {
+        const eta = x.reduce((sum, value, j) => sum + value * theta[j], 0);
+        const mu = 1 / (1 + Math.exp(-eta));
+        for (let a = 0; a < k; a++) {
+            for (let b = 0; b < k; b++) {
+                hessian[a][b] += mu * (1 - mu) * x[a] * x[b];
+            }
+        }
+    });
+    for (let j = 1; j < k; j++) hessian[j][j] += penalty;
+
+    return { theta, covariance: invertMatrix(hessian) };
+}
+
+/**
+ * Fit the win model on the team's own games
+ * Metrics are standardized for the fit, pulled toward the research coefficients by the
+ * ridge penalty, then converted back to per-unit log odds centered where the research
+ * model is centered, so the result drops into predictWinProbability unchanged.
+ * Returns { games, wins, losses, usable, warnings, metrics, model } - model is null when no fit was possible
+ */
+function fitTeamModel(samples, profileId, options = {}) {
+    const penalty = options.penalty ?? RIDGE_PENALTY;
+    const profile = calibrationAnalysis.getBenchmarkProfile(profileId);
+    const research = calibrationAnalysis.buildWinModel(profile);
+
+    const wins = samples.filter(sample => sample.won).length;
+    const losses = samples.length - wins;
+    const summary = { games: samples.length, wins, losses, usable: false, warnings: [], metrics: {}, model: null };
+
+    if (wins === 0 || losses === 0) {
+        summary.warnings.push(samples.length === 0
+            ? 'No games with a recorded result yet. Record the result or set scores when you save a game.'
+            : `All ${samples.length} games with a result are ${wins === 0 ? 'losses' : 'wins'}; a model needs both.`);
+        return summary;
+    }
+
+    // Metrics every sample recorded; ones that never vary keep the research value
+    const candidates = Object.keys(research.coefficients)
+        .filter(metric => samples.every(sample => sample.normalized[metric] !== undefined));
+    const scale = {};
+    const fixed = [];
+    const fixedValues = {};
+    candidates.forEach(metric => {
+        const values = samples.map(sample => sample.normalized[metric] - research.centers[metric]);
+        const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+        const sd = Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length);
+        if (sd > 1e-9) {
+            scale[metric] = { mean, sd };
+        } else {
+            fixed.push(metric);
+            fixedValues[metric] = mean;
+        }
+    });
+    const metrics = Object.keys(scale);
+
+    const X = samples.map(sample => [1].concat(metrics.map(metric =>
+        (sample.normalized[metric] - research.centers[metric] - scale[metric].mean) / scale[metric].sd
+    )));
+    const y = samples.map(sample => (sample.won ? 1 : 0));
+    const prior = [0].concat(metrics.map(metric => research.coefficients[metric] * scale[metric].sd));
+
+    const { theta, covariance } = fitLogistic(X, y, prior, penalty);
+
+    // Back to per-unit coefficients on the research centers
+    const coefficients = {};
+    let centeredIntercept = theta[0];
+    metrics.forEach((metric, index) => {
+        const beta = theta[index + 1] / scale[metric].sd;
+        const se = Math.sqrt(covariance[index + 1][index + 1]) / scale[metric].sd;
+        coefficients[metric] = beta;
+        centeredIntercept -= beta * scale[metric].mean;
+
+        summary.metrics[metric] = {
+            beta,
+            se,
+            oddsRatio: Math.exp(beta),
+            ciLow: Math.exp(beta - 1.96 * se),
+            ciHigh: Math.exp(beta + 1.96 * se),
+            researchOddsRatio: profile.oddsRatios[metric]
+        };
+    });
+    // A fixed metric still counts in every prediction, but the fit never saw it: its intercept
+    // already covers that constant, so take the fixed metric's share back out
+    fixed.forEach(metric => {
+        coefficients[metric] = research.coefficients[metric];
+        centeredIntercept -= research.coefficients[metric] * fixedValues[metric];
+        summary.metrics[metric] = { beta: research.coefficients[metric], se: null, oddsRatio: profile.oddsRatios[metric], ciLow: null, ciHigh: null, researchOddsRatio: profile.oddsRatios[metric], fixed: true };
+    });
+
+    const centers = {};
+    let intercept = centeredIntercept;
+    for (let metric in coefficients) {
+        centers[metric] = research.centers[metric];
+        intercept -= coefficients[metric] * centers[metric];
+    }
+
+    summary.model = {
+        source: 'team',
+        profile: profile.id,
+        intercept,
+        coefficients,
+        centers,
+        games: samples.length,
+        fittedAt: new Date().toISOString()
+    };
+    summary.usable = samples.length >= MIN_CALIBRATION_GAMES;
+
+    if (!summary.usable) {
+        summary.warnings.push(`Only ${samples.length} games with a result. The team model can be used from ${MIN_CALIBRATION_GAMES} games; until then treat these numbers as a preview.`);
+    }
+    const needed = EVENTS_PER_COEFFICIENT * metrics.length;
+    if (Math.min(wins, losses) < needed) {
+        summary.warnings.push(`Small sample: ${Math.min(wins, losses)} ${wins < losses ? 'wins' : 'losses'} for ${metrics.length} coefficients (about ${needed} are needed for a stable fit). The estimates lean on the research values and the intervals are wide.`);
+    }
+    if (fixed.length > 0) {
+        summary.warnings.push(`${fixed.join(', ')} never changed across these games, so the research value is kept.`);
+    }
+
+    return summary;
+}
+
+/**
+ * Predicted probability for one sample under a model
+ */
+function predictSample(sample, model) {
+    return calibrationAnalysis.predictWinProbability(sample.normalized, model).probability;
+}
+
+/**
+ * Out-of-sample team predictions: each game predicted by a model fitted on all the others
+ * In-sample predictions would flatter the team model, since it was fitted on those results.
+ */
+function leaveOneOutPredictions(samples, profileId, options = {}) {
+    return samples.map((sample, index) => {
+        const others = samples.filter((_, other) => other !== index);
+        const { model } = fitTeamModel(others, profileId, options);
+        return model ? predictSample(sample, model) : null;
+    });
+}
+
+/**
+ * How well a set of predictions matched the results
+ * predictions are [{ probability, won }]; returns Brier score, log loss, accuracy
+ * and a reliability table in 20-point bins
+ */
+function calibrationReport(predictions) {
+    const scored = predictions.filter(prediction => prediction.probability !== null && prediction.probability !== undefined);
+    if (scored.length === 0) return null;
+
+    const clamp = p => Math.min(1 - 1e-6, Math.max(1e-6, p));
+    const brier = scored.reduce((sum, { probability, won }) => sum + (probability - (won ? 1 : 0)) ** 2, 0) / scored.length;
+    const logLoss = -scored.reduce((sum, { probability, won }) =>
+        sum + (won ? Math.log(clamp(probability)) : Math.log(1 - clamp(probability))), 0) / scored.length;
+    const correct = scored.filter(({ probability, won }) => (probability >= 0.5) === won).length;
+
+    const bins = [0, 0.2, 0.4, 0.6, 0.8].map(low => {
+        const high = low + 0.2;
+        const inBin = scored.filter(({ probability }) => probability >= low && (probability < high || (high >= 1 && probability <= 1)));
+        return {
+            low,
+            high,
+            count: inBin.length,
+            predicted: inBin.length > 0 ? inBin.reduce((sum, { probability }) => sum + probability, 0) / inBin.length : null,
+            actual: inBin.length > 0 ? inBin.filter(({ won }) => won).length / inBin.length : null
+        };
+    });
+
+    return { games: scored.length, brier, logLoss, accuracy: correct / scored.length, bins };
+}
+
+/**
+ * The team model fitted on the team's saved results, or null until it has enough games to be used
+ * For the server, which has no stored model choice to go by
+ */
+async function loadTeamModel(client, teamId, profileId) {
+    const fit = fitTeamModel(await loadTeamSamples(client, teamId, profileId), profileId);
+    return fit.model && fit.usable ? fit.model : null;
+}
+
+// A model fitted on one team's games must never predict for another team
+function modelChoiceKey() {
+    const teamId = calibrationAccess.selectedTeamId();
+    return teamId ? `${WIN_MODEL_KEY}.${teamId}` : null;
+}
+
+function readModelChoice() {
+    if (typeof localStorage === 'undefined' || !modelChoiceKey()) return null;
+    try {
+        return JSON.parse(localStorage.getItem(modelChoiceKey()) || 'null');
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * The last team model fitted on the calibration page, whether or not it's switched on
+ */
+function storedTeamModel() {
+    const choice = readModelChoice();
+    return choice && choice.model ? choice.model : null;
+}
+
+/**
+ * The team model to pass to analyzeGame, or null when the coach uses the research model
+ * Browser only: the choice lives in localStorage, under the team the coach is working in
+ */
+function selectedTeamModel() {
+    const choice = readModelChoice();
+    return choice && choice.source === 'team' ? storedTeamModel() : null;
+}
+
+/**
+ * Remember the coach's model choice ('research' or 'team') for the current team; the fitted
+ * model is kept either way
+ */
+function saveModelChoice(source, model = storedTeamModel()) {
+    if (!modelChoiceKey()) return;
+    localStorage.setItem(modelChoiceKey(), JSON.stringify({ source: source === 'team' && model ? 'team' : 'research', model }));
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MIN_CALIBRATION_GAMES,
+        EVENTS_PER_COEFFICIENT,
+        RIDGE_PENALTY,
+        buildSamples,
+        loadTeamSamples,
+        fitTeamModel,
+        predictSample,
+        leaveOneOutPredictions,
+        calibrationReport,
+        loadTeamModel,
+        storedTeamModel,
+        selectedTeamModel,
+        saveModelChoice
+    };
+}
@@ -0,0 +1,108 @@
+/**
+ * StatCoach Volleyball - Data Export Module
+ * Turns saved games rows into CSV (for spreadsheets) and JSON (for backups).
+ * CSV headers use the import layout from import.js, so an export can be imported again.
+ */
+
+// game-schema.js is loaded first on the page; under Node pull it in directly
+const exportSchema = typeof module !== 'undefined' && module.exports
+    ? require('./game-schema.js')
+    : { GAME_COLUMNS, formatSetScores };
+
+// CSV header -> stats object field, in column order
+const EXPORT_COLUMNS = [
+    ['date', 'gameDate'],
+    ['opponent', 'opponent'],
+    ['sets', 'totalSets'],
+    ['kills', 'totalKills'],
+    ['attempts', 'killAttempts'],
+    ['attack_errors', 'attackErrors'],
+    ['aces', 'serviceAces'],
+    ['service_errors', 'serviceErrors'],
+    ['reception_errors', 'receptionErrors'],
+    ['digs', 'digs'],
+    ['solo_blocks', 'soloBlocks'],
+    ['block_assists', 'blockAssists'],
+    ['profile', 'benchmarkProfile'],
+    ['result', 'result'],
+    ['set_scores', 'setScores'],
+    ['location', 'location'],
+    ['reception_attempts', 'receptionAttempts'],
+    ['pass_rating', 'passRating'],
+    ['assists', 'assists'],
+    ['ball_handling_errors', 'ballHandlingErrors'],
+    ['points_on_serve', 'pointsOnServe'],
+    ['sideout_points', 'sideoutPoints']
+];
+
+// Marks a JSON file as a StatCoach backup when it's imported again
+// Version 2 added each game's player lines and set rows
+const EXPORT_FORMAT = 'statcoach-games';
+const EXPORT_VERSION = 2;
+
+// A spreadsheet runs a cell starting with one of these as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    // Text typed by a coach or imported from a file (an opponent named "=HYPERLINK(...)") is
+    // kept as text; import.js takes the quote back off
+    if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * One row per game: raw stats, the stored win probability and the full stored analysis as JSON
+ */
+function gamesToCSV(games) {
+    const header = EXPORT_COLUMNS.map(([name]) => name)
+        .concat(['win_probability', 'game_id', 'analysis_data']);
+
+    const rows = games.map(game => {
+        const cells = EXPORT_COLUMNS.map(([, field]) => field === 'setScores'
+            ? exportSchema.formatSetScores(game.set_scores)
+            : game[exportSchema.GAME_COLUMNS[field]]);
+        const winProbability = game.analysis_data?.winProbability?.percent;
+        cells.push(
+            winProbability !== undefined ? winProbability.toFixed(1) : '',
+            game.id,
+            game.analysis_data
+        );
+        return cells.map(csvCell).join(',');
+    });
+
+    return [header.join(',')].concat(rows).join('\r\n') + '\r\n';
+}
+
+/**
+ * Full backup of the games rows as stored, including analysis_data
+ * Each game carries its game_players and game_sets rows, from lines = { playerRows, setRows }.
+ */
+function gamesToJSON(games, meta = {}, lines = {}) {
+    const byGame = rows => (rows || []).reduce((grouped, row) => {
+        (grouped[row.game_id] = grouped[row.game_id] || []).push(row);
+        return grouped;
+    }, {});
+    const players = byGame(lines.playerRows);
+    const sets = byGame(lines.setRows);
+
+    return JSON.stringify({
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        ...meta,
+        games: games.map(game => ({
+            ...game,
+            game_players: players[game.id] || [],
+            game_sets: (sets[game.id] || []).slice().sort((a, b) => a.set_number - b.set_number)
+        }))
+    }, null, 2);
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { gamesToCSV, gamesToJSON, EXPORT_COLUMNS, EXPORT_FORMAT, EXPORT_VERSION };
+}
@@ -0,0 +1,563 @@
+/**
+ * StatCoach Volleyball - Game Schema
+ * The one shape a game is stored in, the validator every save path runs first,
+ * and the migration for rows saved in the older api/save-game.js shape.
+ */
+
+// analysis.js is loaded first on the page; under Node pull it in directly
+const schemaAnalysis = typeof module !== 'undefined' && module.exports
+    ? require('./analysis.js')
+    : { analyzeGame, getBenchmarkProfile, BENCHMARK_PROFILES, DEFAULT_PROFILE, RETIRED_PROFILES };
+
+// Stats object field -> games table column
+const GAME_COLUMNS = {
+    opponent: 'opponent',
+    gameDate: 'game_date',
+    totalKills: 'total_kills',
+    killAttempts: 'kill_attempts',
+    attackErrors: 'attack_errors',
+    serviceAces: 'service_aces',
+    serviceErrors: 'service_errors',
+    receptionErrors: 'reception_errors',
+    soloBlocks: 'solo_blocks',
+    blockAssists: 'block_assists',
+    digs: 'digs',
+    totalSets: 'total_sets',
+    benchmarkProfile: 'benchmark_profile',
+    opponentStats: 'opponent_stats',
+    result: 'result',
+    setScores: 'set_scores',
+    location: 'location',
+    assists: 'assists',
+    ballHandlingErrors: 'ball_handling_errors',
+    receptionAttempts: 'reception_attempts',
+    passRating: 'pass_rating',
+    pointsOnServe: 'points_on_serve',
+    sideoutPoints: 'sideout_points'
+};
+
+const MATCH_RESULTS = ['win', 'loss'];
+
+// Where the match was played, for home/away splits
+const MATCH_LOCATIONS = ['home', 'away', 'neutral'];
+
+// Count fields with their form label and a per-set ceiling well past anything real,
+// so a typo (an extra zero) is caught without rejecting an unusual match
+const COUNT_LIMITS = {
+    totalKills: { label: 'Total Kills', perSet: 40 },
+    killAttempts: { label: 'Attack Attempts', perSet: 100 },
+    attackErrors: { label: 'Attack Errors', perSet: 30 },
+    serviceAces: { label: 'Service Aces', perSet: 20 },
+    serviceErrors: { label: 'Service Errors', perSet: 20 },
+    receptionErrors: { label: 'Reception Errors', perSet: 20 },
+    digs: { label: 'Digs', perSet: 80 },
+    soloBlocks: { label: 'Solo Blocks', perSet: 20 },
+    blockAssists: { label: 'Block Assists', perSet: 40 }
+};
+
+// Extended team counts: optional, since not every scorebook keeps them; checked like COUNT_LIMITS when entered
+const EXTENDED_LIMITS = {
+    assists: { label: 'Assists', perSet: 40 },
+    ballHandlingErrors: { label: 'Ball-Handling Errors', perSet: 20 },
+    receptionAttempts: { label: 'Reception Attempts', perSet: 50 },
+    pointsOnServe: { label: 'Points on Serve', perSet: 50 },
+    sideoutPoints: { label: 'Sideout Points', perSet: 50 }
+};
+
+// Serve-receive passes are rated 0 (error) to 3 (perfect); passRating is the average
+const PASS_RATING_MAX = 3;
+
+// Every optional extended field, in form order
+const EXTENDED_FIELDS = ['receptionAttempts', 'passRating', 'assists', 'ballHandlingErrors', 'pointsOnServe', 'sideoutPoints'];
+
+const MAX_SETS = 5;
+const EARLIEST_GAME_DATE = '1990-01-01';
+
+/**
+ * Check one line of counts (a team total, player line or set row)
+ * Errors are keyed by field, with the prefix for player and set lines
+ */
+function validateCounts(line, sets, prefix, errors) {
+    for (let field in COUNT_LIMITS) {
+        const value = line[field];
+        const { label, perSet } = COUNT_LIMITS[field];
+
+        if (value === null || value === undefined || value === '') {
+            errors[prefix + field] = `${label} is required`;
+        } else if (!Number.isInteger(Number(value)) || Number(value) < 0) {
+            errors[prefix + field] = `${label} must be a whole number, 0 or more`;
+        } else if (Number(value) > perSet * sets) {
+            errors[prefix + field] = `${label} looks too high for ${sets} set${sets === 1 ? '' : 's'} (max ${perSet * sets})`;
+        }
+    }
+
+    if (!errors[prefix + 'killAttempts'] && Number(line.totalKills) + Number(line.attackErrors) > Number(line.killAttempts)) {
+        errors[prefix + 'killAttempts'] = `Kills + attack errors (${Number(line.totalKills) + Number(line.attackErrors)}) can't be more than attack attempts (${line.killAttempts})`;
+    }
+}
+
+function isBlank(value) {
+    return value === null || value === undefined || value === '';
+}
+
+// Stats arrive as JSON from the API and from imported files, so any part can be the wrong shape
+function isRecord(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check an optional list of lines (players or sets): it has to be an array of objects
+ * Calls check(line, index) for each line that is one.
+ */
+function validateLines(lines, field, label, errors, check) {
+    if (lines === undefined || lines === null) return;
+    if (!Array.isArray(lines)) {
+        errors[field] = `${label} must be a list`;
+        return;
+    }
+    lines.forEach((line, index) => {
+        if (isRecord(line)) {
+            check(line, index);
+        } else {
+            errors[`${field}.${index}`] = 'This line is empty or not readable';
+        }
+    });
+}
+
+/**
+ * Check the optional extended stats on the team line
+ * Each is checked on its own, then against the counts it has to agree with where both were entered.
+ */
+function validateExtended(stats, sets, errors) {
+    for (let field in EXTENDED_LIMITS) {
+        const value = stats[field];
+        const { label, perSet } = EXTENDED_LIMITS[field];
+
+        if (isBlank(value)) continue;
+        if (!Number.isInteger(Number(value)) || Number(value) < 0) {
+            errors[field] = `${label} must be a whole number, 0 or more`;
+        } else if (Number(value) > perSet * sets) {
+            errors[field] = `${label} looks too high for ${sets} set${sets === 1 ? '' : 's'} (max ${perSet * sets})`;
+        }
+    }
+
+    if (!isBlank(stats.passRating)) {
+        const rating = Number(stats.passRating);
+        if (isNaN(rating) || rating < 0 || rating > PASS_RATING_MAX) {
+            errors.passRating = `Pass rating must be between 0 and ${PASS_RATING_MAX}`;
+        }
+    }
+
+    if (!errors.assists && !isBlank(stats.assists) && Number(stats.assists) > Number(stats.totalKills)) {
+        errors.assists = `Assists (${stats.assists}) can't be more than kills (${stats.totalKills})`;
+    }
+
+    if (!errors.receptionAttempts && !isBlank(stats.receptionAttempts) && Number(stats.receptionErrors) > Number(stats.receptionAttempts)) {
+        errors.receptionAttempts = `Reception errors (${stats.receptionErrors}) can't be more than reception attempts (${stats.receptionAttempts})`;
+    }
+
+    // Every ace is a point on serve
+    if (!errors.pointsOnServe && !isBlank(stats.pointsOnServe) && Number(stats.serviceAces) > Number(stats.pointsOnServe)) {
+        errors.pointsOnServe = `Points on serve (${stats.pointsOnServe}) can't be fewer than service aces (${stats.serviceAces})`;
+    }
+
+    // Every point we score is won either on our serve or on a sideout; checked once every set's score is in
+    const scores = matchSetScores(stats);
+    if (!errors.pointsOnServe && !errors.sideoutPoints && !isBlank(stats.pointsOnServe) && !isBlank(stats.sideoutPoints) && scores.length === sets) {
+        const ourPoints = scores.reduce((sum, set) => sum + (Number(set.ourScore) || 0), 0);
+        const split = Number(stats.pointsOnServe) + Number(stats.sideoutPoints);
+        if (split !== ourPoints) {
+            errors.sideoutPoints = `Points on serve + sideout points (${split}) should equal the points in the set scores (${ourPoints})`;
+        }
+    }
+}
+
+/**
+ * Read set scores typed as "25-20, 22-25, 15-12" (ours first)
+ * Returns [{ setNumber, ourScore, opponentScore }], or null if the text can't be read
+ */
+function parseSetScores(text) {
+    const parts = String(text || '').split(/[,;]|\s+(?=\d+\s*[-–:]\s*\d+)/).map(part => part.trim()).filter(Boolean);
+    const scores = [];
+
+    for (const part of parts) {
+        const match = part.match(/^(\d+)\s*[-–:]\s*(\d+)$/);
+        if (!match) return null;
+        scores.push({ setNumber: scores.length + 1, ourScore: Number(match[1]), opponentScore: Number(match[2]) });
+    }
+
+    return scores;
+}
+
+function formatSetScores(setScores) {
+    return (setScores || []).map(set => `${set.ourScore}-${set.opponentScore}`).join(', ');
+}
+
+/**
+ * Set scores for a match: the typed scores, else the scores on the set-by-set rows
+ */
+function matchSetScores(stats) {
+    if (Array.isArray(stats.setScores) && stats.setScores.length > 0) return stats.setScores.filter(isRecord);
+    return (Array.isArray(stats.sets) ? stats.sets : [])
+        .filter(set => isRecord(set) && (set.ourScore > 0 || set.opponentScore > 0))
+        .map(set => ({ setNumber: set.setNumber, ourScore: set.ourScore, opponentScore: set.opponentScore }));
+}
+
+/**
+ * Final result of a match: { won, setsWon, setsLost }, or null when it wasn't recorded
+ * The recorded result wins; otherwise it's read from the set scores
+ */
+function matchResult(stats) {
+    const scores = matchSetScores(stats);
+    const setsWon = scores.filter(set => Number(set.ourScore) > Number(set.opponentScore)).length;
+    const setsLost = scores.filter(set => Number(set.opponentScore) > Number(set.ourScore)).length;
+
+    if (MATCH_RESULTS.includes(stats.result)) {
+        return {
+            won: stats.result === 'win',
+            setsWon: scores.length > 0 ? setsWon : null,
+            setsLost: scores.length > 0 ? setsLost : null
+        };
+    }
+    if (setsWon === setsLost) return null;
+
+    return { won: setsWon > setsLost, setsWon, setsLost };
+}
+
+function isValidDate(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date) && date.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Typed set scores: readable, no ties, no more sets than were played, and agreeing with the result
+ */
+function validateSetScores(stats, sets, errors) {
+    if (!Array.isArray(stats.setScores) || !stats.setScores.every(isRecord)) {
+        errors.setScores = 'Set scores must look like 25-20, 22-25, 25-18 (our score first)';
+        return;
+    }
+
+    const scores = stats.setScores;
+    if (scores.some(set => !Number.isInteger(Number(set.ourScore)) || !Number.isInteger(Number(set.opponentScore)) ||
+        Number(set.ourScore) < 0 || Number(set.opponentScore) < 0)) {
+        errors.setScores = 'Set scores must be whole numbers';
+    } else if (scores.some(set => Number(set.ourScore) === Number(set.opponentScore))) {
+        errors.setScores = "A set can't end in a tie";
+    } else if (Number.isInteger(sets) && scores.length > sets) {
+        errors.setScores = `${scores.length} set scores entered for a ${sets}-set match`;
+    } else if (MATCH_RESULTS.includes(stats.result)) {
+        const won = scores.filter(set => Number(set.ourScore) > Number(set.opponentScore)).length;
+        const lost = scores.length - won;
+        if (won !== lost && (won > lost) !== (stats.result === 'win')) {
+            errors.result = `The set scores (${won}-${lost}) say this match was a ${won > lost ? 'win' : 'loss'}`;
+        }
+    }
+}
+
+/**
+ * Player lines, when entered, must add up to the team totals they're saved with, so the
+ * box score and the team numbers can't tell different stories
+ */
+function validatePlayerTotals(stats, errors) {
+    if (!Array.isArray(stats.players) || stats.players.length === 0) return;
+    if (Object.keys(errors).some(key => key.startsWith('players'))) return;
+
+    for (let field in COUNT_LIMITS) {
+        if (errors[field]) continue;
+        const sum = stats.players.reduce((total, player) => total + Number(player[field]), 0);
+        if (Number(stats[field]) !== sum) {
+            errors[field] = `${COUNT_LIMITS[field].label} (${stats[field]}) doesn't match the player lines (${sum})`;
+        }
+    }
+}
+
+/**
+ * Validate a stats object before it's analyzed or saved
+ * Returns { valid, errors } where errors maps a field (e.g. 'killAttempts',
+ * 'players.2.digs', 'sets.1.ourScore', 'opponentStats.digs') to a message the form can show next to it
+ */
+function validateGame(stats) {
+    const errors = {};
+    if (!isRecord(stats)) {
+        errors.game = 'Game data must be an object of stats';
+        return { valid: false, errors };
+    }
+
+    if (!stats.opponent || !String(stats.opponent).trim()) {
+        errors.opponent = 'Opponent is required';
+    } else if (String(stats.opponent).length > 100) {
+        errors.opponent = 'Opponent name is too long (100 characters max)';
+    }
+
+    // A day of slack so a late-night entry in an earlier time zone isn't "in the future"
+    const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    if (!isValidDate(stats.gameDate)) {
+        errors.gameDate = 'Game date must be a real date (YYYY-MM-DD)';
+    } else if (stats.gameDate < EARLIEST_GAME_DATE || stats.gameDate > tomorrow) {
+        errors.gameDate = 'Game date must be between 1990 and today';
+    }
+
+    const sets = Number(stats.totalSets);
+    if (!Number.isInteger(sets) || sets < 1 || sets > MAX_SETS) {
+        errors.totalSets = `Sets played must be between 1 and ${MAX_SETS}`;
+    }
+
+    if (stats.benchmarkProfile && !schemaAnalysis.BENCHMARK_PROFILES[stats.benchmarkProfile]
+        && !schemaAnalysis.RETIRED_PROFILES.includes(stats.benchmarkProfile)) {
+        errors.benchmarkProfile = 'Unknown benchmark profile';
+    }
+
+    const setsForLimits = errors.totalSets ? MAX_SETS : sets;
+    validateCounts(stats, setsForLimits, '', errors);
+    validateExtended(stats, setsForLimits, errors);
+
+    validateLines(stats.players, 'players', 'Players', errors, (player, index) => {
+        if (isBlank(player.name) || !String(player.name).trim()) {
+            errors[`players.${index}.name`] = 'Player name is required';
+        } else if (String(player.name).length > 100) {
+            errors[`players.${index}.name`] = 'Player name is too long (100 characters max)';
+        }
+        validateCounts(player, setsForLimits, `players.${index}.`, errors);
+    });
+    validatePlayerTotals(stats, errors);
+
+    if (stats.result && !MATCH_RESULTS.includes(stats.result)) {
+        errors.result = 'Result must be a win or a loss';
+    }
+
+    if (stats.location && !MATCH_LOCATIONS.includes(stats.location)) {
+        errors.location = 'Location must be home, away or neutral';
+    }
+
+    if (stats.setScores !== undefined && stats.setScores !== null) {
+        validateSetScores(stats, sets, errors);
+    }
+
+    // The opponent's side of the box score is optional; when entered it's checked like ours
+    if (stats.opponentStats && !isRecord(stats.opponentStats)) {
+        errors.opponentStats = 'Opponent box score must be an object of stats';
+    } else if (stats.opponentStats) {
+        validateCounts(stats.opponentStats, setsForLimits, 'opponentStats.', errors);
+    }
+
+    validateLines(stats.sets, 'sets', 'Set rows', errors, (set, index) => {
+        validateCounts(set, 1, `sets.${index}.`, errors);
+        if (!Number.isInteger(Number(set.ourScore)) || Number(set.ourScore) < 0) {
+            errors[`sets.${index}.ourScore`] = 'Set score must be a whole number';
+        }
+        if (!Number.isInteger(Number(set.opponentScore)) || Number(set.opponentScore) < 0) {
+            errors[`sets.${index}.opponentScore`] = 'Set score must be a whole number';
+        }
+    });
+    if (Array.isArray(stats.sets) && !errors.totalSets && stats.sets.length > sets) {
+        errors.sets = `${stats.sets.length} set rows entered for a ${sets}-set match`;
+    }
+
+    return { valid: Object.keys(errors).length === 0, errors };
+}
+
+/**
+ * Flatten validateGame errors into readable messages, naming the player or set they belong to
+ */
+function describeErrors(stats, errors) {
+    return Object.entries(errors).map(([key, message]) => {
+        const [group, index] = key.split('.');
+        if (group === 'players' && index !== undefined) {
+            return `${stats.players[index]?.name || `Player ${Number(index) + 1}`}: ${message}`;
+        }
+        if (group === 'sets' && index !== undefined) {
+            return `Set ${Number(index) + 1}: ${message}`;
+        }
+        if (group === 'opponentStats') {
+            return `${stats.opponent || 'Opponent'} box score: ${message}`;
+        }
+        return message;
+    });
+}
+
+/**
+ * Stats object -> games table columns (stats only; the caller adds user and analysis columns)
+ */
+function statsToRow(stats) {
+    const row = {};
+    for (let field in GAME_COLUMNS) {
+        row[GAME_COLUMNS[field]] = stats[field];
+    }
+    row.benchmark_profile = schemaAnalysis.getBenchmarkProfile(stats.benchmarkProfile).id;
+    row.opponent_stats = stats.opponentStats || null;
+
+    // The result is stored whenever it's known, including when it only came from set scores
+    const result = matchResult(stats);
+    const setScores = matchSetScores(stats);
+    row.result = result ? (result.won ? 'win' : 'loss') : null;
+    row.set_scores = setScores.length > 0 ? setScores : null;
+    row.location = stats.location || null;
+
+    // Extended stats that weren't recorded stay empty rather than 0
+    EXTENDED_FIELDS.forEach(field => {
+        row[GAME_COLUMNS[field]] = isBlank(stats[field]) ? null : Number(stats[field]);
+    });
+    return row;
+}
+
+/**
+ * Turn a saved games row back into the stats object analyzeGame expects
+ * Rows still in the older shape are read through the same conversion the migration applies.
+ */
+function gameRowToStats(row) {
+    const columns = { ...row, ...legacyColumnUpdates(row).columns };
+    const stats = {};
+    for (let field in GAME_COLUMNS) {
+        stats[field] = columns[GAME_COLUMNS[field]];
+    }
+    stats.totalSets = stats.totalSets || 3;
+    ['opponentStats', 'result', 'setScores', 'location'].forEach(field => {
+        if (!stats[field]) delete stats[field];
+    });
+    EXTENDED_FIELDS.forEach(field => {
+        if (stats[field] === null || stats[field] === undefined) {
+            delete stats[field];
+        } else {
+            stats[field] = Number(stats[field]);
+        }
+    });
+    return stats;
+}
+
+/**
+ * Turn a saved game_players row back into a box score line
+ */
+function gamePlayerRowToLine(row) {
+    return {
+        playerId: row.player_id,
+        name: row.player_name,
+        totalKills: row.total_kills || 0,
+        killAttempts: row.kill_attempts || 0,
+        attackErrors: row.attack_errors || 0,
+        serviceAces: row.service_aces || 0,
+        serviceErrors: row.service_errors || 0,
+        receptionErrors: row.reception_errors || 0,
+        digs: row.digs || 0,
+        soloBlocks: row.solo_blocks || 0,
+        blockAssists: row.block_assists || 0
+    };
+}
+
+/**
+ * Turn a saved game_sets row back into a set line
+ */
+function gameSetRowToSet(row) {
+    return {
+        setNumber: row.set_number,
+        ourScore: row.our_score || 0,
+        opponentScore: row.opponent_score || 0,
+        totalKills: row.total_kills || 0,
+        killAttempts: row.kill_attempts || 0,
+        attackErrors: row.attack_errors || 0,
+        serviceAces: row.service_aces || 0,
+        serviceErrors: row.service_errors || 0,
+        receptionErrors: row.reception_errors || 0,
+        digs: row.digs || 0,
+        soloBlocks: row.solo_blocks || 0,
+        blockAssists: row.block_assists || 0
+    };
+}
+
+/**
+ * Column fixes for a row saved in the older shape, and the assumptions behind them
+ * The old path stored total_blocks (solo + half of each assist) with no split, and no attack errors.
+ * Blocks are credited as assists, since most blocks at every level are assisted; missing
+ * attack errors become 0. Both are listed so the game page can say the numbers were inferred.
+ */
+function legacyColumnUpdates(row) {
+    const columns = {};
+    const assumptions = [];
+
+    if (row.solo_blocks == null && row.block_assists == null) {
+        const totalBlocks = Number(row.total_blocks) || 0;
+        columns.solo_blocks = 0;
+        columns.block_assists = Math.round(totalBlocks * 2);
+        assumptions.push(`${totalBlocks} total blocks recorded as ${columns.block_assists} block assists (no solo/assist split was saved)`);
+    }
+
+    if (row.attack_errors == null) {
+        columns.attack_errors = 0;
+        assumptions.push('Attack errors were not recorded; counted as 0');
+    }
+
+    if (!row.benchmark_profile) {
+        columns.benchmark_profile = schemaAnalysis.DEFAULT_PROFILE;
+    }
+
+    return { columns, assumptions };
+}
+
+/**
+ * A row needs migrating if it's missing current columns or has the old analysis_data shape
+ */
+function isLegacyRow(row) {
+    const { columns } = legacyColumnUpdates(row);
+    const analysis = row.analysis_data;
+    return Object.keys(columns).length > 0 || !analysis || !analysis.winProbability;
+}
+
+/**
+ * Normalize a row saved in the older shape
+ * Returns the columns to update (null if the row is already current). The old analysis_data is
+ * kept in analysis_history and replaced with a fresh analysis of the migrated stats.
+ */
+function migrateLegacyRow(row) {
+    if (!isLegacyRow(row)) return null;
+
+    const { columns, assumptions } = legacyColumnUpdates(row);
+    const stats = gameRowToStats(row);
+    const analysis = schemaAnalysis.analyzeGame(stats, stats.benchmarkProfile);
+    if (assumptions.length > 0) {
+        analysis.migrationNotes = assumptions;
+    }
+
+    const history = (row.analysis_history || []).slice();
+    if (row.analysis_data) {
+        history.push({
+            stats,
+            analysis: row.analysis_data,
+            savedAt: row.updated_at || row.created_at || null,
+            savedBy: row.updated_by_name || null
+        });
+    }
+
+    return {
+        ...columns,
+        analysis_data: analysis,
+        analysis_history: history,
+        updated_at: new Date().toISOString(),
+        updated_by_name: 'Automatic migration'
+    };
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        GAME_COLUMNS,
+        COUNT_LIMITS,
+        EXTENDED_LIMITS,
+        PASS_RATING_MAX,
+        EXTENDED_FIELDS,
+        MATCH_RESULTS,
+        MATCH_LOCATIONS,
+        validateGame,
+        describeErrors,
+        statsToRow,
+        parseSetScores,
+        formatSetScores,
+        matchSetScores,
+        matchResult,
+        gameRowToStats,
+        gamePlayerRowToLine,
+        gameSetRowToSet,
+        isLegacyRow,
+        migrateLegacyRow
+    };
+}
@@ -0,0 +1,337 @@
+/**
+ * StatCoach Volleyball - Game Storage
+ * Shared save, load, edit and delete paths for saved games.
+ * Every function takes the page's Supabase client. Games belong to a team and one of its
+ * seasons; who may save, edit or delete them is enforced by the database policies.
+ */
+
+// game-schema.js is loaded first on the page; under Node pull it in directly
+const storageSchema = typeof module !== 'undefined' && module.exports
+    ? require('./game-schema.js')
+    : { validateGame, statsToRow, gameRowToStats, gamePlayerRowToLine, gameSetRowToSet };
+
+// opponents.js is loaded before this file on the page
+const storageOpponents = typeof module !== 'undefined' && module.exports
+    ? require('./opponents.js')
+    : { matchOpponent };
+
+// access.js is loaded before this file on the page
+const storageAccess = typeof module !== 'undefined' && module.exports
+    ? require('./access.js')
+    : { ensureSeason };
+
+// Shown as "last changed by" on the game page
+function editorName(user) {
+    return user.user_metadata?.coach_name || user.email;
+}
+
+// Save paths refuse invalid stats; the error carries the field errors for the form
+function assertValidGame(stats) {
+    const { valid, errors } = storageSchema.validateGame(stats);
+    if (!valid) {
+        const error = new Error('Invalid game data');
+        error.fieldErrors = errors;
+        throw error;
+    }
+}
+
+/**
+ * Build the games row for a new game, shared with api/save-game.js
+ * scope is { teamId, seasonId }
+ */
+function buildGameRow(stats, analysis, user, scope) {
+    return {
+        user_id: user.id,
+        team_id: scope.teamId,
+        season_id: scope.seasonId,
+        ...storageSchema.statsToRow(stats),
+        benchmark_profile: analysis.profile,
+        analysis_data: analysis,
+        event_log: stats.eventLog || null,
+        updated_at: new Date().toISOString(),
+        updated_by: user.id,
+        updated_by_name: editorName(user)
+    };
+}
+
+/**
+ * Tell the team's webhooks (api/game-webhook.js) about a saved game
+ * Not awaited by the save: a webhook that's slow or down never holds up or fails a save.
+ */
+function announceGame(session, gameId, event) {
+    fetch('/api/game-webhook', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ userToken: session.access_token, gameId, event })
+    }).catch(error => console.error('Webhook notification error:', error));
+}
+
+/**
+ * Save a game to a team, in the season its date falls in (created the first time)
+ * with its player lines, set rows and (optionally) live event log
+ * Returns the saved game row, or null when nobody is signed in
+ */
+async function saveGame(client, stats, analysis, teamId) {
+    const { data: { session } } = await client.auth.getSession();
+    if (!session) return null;
+
+    assertValidGame(stats);
+    const seasonId = await storageAccess.ensureSeason(client, teamId, stats.gameDate);
+    const row = buildGameRow(stats, analysis, session.user, { teamId, seasonId });
+    row.opponent_id = await linkOpponent(client, teamId, session.user.id, stats.opponent);
+
+    const data = await insertGame(client, row, session.user.id, stats.players, stats.sets);
+
+    announceGame(session, data.id, 'game.created');
+    return data;
+}
+
+/**
+ * Find the team's opponent record a game's opponent name refers to, creating it the first time
+ * A new spelling of a known opponent is kept as an alias so it matches next time.
+ * Returns the opponent id
+ */
+async function linkOpponent(client, teamId, userId, name) {
+    const { data: opponents, error } = await client
+        .from('opponents')
+        .select('*')
+        .eq('team_id', teamId);
+
+    if (error) throw error;
+
+    const existing = storageOpponents.matchOpponent(opponents || [], name);
+    if (existing) {
+        const spelling = String(name).trim();
+        if (spelling !== existing.name && !(existing.aliases || []).includes(spelling)) {
+            const { error: aliasError } = await client
+                .from('opponents')
+                .update({ aliases: (existing.aliases || []).concat([spelling]) })
+                .eq('id', existing.id);
+
+            if (aliasError) throw aliasError;
+        }
+        return existing.id;
+    }
+
+    const { data: created, error: createError } = await client
+        .from('opponents')
+        .insert([{ user_id: userId, team_id: teamId, name: String(name).trim(), aliases: [] }])
+        .select()
+        .single();
+
+    if (createError) throw createError;
+    return created.id;
+}
+
+// Each line points at its roster player, matched by name; new names join the roster. Matching
+// first means a save retried after a failure reuses the players the first attempt added.
+async function addToRoster(client, game, userId, players) {
+    const unmatched = players.filter(player => !player.playerId);
+    if (unmatched.length === 0) return;
+
+    const { data: roster, error: rosterError } = await client
+        .from('players')
+        .select('id, name')
+        .eq('team_id', game.team_id);
+
+    if (rosterError) throw rosterError;
+
+    const rosterKey = name => String(name || '').trim().toLowerCase();
+    const byName = new Map((roster || []).map(player => [rosterKey(player.name), player.id]));
+
+    for (const player of unmatched) {
+        if (!byName.has(rosterKey(player.name))) {
+            const { data: created, error } = await client
+                .from('players')
+                .insert([{ user_id: userId, team_id: game.team_id, name: String(player.name).trim(), active: true }])
+                .select()
+                .single();
+
+            if (error) throw error;
+            byName.set(rosterKey(player.name), created.id);
+        }
+        player.playerId = byName.get(rosterKey(player.name));
+    }
+}
+
+// game_players rows for a game's box score lines
+function playerLineRows(game, userId, players) {
+    return players.map(player => ({
+        game_id: game.id,
+        player_id: player.playerId,
+        user_id: userId,
+        team_id: game.team_id,
+        player_name: player.name,
+        total_kills: player.totalKills,
+        kill_attempts: player.killAttempts,
+        attack_errors: player.attackErrors,
+        service_aces: player.serviceAces,
+        service_errors: player.serviceErrors,
+        reception_errors: player.receptionErrors,
+        digs: player.digs,
+        solo_blocks: player.soloBlocks,
+        block_assists: player.blockAssists
+    }));
+}
+
+// game_sets rows for a game's set-by-set lines
+function setLineRows(game, userId, sets) {
+    return sets.map(set => ({
+        game_id: game.id,
+        user_id: userId,
+        team_id: game.team_id,
+        set_number: set.setNumber,
+        our_score: set.ourScore,
+        opponent_score: set.opponentScore,
+        total_kills: set.totalKills,
+        kill_attempts: set.killAttempts,
+        attack_errors: set.attackErrors,
+        service_aces: set.serviceAces,
+        service_errors: set.serviceErrors,
+        reception_errors: set.receptionErrors,
+        digs: set.digs,
+        solo_blocks: set.soloBlocks,
+        block_assists: set.blockAssists
+    }));
+}
+
+/**
+ * Insert a built games row with its player lines and set rows, shared with the API routes
+ * It's one transaction (save_game): a save cut off part way leaves nothing behind, so a retry
+ * never finds the game saved without its lines. Returns the saved row
+ */
+async function insertGame(client, row, userId, players, sets) {
+    const game = { id: null, team_id: row.team_id };
+    if (players && players.length > 0) await addToRoster(client, game, userId, players);
+
+    const { data, error } = await client.rpc('save_game', {
+        game: row,
+        player_lines: players && players.length > 0 ? playerLineRows(game, userId, players) : null,
+        set_lines: sets && sets.length > 0 ? setLineRows(game, userId, sets) : null
+    });
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * Save an edit to a game: the games row update with its player lines and set rows
+ * It's one transaction (update_game), so a failed edit never leaves the totals and the lines
+ * disagreeing. null keeps the saved lines; [] clears them. Returns the updated row
+ */
+async function applyGameUpdate(client, row, update, userId, players, sets) {
+    if (players) await addToRoster(client, row, userId, players);
+
+    const { data, error } = await client.rpc('update_game', {
+        game: row.id,
+        changes: update,
+        player_lines: players ? playerLineRows(row, userId, players) : null,
+        set_lines: sets ? setLineRows(row, userId, sets) : null
+    });
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * Load a saved game with its player lines and set rows
+ * Returns { row, stats }, or null when the game doesn't exist or belongs to a team the coach isn't on
+ */
+async function loadGame(client, gameId) {
+    const { data: row, error } = await client
+        .from('games')
+        .select('*')
+        .eq('id', gameId)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!row) return null;
+
+    const [{ data: playerRows, error: playersError }, { data: setRows, error: setsError }] = await Promise.all([
+        client.from('game_players').select('*').eq('game_id', gameId),
+        client.from('game_sets').select('*').eq('game_id', gameId).order('set_number')
+    ]);
+
+    if (playersError) throw playersError;
+    if (setsError) throw setsError;
+
+    const stats = storageSchema.gameRowToStats(row);
+    if (playerRows && playerRows.length > 0) {
+        stats.players = playerRows.map(storageSchema.gamePlayerRowToLine);
+    }
+    if (setRows && setRows.length > 0) {
+        stats.sets = setRows.map(storageSchema.gameSetRowToSet);
+    }
+
+    return { row, stats };
+}
+
+/**
+ * Build the games update for edited stats, shared with the REST API
+ * The stats and analysis being replaced go onto analysis_history; a new opponent name or
+ * date relinks the opponent and season.
+ */
+async function buildGameUpdate(client, row, stats, analysis, user) {
+    const previous = {
+        stats: storageSchema.gameRowToStats(row),
+        analysis: row.analysis_data,
+        savedAt: row.updated_at || row.created_at,
+        savedBy: row.updated_by_name || null
+    };
+
+    const update = storageSchema.statsToRow(stats);
+    if (stats.opponent !== row.opponent || !row.opponent_id) {
+        update.opponent_id = await linkOpponent(client, row.team_id, user.id, stats.opponent);
+    }
+    if (stats.gameDate !== row.game_date) {
+        update.season_id = await storageAccess.ensureSeason(client, row.team_id, stats.gameDate);
+    }
+    update.benchmark_profile = analysis.profile;
+    update.analysis_data = analysis;
+    update.analysis_history = (row.analysis_history || []).concat([previous]);
+    update.updated_at = new Date().toISOString();
+    update.updated_by = user.id;
+    update.updated_by_name = editorName(user);
+    return update;
+}
+
+/**
+ * Save edited stats with a fresh analysis
+ * The stats and analysis being replaced are appended to analysis_history, newest last. The
+ * stats are the whole game: their player lines and set rows replace the saved ones.
+ * Returns the updated row, or null when nobody is signed in
+ */
+async function updateGame(client, row, stats, analysis) {
+    const { data: { session } } = await client.auth.getSession();
+    if (!session) return null;
+
+    assertValidGame(stats);
+    const update = await buildGameUpdate(client, row, stats, analysis, session.user);
+    const data = await applyGameUpdate(client, row, update, session.user.id, stats.players || [], stats.sets || []);
+
+    announceGame(session, data.id, 'game.updated');
+    return data;
+}
+
+/**
+ * Delete a game; its player lines, set rows and share links go with it (on delete cascade)
+ */
+async function deleteGame(client, gameId) {
+    const { error } = await client.from('games').delete().eq('id', gameId);
+    if (error) throw error;
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        saveGame,
+        buildGameRow,
+        buildGameUpdate,
+        linkOpponent,
+        insertGame,
+        applyGameUpdate,
+        loadGame,
+        updateGame,
+        deleteGame
+    };
+}
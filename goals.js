@@ -0,0 +1,293 @@
+/**
+ * StatCoach Volleyball - Season Goals Module
+ * Coach-set targets per metric with a deadline: progress from where the team
+ * started, a projected date from the game-by-game trend, and alerts when a
+ * metric has got meaningfully worse over the last few games.
+ */
+
+// analysis.js is loaded first on the page; under Node pull it in directly
+const goalsAnalysis = typeof module !== 'undefined' && module.exports
+    ? require('./analysis.js')
+    : { EXTENDED_METRICS, formatExtendedValue };
+
+// Metrics a goal can target, computed per game from the team stats
+// lower: true means the goal is to bring the number down; the extended ones are null
+// for games that didn't record them
+const GOAL_METRICS = {
+    killEfficiency: {
+        label: 'Kill Efficiency',
+        unit: '%',
+        lower: false,
+        value: stats => (stats.killAttempts > 0 ? stats.totalKills / stats.killAttempts * 100 : null)
+    },
+    hittingPercentage: {
+        label: 'Hitting Percentage',
+        unit: '',
+        lower: false,
+        value: stats => (stats.killAttempts > 0 ? (stats.totalKills - stats.attackErrors) / stats.killAttempts : null)
+    },
+    killsPerSet: {
+        label: 'Kills / Set',
+        unit: '/set',
+        lower: false,
+        value: stats => perSet(stats, stats.totalKills)
+    },
+    attackErrorsPerSet: {
+        label: 'Attack Errors / Set',
+        unit: '/set',
+        lower: true,
+        value: stats => perSet(stats, stats.attackErrors)
+    },
+    acesPerSet: {
+        label: 'Aces / Set',
+        unit: '/set',
+        lower: false,
+        value: stats => perSet(stats, stats.serviceAces)
+    },
+    serviceErrorsPerSet: {
+        label: 'Service Errors / Set',
+        unit: '/set',
+        lower: true,
+        value: stats => perSet(stats, stats.serviceErrors)
+    },
+    receptionErrorsPerSet: {
+        label: 'Reception Errors / Set',
+        unit: '/set',
+        lower: true,
+        value: stats => perSet(stats, stats.receptionErrors)
+    },
+    digsPerSet: {
+        label: 'Digs / Set',
+        unit: '/set',
+        lower: false,
+        value: stats => perSet(stats, stats.digs)
+    },
+    blocksPerSet: {
+        label: 'Blocks / Set',
+        unit: '/set',
+        lower: false,
+        value: stats => perSet(stats, (stats.soloBlocks || 0) + (stats.blockAssists || 0))
+    },
+    passRating: {
+        label: 'Pass Rating',
+        unit: '',
+        lower: false,
+        value: stats => goalsAnalysis.EXTENDED_METRICS.passRating.value(stats)
+    },
+    sideoutPercentage: {
+        label: 'Sideout %',
+        unit: '%',
+        lower: false,
+        value: stats => goalsAnalysis.EXTENDED_METRICS.sideoutPercentage.value(stats)
+    },
+    pointScoringPercentage: {
+        label: 'Point-Scoring %',
+        unit: '%',
+        lower: false,
+        value: stats => goalsAnalysis.EXTENDED_METRICS.pointScoringPercentage.value(stats)
+    },
+    assistsPerSet: {
+        label: 'Assists / Set',
+        unit: '/set',
+        lower: false,
+        value: stats => goalsAnalysis.EXTENDED_METRICS.assistsPerSet.value(stats)
+    },
+    ballHandlingErrorsPerSet: {
+        label: 'Ball-Handling Errors / Set',
+        unit: '/set',
+        lower: true,
+        value: stats => goalsAnalysis.EXTENDED_METRICS.ballHandlingErrorsPerSet.value(stats)
+    }
+};
+
+// Progress and alerts use a rolling average over this many games, so one bad night doesn't swing them
+const ROLLING_GAMES = 3;
+
+// Regression alerts compare the last ROLLING_GAMES with up to this many games before them
+const ALERT_BASELINE_GAMES = 10;
+
+// "Meaningfully worse": at least this many standard deviations of the earlier games,
+// and at least this share of the earlier average
+const ALERT_MIN_SD = 1;
+const ALERT_MIN_CHANGE = 0.1;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+function perSet(stats, count) {
+    return stats.totalSets > 0 ? (Number(count) || 0) / stats.totalSets : null;
+}
+
+function average(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+/**
+ * A metric's value game by game, oldest first: [{ gameDate, value }]
+ * games are stats objects; games where the metric can't be worked out are skipped
+ */
+function metricSeries(games, metric) {
+    return games
+        .map(stats => ({ gameDate: stats.gameDate, value: GOAL_METRICS[metric].value(stats) }))
+        .filter(point => point.value !== null && point.gameDate)
+        .sort((a, b) => new Date(a.gameDate) - new Date(b.gameDate));
+}
+
+function meetsTarget(goal, value) {
+    return GOAL_METRICS[goal.metric].lower ? value <= goal.target : value >= goal.target;
+}
+
+/**
+ * Least-squares line through the series, with x in days since the first game
+ * Returns { slope (per day), intercept, origin } or null with fewer than two game dates
+ */
+function trendLine(series) {
+    if (series.length < 2) return null;
+
+    const origin = new Date(series[0].gameDate).getTime();
+    const xs = series.map(point => (new Date(point.gameDate).getTime() - origin) / MS_PER_DAY);
+    const ys = series.map(point => point.value);
+    const meanX = average(xs);
+    const meanY = average(ys);
+    const sxx = xs.reduce((sum, x) => sum + (x - meanX) ** 2, 0);
+    if (sxx === 0) return null;
+
+    const slope = xs.reduce((sum, x, index) => sum + (x - meanX) * (ys[index] - meanY), 0) / sxx;
+    return { slope, intercept: meanY - slope * meanX, origin };
+}
+
+/**
+ * Where a goal stands: { current, start, progress, met, projectedDate, status, games }
+ * current is the rolling average of the latest games; start is the same average when the
+ * goal was set (or the first games of the season for a goal set before any games).
+ * projectedDate is when the trend line reaches the target; status is one of
+ * 'met', 'on_track', 'behind', 'off_track' or 'no_data'.
+ */
+function goalProgress(goal, games, today = new Date()) {
+    const series = metricSeries(games, goal.metric);
+    if (series.length === 0) {
+        return { current: null, start: null, progress: 0, met: false, projectedDate: null, status: 'no_data', games: 0 };
+    }
+
+    const current = average(series.slice(-ROLLING_GAMES).map(point => point.value));
+    const before = goal.createdAt
+        ? series.filter(point => new Date(point.gameDate) <= new Date(goal.createdAt))
+        : [];
+    const start = before.length > 0
+        ? average(before.slice(-ROLLING_GAMES).map(point => point.value))
+        : average(series.slice(0, ROLLING_GAMES).map(point => point.value));
+
+    const met = meetsTarget(goal, current);
+    const span = goal.target - start;
+    const progress = met ? 1 : (Math.abs(span) > 1e-9 ? Math.min(1, Math.max(0, (current - start) / span)) : 0);
+
+    // Project from the trend line, starting at the current rolling average
+    const trend = trendLine(series);
+    let projectedDate = null;
+    if (!met && trend && Math.abs(trend.slope) > 1e-9) {
+        const days = (goal.target - current) / trend.slope;
+        if (days > 0) {
+            const lastGame = new Date(series[series.length - 1].gameDate).getTime();
+            projectedDate = new Date(Math.max(lastGame, today.getTime()) + days * MS_PER_DAY);
+        }
+    }
+
+    let status;
+    if (met) {
+        status = 'met';
+    } else if (!projectedDate) {
+        status = 'off_track';
+    } else if (goal.deadline && projectedDate > new Date(goal.deadline)) {
+        status = 'behind';
+    } else {
+        status = 'on_track';
+    }
+
+    return { current, start, progress, met, projectedDate, status, games: series.length };
+}
+
+/**
+ * Metrics that got meaningfully worse over the last few games
+ * Returns [{ metric, label, recent, baseline, change, severity, goal }] worst first; severity is
+ * the change in standard deviations of the earlier games, goal the coach's goal for that metric
+ */
+function regressionAlerts(games, goals = []) {
+    const alerts = [];
+
+    for (let metric in GOAL_METRICS) {
+        const definition = GOAL_METRICS[metric];
+        const series = metricSeries(games, metric);
+        if (series.length < ROLLING_GAMES * 2) continue;
+
+        const recentValues = series.slice(-ROLLING_GAMES).map(point => point.value);
+        const earlierValues = series.slice(-ROLLING_GAMES - ALERT_BASELINE_GAMES, -ROLLING_GAMES).map(point => point.value);
+        const recent = average(recentValues);
+        const baseline = average(earlierValues);
+        const sd = Math.sqrt(average(earlierValues.map(value => (value - baseline) ** 2)));
+
+        // Positive when the metric moved the wrong way
+        const worse = definition.lower ? recent - baseline : baseline - recent;
+        if (worse <= 0) continue;
+        if (worse < ALERT_MIN_SD * sd || worse < ALERT_MIN_CHANGE * Math.abs(baseline)) continue;
+
+        alerts.push({
+            metric,
+            label: definition.label,
+            recent,
+            baseline,
+            change: recent - baseline,
+            severity: sd > 0 ? worse / sd : null,
+            goal: goals.find(goal => goal.metric === metric) || null
+        });
+    }
+
+    return alerts.sort((a, b) => Math.abs(b.change / (b.baseline || 1)) - Math.abs(a.change / (a.baseline || 1)));
+}
+
+/**
+ * A metric value with its unit: "45.2%", "1.3/set", ".285"
+ */
+function formatGoalValue(metric, value) {
+    if (value === null || value === undefined) return '--';
+    if (metric === 'hittingPercentage' || metric === 'passRating') {
+        return goalsAnalysis.formatExtendedValue(metric, value);
+    }
+    return `${value.toFixed(1)}${GOAL_METRICS[metric].unit}`;
+}
+
+/**
+ * "Reception Errors / Set ≤ 1.2/set"
+ */
+function describeGoal(goal) {
+    return `${GOAL_METRICS[goal.metric].label} ${GOAL_METRICS[goal.metric].lower ? '≤' : '≥'} ${formatGoalValue(goal.metric, goal.target)}`;
+}
+
+/**
+ * A goals table row as the goal object goalProgress expects
+ */
+function goalRowToGoal(row) {
+    return {
+        id: row.id,
+        metric: row.metric,
+        target: Number(row.target),
+        deadline: row.deadline,
+        label: row.label || '',
+        createdAt: row.created_at
+    };
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        GOAL_METRICS,
+        ROLLING_GAMES,
+        ALERT_BASELINE_GAMES,
+        metricSeries,
+        meetsTarget,
+        trendLine,
+        goalProgress,
+        regressionAlerts,
+        formatGoalValue,
+        describeGoal,
+        goalRowToGoal
+    };
+}
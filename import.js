@@ -0,0 +1,490 @@
+/**
+ * StatCoach Volleyball - Box Score Import Module
+ * Parses spreadsheet CSV, StatCrew-style XML and StatCoach JSON backups into the
+ * stats object analyzeGame expects. No DOM or network access, so the parsers run
+ * the same in the browser and under Node.
+ *
+ * CSV layout: one match per row, header row required, column order doesn't matter.
+ *   date             Match date (YYYY-MM-DD or MM/DD/YYYY)
+ *   opponent         Opponent name
+ *   sets             Sets played (1-5)
+ *   kills            Kills
+ *   attempts         Attack attempts
+ *   attack_errors    Attack errors
+ *   aces             Service aces
+ *   service_errors   Service errors
+ *   reception_errors Reception errors
+ *   digs             Digs
+ *   solo_blocks      Solo blocks
+ *   block_assists    Block assists
+ *   profile          Benchmark profile id (optional, e.g. ncaa_d1_men)
+ *   result           W or L (optional)
+ *   set_scores       Set scores, ours first (optional, e.g. "25-20 22-25 25-18")
+ *   location         Home, away or neutral (optional; H, A or N also accepted)
+ *   reception_attempts, pass_rating, assists, ball_handling_errors,
+ *   points_on_serve, sideout_points
+ *                    Extended stats (optional; blank means not recorded)
+ * Common box score abbreviations (K, TA, E, SA, SE, RE, DIG, BS, BA, AST, BHE, SO) are accepted too.
+ * Any other column is reported as unknown and ignored. The extra columns added by a
+ * StatCoach CSV export (win_probability, game_id, analysis_data) are skipped quietly.
+ */
+
+// game-schema.js is loaded first on the page; under Node pull it in directly
+const importSchema = typeof module !== 'undefined' && module.exports
+    ? require('./game-schema.js')
+    : { gameRowToStats, gamePlayerRowToLine, gameSetRowToSet, validateGame, describeErrors, parseSetScores };
+
+// Stats object field -> accepted CSV headers (normalized to lowercase, no spaces/punctuation)
+const CSV_COLUMNS = {
+    gameDate: ['date', 'gamedate', 'matchdate'],
+    opponent: ['opponent', 'opp', 'vs'],
+    totalSets: ['sets', 'totalsets', 'sp'],
+    totalKills: ['kills', 'k', 'totalkills'],
+    killAttempts: ['attempts', 'ta', 'attackattempts', 'killattempts'],
+    attackErrors: ['attackerrors', 'e', 'ae'],
+    serviceAces: ['aces', 'sa', 'serviceaces'],
+    serviceErrors: ['serviceerrors', 'se'],
+    receptionErrors: ['receptionerrors', 're', 'serveerrors', 'passerrors'],
+    digs: ['digs', 'dig'],
+    soloBlocks: ['soloblocks', 'bs'],
+    blockAssists: ['blockassists', 'ba'],
+    benchmarkProfile: ['profile', 'benchmarkprofile'],
+    result: ['result', 'wl', 'outcome'],
+    setScores: ['setscores', 'scores'],
+    location: ['location', 'homeaway', 'site', 'ha'],
+    receptionAttempts: ['receptionattempts', 'receptions', 'passattempts'],
+    passRating: ['passrating', 'passavg', 'pr'],
+    assists: ['assists', 'ast', 'setassists'],
+    ballHandlingErrors: ['ballhandlingerrors', 'bhe'],
+    pointsOnServe: ['pointsonserve', 'servepoints', 'serveptswon'],
+    sideoutPoints: ['sideoutpoints', 'sideouts', 'so']
+};
+
+// Columns a StatCoach CSV export adds that are recalculated rather than imported
+const EXPORT_ONLY_COLUMNS = ['winprobability', 'gameid', 'analysisdata'];
+
+const NUMERIC_FIELDS = [
+    'totalSets', 'totalKills', 'killAttempts', 'attackErrors',
+    'serviceAces', 'serviceErrors', 'receptionErrors',
+    'digs', 'soloBlocks', 'blockAssists'
+];
+
+// StatCrew <totals> element/attribute -> stats object field
+const STATCREW_FIELDS = {
+    attack: { k: 'totalKills', e: 'attackErrors', ta: 'killAttempts' },
+    set: { ast: 'assists' },
+    serve: { sa: 'serviceAces', se: 'serviceErrors' },
+    defense: { dig: 'digs', re: 'receptionErrors', bhe: 'ballHandlingErrors' },
+    block: { bs: 'soloBlocks', ba: 'blockAssists' }
+};
+
+// Extended team totals StatCrew keeps; player lines stay on the box score fields
+const STATCREW_EXTENDED_FIELDS = ['assists', 'ballHandlingErrors'];
+
+/**
+ * Read a result cell (W, Won, Win, L, Lost, Loss); returns null if blank, the raw text if unreadable
+ */
+function normalizeResult(value) {
+    const text = value.trim().toLowerCase();
+    if (!text) return null;
+    if (['w', 'won', 'win'].includes(text)) return 'win';
+    if (['l', 'lost', 'loss'].includes(text)) return 'loss';
+    return value.trim();
+}
+
+/**
+ * Read a location cell (Home, H, Away, A, @, Neutral, N); returns null if blank, the raw text if unreadable
+ */
+function normalizeLocation(value) {
+    const text = value.trim().toLowerCase();
+    if (!text) return null;
+    if (['h', 'home', 'vs'].includes(text)) return 'home';
+    if (['a', 'away', '@', 'at'].includes(text)) return 'away';
+    if (['n', 'neutral'].includes(text)) return 'neutral';
+    return value.trim();
+}
+
+function normalizeHeader(header) {
+    return header.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Normalize a date to YYYY-MM-DD; returns null if it can't be read
+ */
+function normalizeDate(value) {
+    if (!value) return null;
+    const text = value.trim();
+
+    let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+    if (match) {
+        return `${match[1]}-${match[2].padStart(2, '0')}-${match[3].padStart(2, '0')}`;
+    }
+
+    match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2,4})$/);
+    if (match) {
+        const year = match[3].length === 2 ? `20${match[3]}` : match[3];
+        return `${year}-${match[1].padStart(2, '0')}-${match[2].padStart(2, '0')}`;
+    }
+
+    return null;
+}
+
+/**
+ * Split CSV text into rows of cells (handles quoted cells, escaped quotes and CRLF)
+ */
+function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Check an imported stats object with the shared validator and collect warnings for the preview
+ */
+function checkImportedStats(stats) {
+    return importSchema.describeErrors(stats, importSchema.validateGame(stats).errors);
+}
+
+/**
+ * Import a CSV file with one match per row
+ * Returns { matches: [{ stats, row, warnings }], columns: [{ header, field, exportOnly }], unknownColumns }
+ */
+function importCSV(text) {
+    const rows = parseCSV(text);
+    if (rows.length === 0) {
+        return { matches: [], columns: [], unknownColumns: [] };
+    }
+
+    const headers = rows[0].map(header => header.trim());
+    const columns = headers.map(header => {
+        const key = normalizeHeader(header);
+        const field = Object.keys(CSV_COLUMNS).find(candidate => CSV_COLUMNS[candidate].includes(key));
+        return { header, field: field || null, exportOnly: EXPORT_ONLY_COLUMNS.includes(key) };
+    });
+
+    const matches = rows.slice(1).map((cells, index) => {
+        const stats = {};
+        NUMERIC_FIELDS.forEach(field => {
+            stats[field] = null;
+        });
+
+        columns.forEach((column, columnIndex) => {
+            if (!column.field) return;
+            const raw = (cells[columnIndex] || '').trim();
+
+            if (column.field === 'gameDate') {
+                stats.gameDate = normalizeDate(raw);
+            } else if (column.field === 'opponent' || column.field === 'benchmarkProfile') {
+                // A StatCoach export quotes text that a spreadsheet would run as a formula
+                stats[column.field] = raw.replace(/^'(?=[=+\-@\t\r])/, '') || null;
+            } else if (column.field === 'result') {
+                stats.result = normalizeResult(raw);
+            } else if (column.field === 'location') {
+                stats.location = normalizeLocation(raw);
+            } else if (column.field === 'setScores') {
+                // Unreadable scores stay as text so the preview shows the validation message
+                stats.setScores = raw ? (importSchema.parseSetScores(raw) || raw) : null;
+            } else {
+                stats[column.field] = raw === '' ? null : Number(raw);
+            }
+        });
+
+        return { stats, row: index + 2, warnings: checkImportedStats(stats) };
+    });
+
+    return {
+        matches,
+        columns,
+        unknownColumns: columns.filter(column => !column.field && !column.exportOnly).map(column => column.header)
+    };
+}
+
+// The five entities XML predefines; anything else is a character reference or left as written
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+// The inside of a start tag: quoted attribute values may hold '>' (or the other quote)
+const XML_TAG_BODY = `(?:[^>"']|"[^"]*"|'[^']*')*?`;
+
+/**
+ * Replace entity and character references (&amp;, &#241;, &#xF1;) in XML text
+ */
+function decodeXmlEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (reference, name) => {
+        if (name[0] !== '#') {
+            return Object.prototype.hasOwnProperty.call(XML_ENTITIES, name) ? XML_ENTITIES[name] : reference;
+        }
+        const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+        return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : reference;
+    });
+}
+
+/**
+ * Read the attributes of the first <tag ...> in an XML fragment
+ * Values may be in double or single quotes, and can hold a literal '>'.
+ */
+function readAttributes(xml, tag) {
+    const match = xml.match(new RegExp(`<${tag}\\b(${XML_TAG_BODY})\\/?>`, 'i'));
+    if (!match) return null;
+
+    const attributes = {};
+    const attributePattern = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let attribute;
+    while ((attribute = attributePattern.exec(match[1])) !== null) {
+        attributes[attribute[1].toLowerCase()] = decodeXmlEntities(attribute[2] ?? attribute[3]);
+    }
+    return attributes;
+}
+
+/**
+ * Find every <tag ...>...</tag> (or self-closing <tag ... />) in an XML fragment
+ */
+function readBlocks(xml, tag) {
+    return xml.match(new RegExp(`<${tag}\\b(?:${XML_TAG_BODY}\\/>|[\\s\\S]*?<\\/${tag}>)`, 'gi')) || [];
+}
+
+/**
+ * Read the mapped counts from a block holding <attack>, <serve>, <defense> and <block> elements
+ */
+function readStatCrewLine(xml) {
+    const line = {};
+    const unmapped = [];
+
+    for (let element in STATCREW_FIELDS) {
+        const attributes = readAttributes(xml, element) || {};
+        for (let attribute in attributes) {
+            const field = STATCREW_FIELDS[element][attribute];
+            if (field) {
+                line[field] = Number(attributes[attribute]);
+            } else {
+                unmapped.push(`${element}.${attribute}`);
+            }
+        }
+    }
+
+    return { line, unmapped };
+}
+
+// StatCrew lists players as "Last, First"; the roster uses "First Last"
+function statCrewPlayerName(name) {
+    const parts = (name || '').split(',').map(part => part.trim());
+    return parts.length === 2 && parts[1] ? `${parts[1]} ${parts[0]}` : (name || '').trim();
+}
+
+function parseStatCrewTeam(teamXml) {
+    const info = readAttributes(teamXml, 'team') || {};
+    const { line: totals, unmapped } = readStatCrewLine(readBlocks(teamXml, 'totals')[0] || '');
+
+    const players = readBlocks(teamXml, 'player')
+        .map(playerXml => {
+            const attributes = readAttributes(playerXml, 'player') || {};
+            const { line } = readStatCrewLine(playerXml);
+            const player = { name: statCrewPlayerName(attributes.name), playerId: null };
+            NUMERIC_FIELDS.forEach(field => {
+                if (field !== 'totalSets') player[field] = line[field] || 0;
+            });
+            return player;
+        })
+        .filter(player => player.name && player.name.toUpperCase() !== 'TEAM');
+
+    const lineScoreXml = readBlocks(teamXml, 'linescore')[0] || '';
+    const setScores = (lineScoreXml.match(new RegExp(`<lineprd\\b${XML_TAG_BODY}>`, 'gi')) || [])
+        .map(tag => readAttributes(tag, 'lineprd'))
+        .map(attributes => ({ set: parseInt(attributes.prd), score: parseInt(attributes.score) }))
+        .filter(line => !isNaN(line.set) && !isNaN(line.score))
+        .sort((a, b) => a.set - b.set);
+
+    return {
+        side: (info.vh || '').toUpperCase(),
+        id: info.id || '',
+        name: info.name || info.id || '',
+        totals,
+        players,
+        setScores,
+        unmapped
+    };
+}
+
+/**
+ * Pick our side of a StatCrew match by team name, falling back to the home team
+ */
+function chooseOurTeam(teams, teamName) {
+    const key = normalizeHeader(teamName || '');
+    if (key) {
+        const named = teams.find(team => {
+            const name = normalizeHeader(team.name);
+            return name && (name === key || name.includes(key) || key.includes(name) || normalizeHeader(team.id) === key);
+        });
+        if (named) return named;
+    }
+    return teams.find(team => team.side === 'H') || teams[0];
+}
+
+/**
+ * Import a StatCrew-style volleyball XML file (one <vbgame> or many)
+ * Returns { matches: [{ stats, teams, ourSide, warnings, unmapped }] }
+ * The other team's totals are kept as stats.opponentStats for the opponent's scouting report.
+ */
+function importStatCrewXML(text, teamName) {
+    const games = readBlocks(text, 'vbgame');
+    const gameBlocks = games.length > 0 ? games : [text];
+
+    const matches = gameBlocks.map((gameXml, index) => {
+        const venue = readAttributes(gameXml, 'venue') || {};
+        const teams = readBlocks(gameXml, 'team').map(parseStatCrewTeam);
+        const warnings = [];
+
+        if (teams.length < 2) {
+            warnings.push('Expected two <team> elements');
+        }
+
+        const ours = chooseOurTeam(teams, teamName) || { totals: {}, players: [], setScores: [], unmapped: [] };
+        const theirs = teams.find(team => team !== ours) || { name: '', totals: {}, setScores: [] };
+
+        const sets = ours.setScores.map(line => {
+            const opponentLine = theirs.setScores.find(other => other.set === line.set);
+            return {
+                setNumber: line.set,
+                ourScore: line.score,
+                opponentScore: opponentLine ? opponentLine.score : 0
+            };
+        });
+
+        const stats = {
+            gameDate: normalizeDate(venue.date),
+            opponent: theirs.name || null,
+            totalSets: sets.length || null
+        };
+        NUMERIC_FIELDS.forEach(field => {
+            if (field !== 'totalSets') {
+                stats[field] = ours.totals[field] !== undefined ? ours.totals[field] : null;
+            }
+        });
+        STATCREW_EXTENDED_FIELDS.forEach(field => {
+            if (ours.totals[field] !== undefined) stats[field] = ours.totals[field];
+        });
+        // Set scores give the match result; StatCrew has no per-set box score to analyze
+        if (sets.length > 0) {
+            stats.setScores = sets;
+        }
+        if (String(venue.neutralgame || '').toUpperCase() === 'Y') {
+            stats.location = 'neutral';
+        } else if (ours.side === 'H' || ours.side === 'V') {
+            stats.location = ours.side === 'H' ? 'home' : 'away';
+        }
+        if (ours.players && ours.players.length > 0) {
+            stats.players = ours.players;
+        }
+        // StatCrew leaves out attributes that are zero
+        if (Object.keys(theirs.totals).length > 0) {
+            stats.opponentStats = {};
+            NUMERIC_FIELDS.forEach(field => {
+                if (field !== 'totalSets') {
+                    stats.opponentStats[field] = theirs.totals[field] || 0;
+                }
+            });
+        }
+
+        return {
+            stats,
+            index: index + 1,
+            teams: teams.map(team => ({ side: team.side, name: team.name })),
+            ourSide: ours.side,
+            warnings: warnings.concat(checkImportedStats(stats)),
+            unmapped: Array.from(new Set(ours.unmapped || []))
+        };
+    });
+
+    return { matches };
+}
+
+/**
+ * Import a StatCoach JSON backup (see gamesToJSON in export.js), or a bare array of games rows
+ * Returns { matches: [{ stats, index, warnings }] }
+ */
+function importJSON(text) {
+    const data = JSON.parse(text);
+    const rows = Array.isArray(data) ? data : (data.games || []);
+
+    const matches = rows.map((row, index) => {
+        const stats = importSchema.gameRowToStats(row);
+        stats.gameDate = normalizeDate(stats.gameDate);
+        // Backups from version 2 carry the lines; players are matched to the roster by name again
+        if (Array.isArray(row.game_players) && row.game_players.length > 0) {
+            stats.players = row.game_players.map(line => ({ ...importSchema.gamePlayerRowToLine(line), playerId: null }));
+        }
+        if (Array.isArray(row.game_sets) && row.game_sets.length > 0) {
+            stats.sets = row.game_sets.map(importSchema.gameSetRowToSet);
+        }
+        return { stats, index: index + 1, warnings: checkImportedStats(stats) };
+    });
+
+    return { matches };
+}
+
+/**
+ * Import any supported format, picking the parser from the file name or content
+ */
+function importBoxScores(fileName, text, teamName) {
+    const trimmed = text.trim();
+    if (/\.json$/i.test(fileName) || trimmed.startsWith('{') || trimmed.startsWith('[')) {
+        return { format: 'json', columns: [], unknownColumns: [], ...importJSON(text) };
+    }
+
+    const looksLikeXml = /\.xml$/i.test(fileName) || trimmed.startsWith('<');
+    if (looksLikeXml) {
+        return { format: 'statcrew', columns: [], unknownColumns: [], ...importStatCrewXML(text, teamName) };
+    }
+    return { format: 'csv', ...importCSV(text) };
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        importBoxScores,
+        importCSV,
+        importStatCrewXML,
+        importJSON,
+        parseCSV,
+        normalizeDate,
+        decodeXmlEntities,
+        checkImportedStats,
+        CSV_COLUMNS,
+        NUMERIC_FIELDS
+    };
+}
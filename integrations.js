@@ -0,0 +1,219 @@
+/**
+ * StatCoach Volleyball - Integrations Module
+ * API keys for the REST API (/api/v1) and outgoing webhooks for saved games,
+ * managed by team owners on the team page. A key is made here, in the browser:
+ * only its hash is saved, and the key itself is shown once. The API hashes what
+ * a caller sends the same way to find the key.
+ */
+
+// What a key can do with the team's games; matches the scope check on api_keys
+const API_KEY_SCOPES = {
+    read: { label: 'Read only', description: 'List, get and analyze games', action: 'view' },
+    write: { label: 'Read & write', description: 'Also create, update and delete games', action: 'edit' }
+};
+
+// Keys start with this so they're easy to spot in a config file or a leaked log
+const API_KEY_PREFIX = 'sck_';
+
+// What a webhook can be told about
+const WEBHOOK_EVENTS = {
+    'game.created': { label: 'Game saved' },
+    'game.updated': { label: 'Game edited' }
+};
+
+function toHex(bytes) {
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Web Crypto is global in browsers and in Node 18+, so the page and the API hash alike
+function generateApiKey() {
+    const bytes = new Uint8Array(24);
+    globalThis.crypto.getRandomValues(bytes);
+    return `${API_KEY_PREFIX}${toHex(bytes)}`;
+}
+
+/**
+ * SHA-256 of a key as hex, the only form a key is stored in
+ */
+async function hashApiKey(key) {
+    const digest = await globalThis.crypto.subtle.digest('SHA-256', new TextEncoder().encode(key));
+    return toHex(new Uint8Array(digest));
+}
+
+/**
+ * Check a key before it's created: { valid, errors } keyed by field
+ */
+function validateApiKey(apiKey) {
+    const errors = {};
+    const name = String(apiKey.name || '').trim();
+
+    if (!name) {
+        errors.name = 'Name the key after what uses it';
+    } else if (name.length > 60) {
+        errors.name = 'Name is too long (60 characters max)';
+    }
+    if (!API_KEY_SCOPES[apiKey.scope]) {
+        errors.scope = 'Pick read only or read & write';
+    }
+
+    return { valid: Object.keys(errors).length === 0, errors };
+}
+
+/**
+ * Check a webhook before it's saved: { valid, errors } keyed by field
+ */
+function validateWebhook(webhook) {
+    const errors = {};
+    const url = String(webhook.url || '').trim();
+
+    let parsed = null;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        parsed = null;
+    }
+    if (!parsed) {
+        errors.url = 'Enter the full URL the results should go to';
+    } else if (parsed.protocol !== 'https:') {
+        errors.url = 'Webhook URLs must use https';
+    } else if (url.length > 500) {
+        errors.url = 'URL is too long (500 characters max)';
+    }
+
+    const events = webhook.events || [];
+    if (events.length === 0) {
+        errors.events = 'Pick at least one event';
+    } else if (events.some(event => !WEBHOOK_EVENTS[event])) {
+        errors.events = 'Unknown event';
+    }
+
+    return { valid: Object.keys(errors).length === 0, errors };
+}
+
+// Validation failures carry the field errors for the form, like the game save paths
+function invalidError(errors) {
+    const error = new Error(Object.values(errors)[0]);
+    error.fieldErrors = errors;
+    return error;
+}
+
+/**
+ * Make an API key for the team on the page's client
+ * Returns { key, row }: key is the only time the full key exists outside the caller's config
+ */
+async function createApiKey(client, teamContext, options) {
+    const { valid, errors } = validateApiKey(options);
+    if (!valid) throw invalidError(errors);
+
+    const key = generateApiKey();
+    const { data, error } = await client
+        .from('api_keys')
+        .insert([{
+            team_id: teamContext.team.id,
+            name: String(options.name).trim(),
+            prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+            key_hash: await hashApiKey(key),
+            scope: options.scope,
+            created_by: teamContext.user.id,
+            created_by_name: teamContext.user.user_metadata?.coach_name || teamContext.user.email
+        }])
+        .select('id, name, prefix, scope, created_by_name, created_at, last_used_at, revoked_at')
+        .single();
+
+    if (error) throw error;
+    return { key, row: data };
+}
+
+/**
+ * A team's API keys, newest first, without their hashes
+ */
+async function listApiKeys(client, teamId) {
+    const { data, error } = await client
+        .from('api_keys')
+        .select('id, name, prefix, scope, created_by_name, created_at, last_used_at, revoked_at')
+        .eq('team_id', teamId)
+        .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+}
+
+async function revokeApiKey(client, keyId) {
+    const { error } = await client
+        .from('api_keys')
+        .update({ revoked_at: new Date().toISOString() })
+        .eq('id', keyId);
+
+    if (error) throw error;
+}
+
+/**
+ * Add a webhook for the team; returns the row, secret included, so it can be shown once
+ */
+async function createWebhook(client, teamContext, options) {
+    const { valid, errors } = validateWebhook(options);
+    if (!valid) throw invalidError(errors);
+
+    const { data, error } = await client
+        .from('webhooks')
+        .insert([{
+            team_id: teamContext.team.id,
+            url: String(options.url).trim(),
+            events: options.events,
+            created_by: teamContext.user.id
+        }])
+        .select()
+        .single();
+
+    if (error) throw error;
+    return data;
+}
+
+async function listWebhooks(client, teamId) {
+    const { data, error } = await client
+        .from('webhooks')
+        .select('id, url, events, active, created_at, last_delivery_at, last_status, last_error')
+        .eq('team_id', teamId)
+        .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+}
+
+async function setWebhookActive(client, webhookId, active) {
+    const { error } = await client
+        .from('webhooks')
+        .update({ active })
+        .eq('id', webhookId);
+
+    if (error) throw error;
+}
+
+async function deleteWebhook(client, webhookId) {
+    const { error } = await client
+        .from('webhooks')
+        .delete()
+        .eq('id', webhookId);
+
+    if (error) throw error;
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        API_KEY_SCOPES,
+        API_KEY_PREFIX,
+        WEBHOOK_EVENTS,
+        generateApiKey,
+        hashApiKey,
+        validateApiKey,
+        validateWebhook,
+        createApiKey,
+        listApiKeys,
+        revokeApiKey,
+        createWebhook,
+        listWebhooks,
+        setWebhookActive,
+        deleteWebhook
+    };
+}
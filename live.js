@@ -0,0 +1,129 @@
+/**
+ * StatCoach Volleyball - Live Tracking Module
+ * Rally-by-rally event log for courtside tracking. The match state is always
+ * rebuilt by replaying the log, so undo is just dropping the last event.
+ */
+
+// analysis.js is loaded first on the page; under Node pull it in directly
+const liveAnalysis = typeof module !== 'undefined' && module.exports
+    ? require('./analysis.js')
+    : { BOX_SCORE_FIELDS, sumBoxScore };
+
+// Event types: the stat each one counts, and who wins the rally (if it ends one)
+// An assisted block credits both blockers, matching how box scores count block assists
+const LIVE_EVENTS = {
+    kill:           { label: 'Kill',              key: 'k', stats: { totalKills: 1, killAttempts: 1 }, point: 'us' },
+    attackAttempt:  { label: 'Attack (in play)',  key: 'a', stats: { killAttempts: 1 },                point: null },
+    attackError:    { label: 'Attack Error',      key: 'e', stats: { attackErrors: 1, killAttempts: 1 }, point: 'them' },
+    serviceAce:     { label: 'Ace',               key: 's', stats: { serviceAces: 1 },                 point: 'us' },
+    serviceError:   { label: 'Service Error',     key: 'x', stats: { serviceErrors: 1 },               point: 'them' },
+    receptionError: { label: 'Reception Error',   key: 'r', stats: { receptionErrors: 1 },             point: 'them' },
+    dig:            { label: 'Dig',               key: 'd', stats: { digs: 1 },                        point: null },
+    soloBlock:      { label: 'Solo Block',        key: 'b', stats: { soloBlocks: 1 },                  point: 'us' },
+    blockAssist:    { label: 'Assisted Block',    key: 'n', stats: { blockAssists: 2 },                point: 'us' },
+    ourPoint:       { label: 'Our Point (other)', key: 'p', stats: {},                                 point: 'us' },
+    theirPoint:     { label: 'Their Point',       key: 'o', stats: {},                                 point: 'them' },
+    endSet:         { label: 'End Set',           key: null, stats: {},                                point: null }
+};
+
+function emptySet(setNumber) {
+    const set = { setNumber, ourScore: 0, opponentScore: 0 };
+    liveAnalysis.BOX_SCORE_FIELDS.forEach(field => {
+        set[field] = 0;
+    });
+    return set;
+}
+
+/**
+ * A set is winnable once a team reaches 25 (15 in a fifth set) with a two-point lead
+ */
+function isSetOver(set, setNumber, maxSets = 5) {
+    const target = setNumber === maxSets ? 15 : 25;
+    const high = Math.max(set.ourScore, set.opponentScore);
+    return high >= target && Math.abs(set.ourScore - set.opponentScore) >= 2;
+}
+
+/**
+ * Rebuild the match from the event log
+ * options: { weServeFirst, startingRotation }
+ * Rotation only advances when we side out, i.e. win a rally the opponent served.
+ */
+function replayEvents(events, options = {}) {
+    const state = {
+        sets: [emptySet(1)],
+        currentSet: 1,
+        rotation: options.startingRotation || 1,
+        serving: options.weServeFirst === false ? 'them' : 'us',
+        rallies: 0,
+        pointsOnServe: 0,
+        sideoutPoints: 0
+    };
+
+    events.forEach(event => {
+        const definition = LIVE_EVENTS[event.type];
+        if (!definition) return;
+
+        const set = state.sets[state.sets.length - 1];
+
+        if (event.type === 'endSet') {
+            state.currentSet += 1;
+            state.sets.push(emptySet(state.currentSet));
+            // Serve alternates by set; the rotation carries over from where it stood
+            state.serving = (state.currentSet % 2 === 1) === (options.weServeFirst !== false) ? 'us' : 'them';
+            return;
+        }
+
+        for (let field in definition.stats) {
+            set[field] += definition.stats[field];
+        }
+
+        if (definition.point === 'us') {
+            set.ourScore += 1;
+            state.rallies += 1;
+            if (state.serving === 'them') {
+                state.sideoutPoints += 1;
+                state.serving = 'us';
+                state.rotation = state.rotation % 6 + 1;
+            } else {
+                state.pointsOnServe += 1;
+            }
+        } else if (definition.point === 'them') {
+            set.opponentScore += 1;
+            state.rallies += 1;
+            state.serving = 'them';
+        }
+    });
+
+    return state;
+}
+
+/**
+ * Turn the event log into the same stats object the entry form produces
+ * Empty trailing sets (an End Set with nothing after it) are dropped. Knowing who served
+ * each rally, the log also splits our points into points on serve and sideout points.
+ */
+function eventsToStats(events, matchInfo, options = {}) {
+    const state = replayEvents(events, options);
+    const sets = state.sets.filter(set => set.ourScore > 0 || set.opponentScore > 0);
+    const totals = liveAnalysis.sumBoxScore(sets);
+
+    return {
+        opponent: matchInfo.opponent || 'Unknown Opponent',
+        gameDate: matchInfo.gameDate || new Date().toISOString().split('T')[0],
+        benchmarkProfile: matchInfo.benchmarkProfile,
+        ...totals,
+        totalSets: Math.max(1, sets.length),
+        pointsOnServe: state.pointsOnServe,
+        sideoutPoints: state.sideoutPoints,
+        sets,
+        eventLog: {
+            options,
+            events
+        }
+    };
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LIVE_EVENTS, replayEvents, eventsToStats, isSetOver };
+}
@@ -0,0 +1,191 @@
+/**
+ * StatCoach Volleyball - Opponents Module
+ * Matches free-text opponent names to saved opponent records, and builds the
+ * head-to-head record, impact comparison and scouting report for one opponent.
+ */
+
+// analysis.js is loaded first on the page; under Node pull it in directly
+const opponentAnalysis = typeof module !== 'undefined' && module.exports
+    ? require('./analysis.js')
+    : { analyzeGame, BOX_SCORE_FIELDS };
+
+// game-schema.js is loaded before this file on the page
+const opponentSchema = typeof module !== 'undefined' && module.exports
+    ? require('./game-schema.js')
+    : { matchResult };
+
+// Abbreviations expanded before names are compared, so "State U" and "State University" match
+const NAME_ABBREVIATIONS = {
+    u: 'university',
+    univ: 'university',
+    coll: 'college',
+    cc: 'community college',
+    st: 'state',
+    '&': 'and'
+};
+
+// What an opponent's strength means for us to stop, and what their weakness gives us to attack
+const SCOUTING_NOTES = {
+    kills: {
+        strength: 'Their attackers finish. Commit the block to their go-to hitter and dig line first.',
+        weakness: 'They struggle to score off the attack. Keep balls in play and make them earn points.'
+    },
+    errors: {
+        strength: 'They rarely hit out. Expect long rallies; our transition offense decides it.',
+        weakness: 'Their hitters make errors. Put up a big block and let them hit into it.'
+    },
+    attempts: {
+        strength: 'They finish rallies in few swings. Serve tough to take them out of system.',
+        weakness: 'They need many swings per point. Stay patient in defense.'
+    },
+    serviceAces: {
+        strength: 'Their serve scores. Drill serve receive against their best servers.',
+        weakness: 'Their serve is easy to pass. Run the full offense in first ball.'
+    },
+    serviceErrors: {
+        strength: 'They keep serves in. We have to earn every sideout.',
+        weakness: 'They miss serves. Take free points and keep our own serve in.'
+    },
+    receptionErrors: {
+        strength: 'Their passers are steady. Aim serves at seams and short zones to move them.',
+        weakness: 'Their passing breaks down. Serve aggressively and target their weakest passer.'
+    },
+    digs: {
+        strength: 'Their defense digs a lot. Vary shots - tips and roll shots over hard swings.',
+        weakness: 'Their floor defense is thin. Swing hard and attack the seams.'
+    },
+    soloBlocks: {
+        strength: 'Their blockers stuff alone. Use quick sets and the back row to beat one-on-ones.',
+        weakness: 'They rarely stop one-on-one. Isolate their blockers with fast tempo.'
+    },
+    blockAssists: {
+        strength: 'Their double block is strong. Move the ball and use the block on purpose.',
+        weakness: 'Their block is late to close. Set the pins outside and high.'
+    }
+};
+
+/**
+ * Comparison key for an opponent name: lower case, no punctuation, abbreviations expanded
+ * A leading "St." is Saint ("St. Mary's"); anywhere else it's State ("Ohio St.")
+ */
+function opponentKey(name) {
+    const words = String(name || '')
+        .toLowerCase()
+        .replace(/&/g, ' & ')
+        .replace(/['’.]/g, '')
+        .replace(/[^a-z0-9&]+/g, ' ')
+        .trim()
+        .split(' ')
+        .filter(word => word && word !== 'the');
+
+    return words
+        .map((word, index) => (word === 'st' && index === 0 && words.length > 1)
+            ? 'saint'
+            : (NAME_ABBREVIATIONS[word] || word))
+        .join(' ');
+}
+
+/**
+ * Find the saved opponent a name refers to, by its name or any spelling seen before
+ */
+function matchOpponent(opponents, name) {
+    const key = opponentKey(name);
+    if (!key) return null;
+
+    return opponents.find(opponent =>
+        opponentKey(opponent.name) === key ||
+        (opponent.aliases || []).some(alias => opponentKey(alias) === key)
+    ) || null;
+}
+
+/**
+ * Head-to-head record over a list of stats objects
+ * Games with no recorded result and no set scores count as played with the result unknown
+ */
+function headToHead(games) {
+    const record = { played: games.length, wins: 0, losses: 0, unknown: 0, setsWon: 0, setsLost: 0 };
+
+    games.forEach(stats => {
+        const result = opponentSchema.matchResult(stats);
+        if (!result) {
+            record.unknown += 1;
+            return;
+        }
+        record[result.won ? 'wins' : 'losses'] += 1;
+        record.setsWon += result.setsWon || 0;
+        record.setsLost += result.setsLost || 0;
+    });
+
+    return record;
+}
+
+/**
+ * Average box score per match, in the stats shape analyzeGame expects
+ * Lines are averaged as raw totals, the same way the dashboard builds its season line
+ */
+function averageBoxScore(lines) {
+    const average = {};
+    opponentAnalysis.BOX_SCORE_FIELDS.forEach(field => {
+        average[field] = lines.reduce((sum, line) => sum + (Number(line[field]) || 0), 0) / lines.length;
+    });
+    average.totalSets = lines.reduce((sum, line) => sum + (Number(line.totalSets) || 3), 0) / lines.length;
+    return average;
+}
+
+/**
+ * Our impact profile against one opponent next to our season average
+ * Returns { against, season, metrics } where each metric has our value and impact against them,
+ * the season value and impact, and the difference in impact; biggest differences first
+ */
+function compareImpacts(gamesAgainst, seasonGames, profileId) {
+    if (gamesAgainst.length === 0 || seasonGames.length === 0) return null;
+
+    const against = opponentAnalysis.analyzeGame(averageBoxScore(gamesAgainst), profileId);
+    const season = opponentAnalysis.analyzeGame(averageBoxScore(seasonGames), profileId);
+
+    const metrics = Object.keys(against.impacts)
+        .filter(metric => season.impacts[metric])
+        .map(metric => ({
+            metric,
+            value: against.impacts[metric].value,
+            seasonValue: season.impacts[metric].value,
+            against: against.impacts[metric].impact,
+            season: season.impacts[metric].impact,
+            difference: against.impacts[metric].impact - season.impacts[metric].impact
+        }))
+        .sort((a, b) => Math.abs(b.difference) - Math.abs(a.difference));
+
+    return { against, season, metrics };
+}
+
+/**
+ * Run the opponent's side of the box score through the same analysis as ours
+ * opponentLines are the opponent's team totals, each with the match's totalSets
+ * Their strengths are what we have to stop; their weaknesses are what to attack.
+ */
+function scoutOpponent(opponentLines, profileId) {
+    if (opponentLines.length === 0) return null;
+
+    const analysis = opponentAnalysis.analyzeGame(averageBoxScore(opponentLines), profileId);
+    const withNote = kind => item => ({ ...item, note: SCOUTING_NOTES[item.metric]?.[kind] || '' });
+
+    return {
+        matches: opponentLines.length,
+        analysis,
+        strengths: analysis.recommendations.strengths.map(withNote('strength')),
+        weaknesses: analysis.recommendations.weaknesses.map(withNote('weakness'))
+    };
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SCOUTING_NOTES,
+        opponentKey,
+        matchOpponent,
+        headToHead,
+        averageBoxScore,
+        compareImpacts,
+        scoutOpponent
+    };
+}
@@ -0,0 +1,311 @@
+/**
+ * StatCoach Volleyball - Practice Planner Module
+ * Turns the weaknesses and strengths from generateRecommendations into a week of
+ * timed practice sessions, using drills from a library tagged by metric, and
+ * checks a saved plan against the games played while it was in use.
+ */
+
+// analysis.js is loaded first on the page; under Node pull it in directly
+const practiceAnalysis = typeof module !== 'undefined' && module.exports
+    ? require('./analysis.js')
+    : { getBenchmarkProfile, normalizeStats };
+
+// The split the AI insights prompt describes; the remaining 15% is warm-up and game play
+const TIME_SPLIT = {
+    primary: 0.40,
+    secondary: 0.25,
+    maintain: 0.20,
+    general: 0.15
+};
+
+const BLOCK_LABELS = {
+    warmup: 'Warm-up',
+    primary: 'Primary Focus',
+    secondary: 'Secondary Focus',
+    maintain: 'Maintain Strength',
+    gameplay: 'Game Play'
+};
+
+// Tags a drill can carry: the win model metrics, plus the two general blocks
+const DRILL_TAGS = [
+    'kills', 'errors', 'attempts', 'serviceAces', 'serviceErrors',
+    'receptionErrors', 'digs', 'soloBlocks', 'blockAssists',
+    'warmup', 'gameplay'
+];
+
+// Built-in drills; a coach's own drills are added to these, and can replace or hide them
+const DEFAULT_DRILLS = [
+    { id: 'dynamic-warmup', name: 'Dynamic warm-up and partner pepper', metrics: ['warmup'], minutes: 10,
+        description: 'Jog, dynamic stretches and arm circles, then pass-set-hit pepper in pairs.' },
+    { id: 'serve-pass-warmup', name: 'Serve and pass warm-up', metrics: ['warmup', 'receptionErrors'], minutes: 10,
+        description: 'Easy serves across the net to a passer in each zone; passers rotate every five balls.' },
+    { id: 'wash-scrimmage', name: 'Wash drill scrimmage', metrics: ['gameplay'], minutes: 20,
+        description: '6 v 6 where a side must win a served ball and the free ball that follows to score a point.' },
+    { id: 'situational-scrimmage', name: 'Situational scrimmage', metrics: ['gameplay'], minutes: 20,
+        description: 'Play games starting from 20-22 or from a rotation the team struggles in.' },
+
+    { id: 'pressure-receive', name: 'Serve receive under pressure', metrics: ['receptionErrors'], minutes: 15,
+        description: 'Three passers against tough servers; the group stays on until it averages a 2.0 pass over ten balls.' },
+    { id: 'butterfly-passing', name: 'Butterfly passing', metrics: ['receptionErrors'], minutes: 10,
+        description: 'Serve, pass to target, follow your ball. Count perfect passes and chase a team total.' },
+    { id: 'seam-calls', name: 'Seam serves and calls', metrics: ['receptionErrors'], minutes: 10,
+        description: 'Servers aim at the seams between passers; passers must call the ball before it crosses the net.' },
+
+    { id: 'zone-serving', name: 'Zone serving', metrics: ['serviceAces', 'serviceErrors'], minutes: 10,
+        description: 'Cones in zones 1, 5 and 6 and short in 2 and 4. A serve scores only if it lands in the called zone.' },
+    { id: 'serving-ladder', name: 'Serving ladder under fatigue', metrics: ['serviceErrors'], minutes: 10,
+        description: 'Sprint a line, then serve. Climb one rung per serve in, drop one per miss.' },
+    { id: 'tough-serve-live', name: 'Tough serving against live receive', metrics: ['serviceAces', 'receptionErrors'], minutes: 15,
+        description: 'Servers score a point for an ace or an overpass, passers for a pass the setter can run the middle off.' },
+
+    { id: 'target-hitting', name: 'Hitting lines with targets', metrics: ['kills', 'errors'], minutes: 15,
+        description: 'Attack cross, line and deep corner on call. Kills to a target score, hitting errors take points away.' },
+    { id: 'shot-selection', name: 'Shot selection against a live block', metrics: ['attempts', 'errors'], minutes: 15,
+        description: 'Hitters read a two-person block and choose the tool, the tip or the roll shot instead of swinging into it.' },
+    { id: 'out-of-system', name: 'Out-of-system attacking', metrics: ['errors', 'attempts'], minutes: 10,
+        description: 'Off-target passes set high to the pins. Hitters must keep the ball in and deep.' },
+    { id: 'transition-attack', name: 'Dig to transition attack', metrics: ['kills', 'digs'], minutes: 15,
+        description: 'Coach attacks at the defense; the dug ball is set and attacked. Score only transition kills.' },
+
+    { id: 'pepper-reads', name: 'Controlled pepper to defensive reads', metrics: ['digs'], minutes: 10,
+        description: 'Pepper that builds to reading the hitter\'s shoulder and arm before moving to the ball.' },
+    { id: 'coach-on-box', name: 'Coach on box digging', metrics: ['digs'], minutes: 15,
+        description: 'Coach hits from a box over the block; diggers hold base position and dig to target.' },
+    { id: 'emergency-digs', name: 'Pursuit and emergency digs', metrics: ['digs'], minutes: 10,
+        description: 'Tips and deflections off the block; players sprawl, pursue and play it up high.' },
+
+    { id: 'block-footwork', name: 'Blocking footwork', metrics: ['soloBlocks', 'blockAssists'], minutes: 10,
+        description: 'Shuffle, crossover and swing-block footwork along the net, closing to a partner.' },
+    { id: 'read-block', name: 'Read blocking against the setter', metrics: ['soloBlocks', 'blockAssists'], minutes: 15,
+        description: 'Middles read the setter and pass, then close to the pin against live hitters.' },
+    { id: 'closing-block', name: 'Closing the double block', metrics: ['blockAssists'], minutes: 10,
+        description: 'Pins set the block, middles close the seam; score blocks that go straight down.' }
+];
+
+/**
+ * Turn a drills table row into a library drill
+ * replaces names a built-in drill the row stands in for; a hidden row just removes it
+ */
+function drillRowToDrill(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        metrics: row.metrics || [],
+        minutes: row.minutes || 10,
+        description: row.description || '',
+        replaces: row.replaces || null,
+        hidden: !!row.hidden,
+        custom: true
+    };
+}
+
+/**
+ * The coach's library: built-in drills they haven't replaced or hidden, then their own
+ */
+function mergeDrillLibrary(defaults, rows) {
+    const custom = rows.map(drillRowToDrill);
+    const replaced = new Set(custom.filter(drill => drill.replaces).map(drill => drill.replaces));
+
+    return defaults
+        .filter(drill => !replaced.has(drill.id))
+        .concat(custom.filter(drill => !drill.hidden));
+}
+
+/**
+ * What each share of practice time goes to
+ * primary is the biggest weakness; secondary rotates through the next ones, topped up
+ * from the remaining negative impacts; maintain rotates through the strengths
+ */
+function practiceFocus(recommendations) {
+    const weaknesses = recommendations.weaknesses.map(weakness => weakness.metric);
+    const negatives = (recommendations.allImpacts || [])
+        .filter(([metric, data]) => data.impact < 0 && !weaknesses.includes(metric))
+        .map(([metric]) => metric);
+    const needs = weaknesses.concat(negatives);
+
+    return {
+        primary: needs[0] || null,
+        secondary: needs.slice(1, 3),
+        maintain: recommendations.strengths.map(strength => strength.metric)
+    };
+}
+
+/**
+ * Minutes in five-minute steps, never below five for a block that gets any time
+ */
+function roundToFive(minutes) {
+    return minutes > 0 ? Math.max(5, Math.round(minutes / 5) * 5) : 0;
+}
+
+function drillsFor(tag, library) {
+    return library.filter(drill => drill.metrics.includes(tag));
+}
+
+/**
+ * Fill one block with drills for a tag, moving on a drill each day so the week varies
+ * Long blocks are split over two drills when the library has more than one.
+ * used holds the drill ids already in the session, so a drill isn't run twice in a day.
+ */
+function fillBlock(kind, tag, minutes, day, library, used = new Set()) {
+    const tagged = drillsFor(tag, library);
+    const fresh = tagged.filter(drill => !used.has(drill.id));
+    const drills = fresh.length > 0 ? fresh : tagged;
+    if (minutes <= 0) return [];
+    if (drills.length === 0) {
+        return [{ kind, metric: tag, minutes, drillId: null, drillName: 'Open drill', description: 'No drill in the library is tagged for this yet.' }];
+    }
+
+    const count = drills.length > 1 && minutes >= 25 ? 2 : 1;
+    const first = roundToFive(minutes / count);
+    return Array.from({ length: count }, (_, index) => {
+        const drill = drills[(day + index) % drills.length];
+        used.add(drill.id);
+        return {
+            kind,
+            metric: tag,
+            minutes: index === 0 ? first : minutes - first,
+            drillId: drill.id,
+            drillName: drill.name,
+            description: drill.description
+        };
+    });
+}
+
+/**
+ * Build a week of practice from generateRecommendations output
+ * options: { minutes, daysPerWeek, library, profile, baseline } - baseline is { metric: value }
+ * for the focus metrics, kept with the plan so later games can be compared against it.
+ * A share with nothing to work on (no weaknesses, say) goes to game play.
+ */
+function buildPracticePlan(recommendations, options = {}) {
+    const minutes = Math.max(30, Number(options.minutes) || 90);
+    const daysPerWeek = Math.min(7, Math.max(1, Number(options.daysPerWeek) || 3));
+    const library = options.library || DEFAULT_DRILLS;
+    const focus = practiceFocus(recommendations);
+
+    const shares = {
+        primary: focus.primary ? TIME_SPLIT.primary : 0,
+        secondary: focus.secondary.length > 0 ? TIME_SPLIT.secondary : 0,
+        maintain: focus.maintain.length > 0 ? TIME_SPLIT.maintain : 0
+    };
+    const focusMinutes = {};
+    for (let kind in shares) {
+        focusMinutes[kind] = roundToFive(minutes * shares[kind]);
+    }
+    const generalMinutes = minutes - focusMinutes.primary - focusMinutes.secondary - focusMinutes.maintain;
+    // Round the warm-up down so the leftover five minutes go to game play
+    const warmupMinutes = generalMinutes > 0 ? Math.min(15, Math.max(5, Math.floor(generalMinutes / 10) * 5)) : 0;
+
+    const sessions = Array.from({ length: daysPerWeek }, (_, day) => {
+        // Focus blocks pick first, so a drill tagged for warm-up too stays in its focus block
+        const used = new Set();
+        const primary = focus.primary ? fillBlock('primary', focus.primary, focusMinutes.primary, day, library, used) : [];
+        const secondary = focus.secondary.length > 0
+            ? fillBlock('secondary', focus.secondary[day % focus.secondary.length], focusMinutes.secondary, day, library, used)
+            : [];
+        const maintain = focus.maintain.length > 0
+            ? fillBlock('maintain', focus.maintain[day % focus.maintain.length], focusMinutes.maintain, day, library, used)
+            : [];
+        const blocks = [].concat(
+            fillBlock('warmup', 'warmup', warmupMinutes, day, library, used),
+            primary,
+            secondary,
+            maintain,
+            fillBlock('gameplay', 'gameplay', generalMinutes - warmupMinutes, day, library, used)
+        );
+
+        // Start times in minutes from the start of practice
+        let clock = 0;
+        blocks.forEach(block => {
+            block.start = clock;
+            clock += block.minutes;
+        });
+
+        return { day: day + 1, minutes: clock, blocks };
+    });
+
+    return {
+        minutes,
+        daysPerWeek,
+        profile: options.profile || null,
+        split: TIME_SPLIT,
+        focus,
+        baseline: options.baseline || {},
+        sessions
+    };
+}
+
+/**
+ * The focus metrics' values from an analysis, to store with a plan as its baseline
+ */
+function planBaseline(plan, analysis) {
+    const baseline = {};
+    [plan.focus.primary].concat(plan.focus.secondary, plan.focus.maintain)
+        .filter(metric => metric && analysis.impacts[metric])
+        .forEach(metric => {
+            baseline[metric] = analysis.impacts[metric].value;
+        });
+    return baseline;
+}
+
+/**
+ * Did the targeted metrics move the right way in the games played under a plan?
+ * games are stats objects; values are normalized the same way as the baseline.
+ * Improved means the change raised predicted win probability (its odds ratio says which way is better).
+ */
+function planFollowUp(plan, games, profileId = plan.profile) {
+    const profile = practiceAnalysis.getBenchmarkProfile(profileId);
+    const kinds = {};
+    if (plan.focus.primary) kinds[plan.focus.primary] = 'primary';
+    plan.focus.secondary.forEach(metric => { kinds[metric] = kinds[metric] || 'secondary'; });
+    plan.focus.maintain.forEach(metric => { kinds[metric] = kinds[metric] || 'maintain'; });
+
+    const normalized = games.map(stats => practiceAnalysis.normalizeStats(stats, stats.totalSets || 3, profile));
+
+    return {
+        games: games.length,
+        metrics: Object.keys(kinds)
+            .filter(metric => plan.baseline[metric] !== undefined)
+            .map(metric => {
+                const before = plan.baseline[metric];
+                if (normalized.length === 0) {
+                    return { metric, kind: kinds[metric], before, after: null, change: null, improved: null };
+                }
+                const after = normalized.reduce((sum, line) => sum + line[metric], 0) / normalized.length;
+                const change = after - before;
+                const better = Math.log(profile.oddsRatios[metric]) * change;
+                return {
+                    metric,
+                    kind: kinds[metric],
+                    before,
+                    after,
+                    change,
+                    improved: Math.abs(change) < 0.05 ? null : better > 0
+                };
+            })
+    };
+}
+
+/**
+ * Minutes from the start of practice as "0:45"
+ */
+function formatClock(minutes) {
+    return `${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TIME_SPLIT,
+        BLOCK_LABELS,
+        DRILL_TAGS,
+        DEFAULT_DRILLS,
+        drillRowToDrill,
+        mergeDrillLibrary,
+        practiceFocus,
+        buildPracticePlan,
+        planBaseline,
+        planFollowUp,
+        formatClock
+    };
+}
@@ -0,0 +1,288 @@
+/**
+ * StatCoach Volleyball - Results Rendering
+ * The analysis results layout shared by the entry form and the game detail page,
+ * plus the field error display both pages use for validateGame errors.
+ * Both pages provide the same element ids and results CSS.
+ */
+
+/**
+ * Fill the results layout (gameSummary, winProbability, metricsGrid, extendedStats, playerImpact,
+ * setBreakdown, whatIfPanel, insightsSource, aiInsights) for one analyzed game
+ */
+function renderResults(stats, analysis, analysisId) {
+    // Populate game summary
+    const result = matchResult(stats);
+    const scores = formatSetScores(matchSetScores(stats));
+    const resultText = result ? `${result.won ? 'Won' : 'Lost'}${scores ? ` ${scores}` : ''} • ` : '';
+    const gameSummary = document.getElementById('gameSummary');
+    gameSummary.innerHTML = `
+        <div class="summary-info">
+            <h3>Game Summary</h3>
+            <p>${escapeHtml(stats.opponent)} • ${new Date(stats.gameDate).toLocaleDateString()} • ${resultText}${stats.totalSets} sets • ${getBenchmarkProfile(analysis.profile).label}</p>
+        </div>
+        <div class="summary-id">
+            <div class="label">Analysis ID</div>
+            <div class="value">#${analysisId}</div>
+        </div>
+    `;
+    
+    // Headline: combined-model win probability
+    const win = analysis.winProbability;
+    document.getElementById('winProbability').innerHTML = `
+        <div class="win-probability-label">Predicted Win Probability${win.source === 'team' ? ` · team model (${win.games} games)` : ''}</div>
+        <div class="win-probability-value">${win.percent.toFixed(0)}%</div>
+        <div class="win-probability-bar">
+            <div class="win-probability-fill" style="width: ${win.percent.toFixed(1)}%"></div>
+        </div>
+        <p class="model-note">${win.source === 'team' ? TEAM_MODEL_NOTE : WIN_MODEL_NOTE}</p>
+    `;
+
+    // Populate metrics grid using calculated metrics
+    const m = analysis.metrics;
+    const metricsGrid = document.getElementById('metricsGrid');
+    metricsGrid.innerHTML = `
+        <div class="metric-card">
+            <div class="metric-header">
+                <span class="metric-label">Kill Efficiency</span>
+                <div class="metric-icon">🏐</div>
+            </div>
+            <div class="metric-value">${m.killEfficiency.toFixed(1)}%</div>
+            <div class="metric-detail">${stats.totalKills}/${stats.killAttempts} kills</div>
+        </div>
+        <div class="metric-card">
+            <div class="metric-header">
+                <span class="metric-label">Hitting Percentage</span>
+                <div class="metric-icon">📐</div>
+            </div>
+            <div class="metric-value">${formatExtendedValue('hittingPercentage', EXTENDED_METRICS.hittingPercentage.value(stats))}</div>
+            <div class="metric-detail">(${stats.totalKills} - ${stats.attackErrors}) / ${stats.killAttempts}</div>
+        </div>
+        <div class="metric-card">
+            <div class="metric-header">
+                <span class="metric-label">Aces Per Set</span>
+                <div class="metric-icon">🎯</div>
+            </div>
+            <div class="metric-value">${m.acesPerSet.toFixed(1)}</div>
+            <div class="metric-detail">${stats.serviceAces} total aces</div>
+        </div>
+        <div class="metric-card">
+            <div class="metric-header">
+                <span class="metric-label">Blocks Per Set</span>
+                <div class="metric-icon">🛡️</div>
+            </div>
+            <div class="metric-value">${m.blocksPerSet.toFixed(1)}</div>
+            <div class="metric-detail">${stats.soloBlocks + stats.blockAssists} total blocks</div>
+        </div>
+        <div class="metric-card">
+            <div class="metric-header">
+                <span class="metric-label">Reception Errors/Set</span>
+                <div class="metric-icon">⚠️</div>
+            </div>
+            <div class="metric-value">${m.receptionErrorRate.toFixed(1)}</div>
+            <div class="metric-detail">${stats.receptionErrors} total errors</div>
+        </div>
+    `;
+
+    displayExtendedStats(analysis.extended);
+    displayPlayerImpact(analysis.players);
+    displaySetBreakdown(analysis.sets);
+
+    // What-if starts from this game's team line, under the model the coach has chosen
+    mountWhatIf('whatIfPanel', [{ id: 'game', label: stats.opponent, stats }], {
+        profileId: analysis.profile,
+        teamModel: selectedTeamModel()
+    });
+
+    // Populate insights
+    document.getElementById('insightsSource').textContent = `Powered by ${getBenchmarkProfile(analysis.profile).source}`;
+    const aiInsightsEl = document.getElementById('aiInsights');
+    aiInsightsEl.innerHTML = formatInsights(analysis.insightsText);
+}
+
+function displayExtendedStats(extended) {
+    const card = document.getElementById('extendedStats');
+    // Hitting percentage is always there; the card is for the stats beyond it
+    if (!extended || Object.keys(extended).every(metric => metric === 'hittingPercentage')) {
+        card.classList.add('hidden');
+        return;
+    }
+
+    const levelLabels = { excellent: 'Winning level', good: 'Between averages', needs_improvement: 'Below losing avg' };
+    const basisLabels = { model: 'Win model', descriptive: 'Descriptive only' };
+
+    card.innerHTML = `
+        <h3>Beyond the Box Score</h3>
+        <p class="metric-detail">Hitting percentage is built from terms in the win model. The rest aren't in the model and have no published averages for this profile, so they're shown as recorded.</p>
+        <table class="players-table">
+            <thead>
+                <tr>
+                    <th>Stat</th>
+                    <th>Value</th>
+                    <th>Winning Avg</th>
+                    <th>Losing Avg</th>
+                    <th>Standing</th>
+                    <th>Basis</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${Object.entries(extended).map(([metric, data]) => `
+                    <tr>
+                        <td><strong>${EXTENDED_METRICS[metric].label}</strong></td>
+                        <td>${formatExtendedValue(metric, data.value)}</td>
+                        <td>${formatExtendedValue(metric, data.win)}</td>
+                        <td>${formatExtendedValue(metric, data.loss)}</td>
+                        <td>${data.level ? `<span class="${data.level === 'needs_improvement' ? 'score-negative' : data.level === 'excellent' ? 'score-positive' : ''}">${levelLabels[data.level]}</span>` : '-'}</td>
+                        <td>${basisLabels[data.basis]}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+    card.classList.remove('hidden');
+}
+
+function displayPlayerImpact(playerAnalysis) {
+    const card = document.getElementById('playerImpact');
+    if (!playerAnalysis) {
+        card.classList.add('hidden');
+        return;
+    }
+
+    const scoreCell = score => `<span class="${score >= 0 ? 'score-positive' : 'score-negative'}">${score >= 0 ? '+' : ''}${score.toFixed(1)}</span>`;
+
+    card.innerHTML = `
+        <h3>Player Impact</h3>
+        <p class="metric-detail">Each event weighted by its research odds ratio (log-odds × ${PLAYER_SCORE_SCALE}), scaled to a full match. Attack attempts are left out.</p>
+        <table class="players-table">
+            <thead>
+                <tr>
+                    <th>Player</th>
+                    <th>Kills</th>
+                    <th>Kill Eff.</th>
+                    <th>Aces</th>
+                    <th>Rec. Errors</th>
+                    <th>Digs</th>
+                    <th>Biggest Plus</th>
+                    <th>Biggest Minus</th>
+                    <th>Impact</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${playerAnalysis.players.map(player => {
+                    const ranked = Object.entries(player.breakdown).sort((a, b) => b[1].score - a[1].score);
+                    const best = ranked[0];
+                    const worst = ranked[ranked.length - 1];
+                    return `
+                        <tr>
+                            <td><strong>${escapeHtml(player.name)}</strong></td>
+                            <td>${player.breakdown.kills.count}</td>
+                            <td>${player.killEfficiency === null ? '-' : player.killEfficiency.toFixed(1) + '%'}</td>
+                            <td>${player.breakdown.serviceAces.count}</td>
+                            <td>${player.breakdown.receptionErrors.count}</td>
+                            <td>${player.breakdown.digs.count}</td>
+                            <td>${best[1].score > 0 ? `${formatMetricName(best[0])} ${scoreCell(best[1].score)}` : '-'}</td>
+                            <td>${worst[1].score < 0 ? `${formatMetricName(worst[0])} ${scoreCell(worst[1].score)}` : '-'}</td>
+                            <td>${scoreCell(player.netScore)}</td>
+                        </tr>
+                    `;
+                }).join('')}
+            </tbody>
+        </table>
+    `;
+    card.classList.remove('hidden');
+}
+
+function displaySetBreakdown(setAnalysis) {
+    const card = document.getElementById('setBreakdown');
+    if (!setAnalysis) {
+        card.classList.add('hidden');
+        return;
+    }
+
+    const categoryLabels = { serving: 'Serving', passing: 'Passing', attacking: 'Attacking', defense: 'Defense' };
+
+    card.innerHTML = `
+        <h3>Set-by-Set</h3>
+        <p class="metric-detail">Each set run through the win model on its own, scaled to a full match by points played.</p>
+        <table class="players-table">
+            <thead>
+                <tr>
+                    <th>Set</th>
+                    <th>Score</th>
+                    <th>Win Prob.</th>
+                    <th>Decided By</th>
+                    <th>Best</th>
+                    <th>Costliest</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${setAnalysis.sets.map(set => `
+                    <tr>
+                        <td><strong>${set.setNumber}</strong>${set.deciding ? ' (deciding)' : ''}</td>
+                        <td>${set.won === null ? '-' : `<span class="${set.won ? 'score-positive' : 'score-negative'}">${set.won ? 'W' : 'L'}</span> ${set.ourScore}-${set.opponentScore}`}</td>
+                        <td>${set.winProbability.toFixed(0)}%</td>
+                        <td>${set.decidedBy ? categoryLabels[set.decidedBy] : '-'}</td>
+                        <td>${set.best ? formatMetricName(set.best) : '-'}</td>
+                        <td>${set.costliest ? formatMetricName(set.costliest) : '-'}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+    card.classList.remove('hidden');
+}
+
+function formatInsights(insights) {
+    return insights
+        .split('\n')
+        .map(line => {
+            if (line.startsWith('**') && line.endsWith('**')) {
+                return `<h4>${line.replace(/\*\*/g, '')}</h4>`;
+            } else if (line.startsWith('•')) {
+                return `<li>${line.substring(1).trim()}</li>`;
+            } else if (line.trim() === '') {
+                return '<br>';
+            } else {
+                return `<p>${line}</p>`;
+            }
+        })
+        .join('');
+}
+
+/**
+ * Show validateGame errors next to their inputs
+ * findInput maps an error key to its input (or null); every error is also listed in the summary
+ */
+function showFieldErrors(stats, errors, findInput, summary) {
+    clearFieldErrors(summary);
+
+    for (let key in errors) {
+        const input = findInput(key);
+        if (!input) continue;
+
+        input.classList.add('input-error');
+        const group = input.closest('.form-group');
+        if (group && !group.querySelector('.field-error')) {
+            const message = document.createElement('div');
+            message.className = 'field-error';
+            message.textContent = errors[key];
+            group.appendChild(message);
+        }
+    }
+
+    summary.innerHTML = `
+        <strong>Please fix ${Object.keys(errors).length === 1 ? 'this' : 'these'} first:</strong>
+        <ul>${describeErrors(stats, errors).map(message => `<li>${message}</li>`).join('')}</ul>
+    `;
+    summary.classList.remove('hidden');
+
+    const first = document.querySelector('.input-error');
+    if (first) first.focus();
+}
+
+function clearFieldErrors(summary) {
+    document.querySelectorAll('.input-error').forEach(input => input.classList.remove('input-error'));
+    document.querySelectorAll('.field-error').forEach(message => message.remove());
+    summary.classList.add('hidden');
+    summary.innerHTML = '';
+}
@@ -0,0 +1,107 @@
+/**
+ * StatCoach Volleyball - Service Worker
+ * Caches the pages, modules and CDN libraries so the app opens and analyzeGame
+ * runs with no connection. Pages and modules are fetched fresh when online and
+ * fall back to the cache; CDN libraries are pinned to exact versions (the same
+ * URLs the pages load), so the cache wins. Supabase and /api calls are never
+ * cached - offline saves go to the sync queue (sync.js) instead. Bump CACHE_NAME
+ * when the file list or a library version changes.
+ */
+
+const CACHE_NAME = 'statcoach-v4';
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'live.html',
+    'dashboard.html',
+    'game.html',
+    'import.html',
+    'player.html',
+    'opponent.html',
+    'calibration.html',
+    'practice.html',
+    'team.html',
+    'login.html',
+    'signup.html',
+    'analysis.js',
+    'game-schema.js',
+    'access.js',
+    'calibration.js',
+    'opponents.js',
+    'games.js',
+    'results.js',
+    'goals.js',
+    'trends.js',
+    'whatif.js',
+    'whatif-panel.js',
+    'live.js',
+    'import.js',
+    'export.js',
+    'practice.js',
+    'sync.js',
+    'sync-panel.js',
+    'share.js',
+    'share-panel.js',
+    'integrations.js',
+    'manifest.webmanifest',
+    'icon.svg'
+];
+
+const CDN_LIBRARIES = [
+    'https://cdn.jsdelivr.net/npm/@supabase/supabase-js@2.45.4/dist/umd/supabase.js',
+    'https://cdn.jsdelivr.net/npm/chart.js@4.4.1/dist/chart.umd.js'
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_SHELL.concat(CDN_LIBRARIES)))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin === self.location.origin) {
+        if (url.pathname.startsWith('/api/')) return;
+        event.respondWith(networkFirst(request));
+    } else if (CDN_LIBRARIES.some(library => request.url.startsWith(library))) {
+        event.respondWith(cacheFirst(request));
+    }
+});
+
+// Fresh copy when online, cached copy when not; game.html?id=... falls back to the cached game.html
+async function networkFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+async function cacheFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+    return response;
+}
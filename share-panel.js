@@ -0,0 +1,185 @@
+/**
+ * StatCoach Volleyball - Share Panel
+ * The Share button on the game page and the dashboard's season view, and the
+ * link list on the team page: make a read-only report link, copy it, and see
+ * and revoke the links already out there. Pages include the .share-* CSS.
+ */
+
+let sharePanel = null;
+
+/**
+ * Show the share panel in a container
+ * target is { kind: 'game', gameId } or { kind: 'season', seasonId, profileId } to share one
+ * report, or null to only list the team's links
+ */
+function mountSharePanel(containerId, client, teamContext, target = null) {
+    sharePanel = {
+        containerId,
+        client,
+        teamContext,
+        target,
+        open: target === null,
+        links: [],
+        created: null,
+        message: '',
+        busy: false
+    };
+
+    loadShareLinks();
+}
+
+// The dashboard's season view changes the benchmark profile a new link is made with
+function setShareTarget(target) {
+    if (!sharePanel) return;
+    const previous = sharePanel.target;
+    sharePanel.target = target;
+    if (previous && target && previous.gameId === target.gameId && previous.seasonId === target.seasonId) {
+        renderSharePanel();
+        return;
+    }
+    sharePanel.created = null;
+    loadShareLinks();
+}
+
+async function loadShareLinks() {
+    const { client, teamContext, target } = sharePanel;
+    try {
+        sharePanel.links = await listShareLinks(client, teamContext.team.id, target ? {
+            gameId: target.gameId,
+            seasonId: target.seasonId
+        } : {});
+    } catch (error) {
+        console.error('Error loading share links:', error);
+        sharePanel.links = [];
+    }
+    renderSharePanel();
+}
+
+// The team page lists every link, so it says which game or season each one shares
+function shareLinkTitle(link) {
+    const title = escapeHtml(link.label || SHARE_KINDS[link.kind].label);
+    if (sharePanel.target) return title;
+    if (link.kind === 'game') return `${title} (<a href="game.html?id=${link.game_id}">view game</a>)`;
+    const season = sharePanel.teamContext.seasons.find(candidate => candidate.id === link.season_id);
+    return season ? `${title} (${escapeHtml(season.name)})` : title;
+}
+
+function shareLinkDetail(link) {
+    const status = shareLinkStatus(link);
+    const detail = [`Made by ${escapeHtml(link.created_by_name || 'a coach')} on ${new Date(link.created_at).toLocaleDateString()}`];
+    if (status === 'revoked') detail.push(`revoked ${new Date(link.revoked_at).toLocaleDateString()}`);
+    else if (link.expires_at) detail.push(`${status === 'expired' ? 'expired' : 'expires'} ${new Date(link.expires_at).toLocaleDateString()}`);
+    else detail.push('no expiry');
+    detail.push(link.last_viewed_at ? `last opened ${new Date(link.last_viewed_at).toLocaleString()}` : 'not opened yet');
+    return detail.join(' · ');
+}
+
+function renderSharePanel() {
+    if (!sharePanel) return;
+
+    const container = document.getElementById(sharePanel.containerId);
+    if (!container) return;
+
+    const { target, links, created } = sharePanel;
+    const active = links.filter(link => shareLinkStatus(link) === 'active');
+
+    container.innerHTML = `
+        ${target ? `
+            <button type="button" class="btn btn-secondary" onclick="toggleSharePanel()" ${target.kind === 'season' && !target.seasonId ? 'disabled title="Pick one season to share"' : ''}>
+                🔗 Share${active.length > 0 ? ` (${active.length})` : ''}
+            </button>
+        ` : ''}
+        ${sharePanel.open ? `
+            <div class="share-panel ${target ? 'share-popover' : ''}">
+                ${target ? `
+                    <div class="share-form">
+                        <input type="text" class="share-input" id="shareLabel" maxlength="100" placeholder="Label (e.g. Parents group)">
+                        <select class="share-input" id="shareExpiry">
+                            ${Object.entries(SHARE_EXPIRY).map(([choice, option]) => `<option value="${choice}">${option.label}</option>`).join('')}
+                        </select>
+                        <button type="button" class="btn" onclick="createSharedReport()" ${sharePanel.busy ? 'disabled' : ''}>Create link</button>
+                    </div>
+                    <p class="share-hint">Anyone with the link can view this ${target.kind === 'game' ? 'game' : 'season'}'s report without signing in. Nothing else on the team is shown.</p>
+                ` : ''}
+                ${created ? `
+                    <div class="share-created">
+                        <input type="text" class="share-input" id="shareCreatedUrl" value="${shareUrl(window.location.origin, created.token)}" readonly onclick="this.select()">
+                        <button type="button" class="btn btn-secondary" onclick="copyShareUrl('${created.token}')">Copy</button>
+                    </div>
+                ` : ''}
+                ${sharePanel.message ? `<p class="share-message">${sharePanel.message}</p>` : ''}
+                ${links.length === 0 ? '<p class="share-hint">No links yet.</p>' : `
+                    <div class="share-list">
+                        ${links.map(link => {
+                            const status = shareLinkStatus(link);
+                            return `
+                                <div class="share-entry ${status}">
+                                    <div class="share-entry-title">${shareLinkTitle(link)} <span class="share-status ${status}">${status}</span></div>
+                                    <div class="share-entry-detail">${shareLinkDetail(link)}</div>
+                                    ${status === 'active' ? `
+                                        <div class="share-entry-actions">
+                                            <button type="button" onclick="copyShareUrl('${link.token}')">Copy link</button>
+                                            <button type="button" onclick="revokeSharedReport('${link.id}')">Revoke</button>
+                                        </div>
+                                    ` : ''}
+                                </div>
+                            `;
+                        }).join('')}
+                    </div>
+                `}
+            </div>
+        ` : ''}
+    `;
+}
+
+function toggleSharePanel() {
+    sharePanel.open = !sharePanel.open;
+    sharePanel.message = '';
+    renderSharePanel();
+}
+
+async function createSharedReport() {
+    const { client, teamContext, target } = sharePanel;
+    sharePanel.busy = true;
+    sharePanel.message = '';
+
+    try {
+        sharePanel.created = await createShareLink(client, teamContext, {
+            ...target,
+            expiry: document.getElementById('shareExpiry').value,
+            label: document.getElementById('shareLabel').value
+        });
+    } catch (error) {
+        console.error('Error creating share link:', error);
+        sharePanel.message = error.fieldErrors ? error.message : 'Could not create the link. Check your connection and try again.';
+    }
+
+    sharePanel.busy = false;
+    await loadShareLinks();
+}
+
+async function copyShareUrl(token) {
+    const url = shareUrl(window.location.origin, token);
+    try {
+        await navigator.clipboard.writeText(url);
+        sharePanel.message = 'Link copied.';
+    } catch (error) {
+        // Clipboard access can be refused; the link is still there to copy by hand
+        sharePanel.message = `Copy this link: ${url}`;
+    }
+    renderSharePanel();
+}
+
+async function revokeSharedReport(linkId) {
+    if (!confirm('Revoke this link? Anyone who has it will no longer be able to open the report.')) return;
+
+    try {
+        await revokeShareLink(sharePanel.client, linkId);
+        if (sharePanel.created && sharePanel.created.id === linkId) sharePanel.created = null;
+        sharePanel.message = 'Link revoked.';
+    } catch (error) {
+        console.error('Error revoking share link:', error);
+        sharePanel.message = 'Could not revoke the link. Try again.';
+    }
+    await loadShareLinks();
+}
@@ -0,0 +1,293 @@
+/**
+ * StatCoach Volleyball - Share Links Module
+ * Read-only links to one game's or one season's report, for players and parents
+ * without accounts. A link is a random token in share_links that can be revoked
+ * and can expire. /api/report serves it with the service key, so a report is
+ * built here field by field: the stats and analysis of what was shared, the team
+ * name, and nothing about other games, the staff or their accounts.
+ */
+
+// analysis.js and game-schema.js are loaded first on the page; under Node pull them in directly
+const shareAnalysis = typeof module !== 'undefined' && module.exports
+    ? require('./analysis.js')
+    : { analyzeGame, getBenchmarkProfile };
+const shareSchema = typeof module !== 'undefined' && module.exports
+    ? require('./game-schema.js')
+    : { COUNT_LIMITS, EXTENDED_FIELDS, gameRowToStats, gamePlayerRowToLine, gameSetRowToSet, matchResult, matchSetScores };
+
+// What a link can show
+const SHARE_KINDS = {
+    game: { label: 'Game report' },
+    season: { label: 'Season report' }
+};
+
+// How long a new link lasts; days: null never expires
+const SHARE_EXPIRY = {
+    week: { label: '7 days', days: 7 },
+    month: { label: '30 days', days: 30 },
+    day: { label: '1 day', days: 1 },
+    never: { label: 'Until revoked', days: null }
+};
+
+/**
+ * When a link made now with this expiry choice stops working (ISO string), or null for never
+ */
+function shareExpiresAt(choice, now = new Date()) {
+    const expiry = SHARE_EXPIRY[choice] || SHARE_EXPIRY.week;
+    return expiry.days === null ? null : new Date(now.getTime() + expiry.days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * 'active', 'expired' or 'revoked' for a share_links row
+ */
+function shareLinkStatus(link, now = new Date()) {
+    if (link.revoked_at) return 'revoked';
+    if (link.expires_at && new Date(link.expires_at) <= now) return 'expired';
+    return 'active';
+}
+
+function shareUrl(origin, token) {
+    return `${origin}/api/report?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Check a link before it's created: { valid, errors } keyed by field
+ */
+function validateShareLink(link) {
+    const errors = {};
+
+    if (!SHARE_KINDS[link.kind]) {
+        errors.kind = 'Share a game or a season';
+    } else if (link.kind === 'game' && !link.gameId) {
+        errors.gameId = 'Pick the game to share';
+    } else if (link.kind === 'season' && !link.seasonId) {
+        errors.seasonId = 'Pick one season to share (not all seasons)';
+    }
+    if (link.expiry && !SHARE_EXPIRY[link.expiry]) {
+        errors.expiry = 'Unknown expiry';
+    }
+    if (link.label && String(link.label).length > 100) {
+        errors.label = 'Label is too long (100 characters max)';
+    }
+
+    return { valid: Object.keys(errors).length === 0, errors };
+}
+
+// Games saved before the combined win model have no usable stored analysis
+function isCurrentAnalysis(analysis) {
+    return Boolean(analysis && analysis.winProbability && analysis.metrics);
+}
+
+/**
+ * The parts of an analyzeGame result a report shows, with player ids left out
+ */
+function reportAnalysis(analysis) {
+    const impacts = {};
+    for (let metric in analysis.impacts) {
+        const { value, benchmark, impact } = analysis.impacts[metric];
+        impacts[metric] = { value, benchmark, impact };
+    }
+
+    return {
+        profile: analysis.profile,
+        winProbability: { percent: analysis.winProbability.percent, source: analysis.winProbability.source },
+        metrics: analysis.metrics,
+        extended: analysis.extended || {},
+        impacts,
+        recommendations: {
+            weaknesses: analysis.recommendations.weaknesses.map(({ metric, impact, value, benchmark }) => ({ metric, impact, value, benchmark })),
+            strengths: analysis.recommendations.strengths.map(({ metric, impact, value, benchmark }) => ({ metric, impact, value, benchmark }))
+        },
+        insightsText: analysis.insightsText,
+        players: analysis.players
+            ? analysis.players.players.map(player => ({
+                name: player.name,
+                kills: player.breakdown.kills.count,
+                killEfficiency: player.killEfficiency,
+                serviceAces: player.breakdown.serviceAces.count,
+                receptionErrors: player.breakdown.receptionErrors.count,
+                digs: player.breakdown.digs.count,
+                netScore: player.netScore
+            }))
+            : null,
+        sets: analysis.sets
+            ? analysis.sets.sets.map(({ setNumber, ourScore, opponentScore, won, winProbability, decidedBy }) =>
+                ({ setNumber, ourScore, opponentScore, won, winProbability, decidedBy }))
+            : null
+    };
+}
+
+// The stat line a report prints: the count fields and sets, plus the extended stats recorded
+function reportStats(stats) {
+    const line = { totalSets: stats.totalSets };
+    Object.keys(shareSchema.COUNT_LIMITS).forEach(field => {
+        line[field] = stats[field];
+    });
+    shareSchema.EXTENDED_FIELDS.forEach(field => {
+        if (stats[field] !== undefined) line[field] = stats[field];
+    });
+    return line;
+}
+
+/**
+ * Report for one game from its games row and its game_players / game_sets rows
+ * The analysis is the one stored with the game, as the coach saw it; games saved before the
+ * current model are re-run with the research model.
+ */
+function buildSharedGameReport(teamName, row, playerRows = [], setRows = []) {
+    const stats = shareSchema.gameRowToStats(row);
+    if (playerRows.length > 0) stats.players = playerRows.map(shareSchema.gamePlayerRowToLine);
+    if (setRows.length > 0) stats.sets = setRows.map(shareSchema.gameSetRowToSet);
+
+    const analysis = isCurrentAnalysis(row.analysis_data)
+        ? row.analysis_data
+        : shareAnalysis.analyzeGame(stats, row.benchmark_profile);
+    const result = shareSchema.matchResult(stats);
+
+    return {
+        kind: 'game',
+        teamName,
+        opponent: stats.opponent || 'Unknown Opponent',
+        gameDate: stats.gameDate,
+        location: stats.location || null,
+        result: result ? (result.won ? 'win' : 'loss') : null,
+        setScores: shareSchema.matchSetScores(stats),
+        stats: reportStats(stats),
+        analysis: reportAnalysis(analysis)
+    };
+}
+
+/**
+ * The per-match average of a season's games, the same line the dashboard's season view analyzes
+ */
+function seasonStatLine(statsList) {
+    const line = { totalSets: 0 };
+    Object.keys(shareSchema.COUNT_LIMITS).forEach(field => {
+        line[field] = 0;
+    });
+
+    statsList.forEach(stats => {
+        for (let field in line) {
+            line[field] += Number(stats[field]) || 0;
+        }
+    });
+    for (let field in line) {
+        line[field] = statsList.length > 0 ? line[field] / statsList.length : 0;
+    }
+    return line;
+}
+
+/**
+ * Report for a season from its games rows, analyzed under the benchmark profile the link was made with
+ */
+function buildSharedSeasonReport(teamName, season, rows, profileId) {
+    const profile = shareAnalysis.getBenchmarkProfile(profileId);
+    const games = rows
+        .map(row => shareSchema.gameRowToStats(row))
+        .sort((a, b) => new Date(a.gameDate) - new Date(b.gameDate));
+
+    const gameLines = games.map(stats => {
+        const result = shareSchema.matchResult(stats);
+        const analysis = shareAnalysis.analyzeGame(stats, profile.id);
+        return {
+            gameDate: stats.gameDate,
+            opponent: stats.opponent || 'Unknown Opponent',
+            result: result ? (result.won ? 'win' : 'loss') : null,
+            setScores: shareSchema.matchSetScores(stats),
+            winProbability: analysis.winProbability.percent,
+            killEfficiency: analysis.metrics.killEfficiency,
+            hittingPercentage: analysis.metrics.hittingPercentage,
+            stats: reportStats(stats)
+        };
+    });
+
+    const line = seasonStatLine(games);
+    return {
+        kind: 'season',
+        teamName,
+        seasonName: season.name,
+        profile: profile.id,
+        record: {
+            wins: gameLines.filter(game => game.result === 'win').length,
+            losses: gameLines.filter(game => game.result === 'loss').length
+        },
+        games: gameLines,
+        stats: line,
+        analysis: games.length > 0 ? reportAnalysis(shareAnalysis.analyzeGame(line, profile.id)) : null
+    };
+}
+
+/**
+ * Create a share link for the team on the page's client; returns the share_links row
+ * options: { kind, gameId, seasonId, expiry, label, profileId }
+ */
+async function createShareLink(client, teamContext, options) {
+    const { valid, errors } = validateShareLink(options);
+    if (!valid) {
+        const error = new Error(Object.values(errors)[0]);
+        error.fieldErrors = errors;
+        throw error;
+    }
+
+    const { data, error } = await client
+        .from('share_links')
+        .insert([{
+            team_id: teamContext.team.id,
+            kind: options.kind,
+            game_id: options.kind === 'game' ? options.gameId : null,
+            season_id: options.kind === 'season' ? options.seasonId : null,
+            label: options.label ? String(options.label).trim() || null : null,
+            benchmark_profile: options.kind === 'season' ? shareAnalysis.getBenchmarkProfile(options.profileId).id : null,
+            created_by: teamContext.user.id,
+            created_by_name: teamContext.user.user_metadata?.coach_name || teamContext.user.email,
+            expires_at: shareExpiresAt(options.expiry)
+        }])
+        .select()
+        .single();
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * A team's share links, newest first; filter is { gameId } or { seasonId } to narrow it
+ */
+async function listShareLinks(client, teamId, filter = {}) {
+    let query = client
+        .from('share_links')
+        .select('*')
+        .eq('team_id', teamId);
+    if (filter.gameId) query = query.eq('game_id', filter.gameId);
+    if (filter.seasonId) query = query.eq('season_id', filter.seasonId);
+
+    const { data, error } = await query.order('created_at', { ascending: false });
+    if (error) throw error;
+    return data || [];
+}
+
+async function revokeShareLink(client, linkId) {
+    const { error } = await client
+        .from('share_links')
+        .update({ revoked_at: new Date().toISOString() })
+        .eq('id', linkId);
+
+    if (error) throw error;
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SHARE_KINDS,
+        SHARE_EXPIRY,
+        shareExpiresAt,
+        shareLinkStatus,
+        shareUrl,
+        validateShareLink,
+        buildSharedGameReport,
+        buildSharedSeasonReport,
+        seasonStatLine,
+        createShareLink,
+        listShareLinks,
+        revokeShareLink
+    };
+}
@@ -0,0 +1,33 @@
+-- StatCoach Volleyball - Saved games
+--
+-- The games table the first version of the app saved to, for a fresh database; later migrations
+-- add the columns each feature needs. Rows from the API path (api/save-game.js) stored total_blocks;
+-- the entry form stored the solo/assist split. game-schema.js reads both.
+
+create table if not exists public.games (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null default auth.uid() references auth.users (id) on delete cascade,
+    opponent text,
+    game_date date,
+    total_kills integer,
+    kill_attempts integer,
+    attack_errors integer,
+    service_aces integer,
+    service_errors integer,
+    reception_errors integer,
+    total_blocks numeric,
+    solo_blocks integer,
+    block_assists integer,
+    digs integer,
+    total_sets integer,
+    analysis_data jsonb,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists games_user_date on public.games (user_id, game_date desc);
+
+alter table public.games enable row level security;
+
+drop policy if exists "Coaches manage their own games" on public.games;
+create policy "Coaches manage their own games" on public.games
+    for all using (user_id = auth.uid()) with check (user_id = auth.uid());
@@ -0,0 +1,7 @@
+-- StatCoach Volleyball - Benchmark profiles
+--
+-- The BENCHMARK_PROFILES id (analysis.js) a game was analyzed against. Games saved before
+-- profiles existed keep null and are read as the default profile.
+
+alter table public.games
+    add column if not exists benchmark_profile text;
@@ -0,0 +1,49 @@
+-- StatCoach Volleyball - Roster and per-player box scores
+--
+-- players is the coach's roster; a player who leaves is marked inactive rather than deleted so
+-- their past lines stay linked. game_players holds one box score line per player per game.
+-- player_name is kept on the line as entered, so the game still reads right if the roster changes.
+
+create table if not exists public.players (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null default auth.uid() references auth.users (id) on delete cascade,
+    name text not null check (length(trim(name)) between 1 and 100),
+    jersey_number integer check (jersey_number between 0 and 99),
+    position text,
+    active boolean not null default true,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists players_user on public.players (user_id);
+
+create table if not exists public.game_players (
+    id uuid primary key default gen_random_uuid(),
+    game_id uuid not null references public.games (id) on delete cascade,
+    player_id uuid references public.players (id) on delete set null,
+    user_id uuid not null default auth.uid() references auth.users (id) on delete cascade,
+    player_name text not null,
+    total_kills integer not null default 0 check (total_kills >= 0),
+    kill_attempts integer not null default 0 check (kill_attempts >= 0),
+    attack_errors integer not null default 0 check (attack_errors >= 0),
+    service_aces integer not null default 0 check (service_aces >= 0),
+    service_errors integer not null default 0 check (service_errors >= 0),
+    reception_errors integer not null default 0 check (reception_errors >= 0),
+    digs integer not null default 0 check (digs >= 0),
+    solo_blocks integer not null default 0 check (solo_blocks >= 0),
+    block_assists integer not null default 0 check (block_assists >= 0),
+    created_at timestamptz not null default now()
+);
+
+create index if not exists game_players_game on public.game_players (game_id);
+create index if not exists game_players_player on public.game_players (player_id);
+
+alter table public.players enable row level security;
+alter table public.game_players enable row level security;
+
+drop policy if exists "Coaches manage their own players" on public.players;
+drop policy if exists "Coaches manage their own player lines" on public.game_players;
+
+create policy "Coaches manage their own players" on public.players
+    for all using (user_id = auth.uid()) with check (user_id = auth.uid());
+create policy "Coaches manage their own player lines" on public.game_players
+    for all using (user_id = auth.uid()) with check (user_id = auth.uid());
@@ -0,0 +1,30 @@
+-- StatCoach Volleyball - Set-by-set stats
+--
+-- One row per set of a game, with the set score and the same counts as the match box score.
+-- Removed with their game.
+
+create table if not exists public.game_sets (
+    id uuid primary key default gen_random_uuid(),
+    game_id uuid not null references public.games (id) on delete cascade,
+    user_id uuid not null default auth.uid() references auth.users (id) on delete cascade,
+    set_number integer not null check (set_number between 1 and 5),
+    our_score integer not null default 0 check (our_score >= 0),
+    opponent_score integer not null default 0 check (opponent_score >= 0),
+    total_kills integer not null default 0 check (total_kills >= 0),
+    kill_attempts integer not null default 0 check (kill_attempts >= 0),
+    attack_errors integer not null default 0 check (attack_errors >= 0),
+    service_aces integer not null default 0 check (service_aces >= 0),
+    service_errors integer not null default 0 check (service_errors >= 0),
+    reception_errors integer not null default 0 check (reception_errors >= 0),
+    digs integer not null default 0 check (digs >= 0),
+    solo_blocks integer not null default 0 check (solo_blocks >= 0),
+    block_assists integer not null default 0 check (block_assists >= 0),
+    created_at timestamptz not null default now(),
+    unique (game_id, set_number)
+);
+
+alter table public.game_sets enable row level security;
+
+drop policy if exists "Coaches manage their own set rows" on public.game_sets;
+create policy "Coaches manage their own set rows" on public.game_sets
+    for all using (user_id = auth.uid()) with check (user_id = auth.uid());
@@ -0,0 +1,7 @@
+-- StatCoach Volleyball - Live tracking event log
+--
+-- A game tracked courtside keeps its rally events ({ options, events }, see live.js) so the box
+-- score can be replayed. Null for games entered by hand.
+
+alter table public.games
+    add column if not exists event_log jsonb;
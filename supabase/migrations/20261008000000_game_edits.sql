@@ -0,0 +1,44 @@
+-- StatCoach Volleyball - Game edits
+--
+-- An edit replaces the stats and analysis; the versions it replaces go onto analysis_history,
+-- oldest first, as { stats, analysis, savedAt, savedBy }. updated_by_name is what the game page
+-- shows as "last changed by".
+
+alter table public.games
+    add column if not exists analysis_history jsonb not null default '[]'::jsonb,
+    add column if not exists updated_at timestamptz,
+    add column if not exists updated_by uuid references auth.users (id) on delete set null,
+    add column if not exists updated_by_name text;
+
+-- Swap an edited game's player lines and set rows for new ones in one transaction, so an edit
+-- that fails part way never leaves the game without its lines. Each list holds rows as JSON
+-- (games.js builds them); null keeps what's saved. Runs as the caller, so row level security applies.
+create or replace function public.replace_game_lines(game uuid, player_lines jsonb, set_lines jsonb)
+returns void
+language plpgsql
+set search_path = public
+as $$
+begin
+    if player_lines is not null then
+        delete from game_players where game_id = game;
+        insert into game_players
+        select (jsonb_populate_record(
+            null::game_players,
+            jsonb_build_object('id', gen_random_uuid(), 'created_at', now()) || line || jsonb_build_object('game_id', game)
+        )).*
+        from jsonb_array_elements(player_lines) line;
+    end if;
+
+    if set_lines is not null then
+        delete from game_sets where game_id = game;
+        insert into game_sets
+        select (jsonb_populate_record(
+            null::game_sets,
+            jsonb_build_object('id', gen_random_uuid(), 'created_at', now()) || line || jsonb_build_object('game_id', game)
+        )).*
+        from jsonb_array_elements(set_lines) line;
+    end if;
+end
+$$;
+
+grant execute on function public.replace_game_lines(uuid, jsonb, jsonb) to authenticated;
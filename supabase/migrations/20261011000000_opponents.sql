@@ -0,0 +1,27 @@
+-- StatCoach Volleyball - Opponent records
+--
+-- One row per team a coach plays. aliases holds the other spellings games have used for it, so
+-- "Central HS" and "Central High" land on the same record. opponent_stats is the opponent's box
+-- score for a game, in the same shape as ours, when it was entered.
+
+create table if not exists public.opponents (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null default auth.uid() references auth.users (id) on delete cascade,
+    name text not null check (length(trim(name)) between 1 and 100),
+    aliases text[] not null default '{}',
+    created_at timestamptz not null default now()
+);
+
+create index if not exists opponents_user on public.opponents (user_id);
+
+alter table public.games
+    add column if not exists opponent_id uuid references public.opponents (id) on delete set null,
+    add column if not exists opponent_stats jsonb;
+
+create index if not exists games_opponent on public.games (opponent_id);
+
+alter table public.opponents enable row level security;
+
+drop policy if exists "Coaches manage their own opponents" on public.opponents;
+create policy "Coaches manage their own opponents" on public.opponents
+    for all using (user_id = auth.uid()) with check (user_id = auth.uid());
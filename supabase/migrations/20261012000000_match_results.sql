@@ -0,0 +1,8 @@
+-- StatCoach Volleyball - Match results
+--
+-- The result when it's known, entered or worked out from the set scores, which the team win
+-- model is fitted on. set_scores is [{ setNumber, ourScore, opponentScore }].
+
+alter table public.games
+    add column if not exists result text check (result in ('win', 'loss')),
+    add column if not exists set_scores jsonb;
@@ -0,0 +1,46 @@
+-- StatCoach Volleyball - Practice planner
+--
+-- drills is the coach's side of the drill library: their own drills, their edits of built-in
+-- drills (replaces holds the DEFAULT_DRILLS id from practice.js) and built-ins they've hidden.
+-- practice_plans keeps each saved weekly plan whole in plan, as buildPracticePlan returned it;
+-- a plan is in use from starts_on until the next one starts.
+
+create table if not exists public.drills (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null default auth.uid() references auth.users (id) on delete cascade,
+    name text not null check (length(trim(name)) between 1 and 100),
+    minutes integer not null default 10 check (minutes > 0),
+    description text,
+    metrics text[] not null default '{}',
+    replaces text,
+    hidden boolean not null default false,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists drills_user on public.drills (user_id);
+
+create table if not exists public.practice_plans (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null default auth.uid() references auth.users (id) on delete cascade,
+    name text not null,
+    profile text,
+    minutes integer not null check (minutes > 0),
+    days_per_week integer not null check (days_per_week between 1 and 7),
+    source text,
+    starts_on date not null default current_date,
+    plan jsonb not null,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists practice_plans_user on public.practice_plans (user_id, starts_on desc);
+
+alter table public.drills enable row level security;
+alter table public.practice_plans enable row level security;
+
+drop policy if exists "Coaches manage their own drills" on public.drills;
+drop policy if exists "Coaches manage their own practice plans" on public.practice_plans;
+
+create policy "Coaches manage their own drills" on public.drills
+    for all using (user_id = auth.uid()) with check (user_id = auth.uid());
+create policy "Coaches manage their own practice plans" on public.practice_plans
+    for all using (user_id = auth.uid()) with check (user_id = auth.uid());
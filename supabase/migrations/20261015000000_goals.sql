@@ -0,0 +1,22 @@
+-- StatCoach Volleyball - Season goals
+--
+-- A target for one of the GOAL_METRICS (goals.js) by a deadline. Progress is worked out from the
+-- saved games each time, so nothing else is stored.
+
+create table if not exists public.goals (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null default auth.uid() references auth.users (id) on delete cascade,
+    metric text not null,
+    target numeric not null,
+    deadline date not null,
+    label text check (label is null or length(label) <= 100),
+    created_at timestamptz not null default now()
+);
+
+create index if not exists goals_user on public.goals (user_id, deadline);
+
+alter table public.goals enable row level security;
+
+drop policy if exists "Coaches manage their own goals" on public.goals;
+create policy "Coaches manage their own goals" on public.goals
+    for all using (user_id = auth.uid()) with check (user_id = auth.uid());
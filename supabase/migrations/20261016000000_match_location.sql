@@ -0,0 +1,7 @@
+-- StatCoach Volleyball - Match location
+--
+-- Where a match was played (MATCH_LOCATIONS in game-schema.js), for home/away splits.
+-- Null when it wasn't entered.
+
+alter table public.games
+    add column if not exists location text check (location in ('home', 'away', 'neutral'));
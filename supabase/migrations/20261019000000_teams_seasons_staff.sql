@@ -0,0 +1,313 @@
+-- StatCoach Volleyball - Teams, seasons and shared staff access
+--
+-- Games, rosters, opponents, goals and practice plans move from one coach's user_id to a team.
+-- Staff are team members with a role:
+--   owner   manages the team and its staff, and can do everything an editor can
+--   editor  enters and edits games, seasons, roster, opponents, goals, drills and practice plans
+--   viewer  reads everything, changes nothing
+-- Every rule is enforced here with row level security; the pages only hide what a role can't use.
+-- user_id stays on each row as "created by".
+
+create table if not exists public.teams (
+    id uuid primary key default gen_random_uuid(),
+    name text not null check (length(trim(name)) between 1 and 100),
+    created_by uuid not null default auth.uid() references auth.users (id),
+    created_at timestamptz not null default now()
+);
+
+create table if not exists public.team_members (
+    team_id uuid not null references public.teams (id) on delete cascade,
+    user_id uuid not null references auth.users (id) on delete cascade,
+    role text not null check (role in ('owner', 'editor', 'viewer')),
+    email text,
+    name text,
+    created_at timestamptz not null default now(),
+    primary key (team_id, user_id)
+);
+
+create table if not exists public.team_invites (
+    id uuid primary key default gen_random_uuid(),
+    team_id uuid not null references public.teams (id) on delete cascade,
+    email text not null,
+    role text not null check (role in ('owner', 'editor', 'viewer')),
+    invited_by uuid references auth.users (id) on delete set null,
+    created_at timestamptz not null default now(),
+    accepted_at timestamptz
+);
+
+create unique index if not exists team_invites_team_email on public.team_invites (team_id, lower(email));
+
+create table if not exists public.seasons (
+    id uuid primary key default gen_random_uuid(),
+    team_id uuid not null references public.teams (id) on delete cascade,
+    name text not null check (length(trim(name)) between 1 and 60),
+    starts_on date not null,
+    ends_on date not null,
+    created_at timestamptz not null default now(),
+    check (ends_on >= starts_on),
+    -- lets games reference (season_id, team_id) so a game can't sit in another team's season
+    unique (id, team_id)
+);
+
+create index if not exists seasons_team on public.seasons (team_id, starts_on desc);
+
+-- Role checks --------------------------------------------------------------
+
+create or replace function public.team_role_rank(role text)
+returns integer
+language sql
+immutable
+as $$
+    select case role when 'owner' then 3 when 'editor' then 2 when 'viewer' then 1 else 0 end
+$$;
+
+-- security definer so policies on team_members can call it without recursing into their own policy
+create or replace function public.has_team_role(team uuid, min_role text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select exists (
+        select 1 from team_members m
+        where m.team_id = team
+          and m.user_id = auth.uid()
+          and team_role_rank(m.role) >= team_role_rank(min_role)
+    )
+$$;
+
+create or replace function public.team_has_members(team uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select exists (select 1 from team_members m where m.team_id = team)
+$$;
+
+-- A team always keeps at least one owner; deleting the whole team is still allowed
+create or replace function public.keep_team_owner()
+returns trigger
+language plpgsql
+as $$
+begin
+    if exists (select 1 from teams t where t.id = old.team_id)
+       and not exists (select 1 from team_members m where m.team_id = old.team_id and m.role = 'owner') then
+        raise exception 'A team needs at least one owner';
+    end if;
+    return null;
+end
+$$;
+
+drop trigger if exists keep_team_owner on public.team_members;
+create trigger keep_team_owner
+    after update or delete on public.team_members
+    for each row execute function public.keep_team_owner();
+
+-- Accept every open invite for the signed-in user's email; returns how many were accepted
+create or replace function public.accept_team_invites()
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    invite record;
+    accepted integer := 0;
+    user_email text := lower(auth.jwt() ->> 'email');
+begin
+    if auth.uid() is null or user_email is null then
+        return 0;
+    end if;
+
+    for invite in
+        select * from team_invites where lower(email) = user_email and accepted_at is null
+    loop
+        insert into team_members (team_id, user_id, role, email, name)
+        values (
+            invite.team_id,
+            auth.uid(),
+            invite.role,
+            user_email,
+            coalesce(auth.jwt() -> 'user_metadata' ->> 'coach_name', user_email)
+        )
+        on conflict (team_id, user_id) do nothing;
+
+        update team_invites set accepted_at = now() where id = invite.id;
+        accepted := accepted + 1;
+    end loop;
+
+    return accepted;
+end
+$$;
+
+-- Team data moves to team_id -------------------------------------------------
+
+-- Every existing coach gets a team of their own, named from their signup, with them as owner
+insert into public.teams (name, created_by)
+select coalesce(nullif(trim(u.raw_user_meta_data ->> 'team_name'), ''), 'My Team'), u.id
+from auth.users u
+where not exists (select 1 from public.teams t where t.created_by = u.id);
+
+insert into public.team_members (team_id, user_id, role, email, name)
+select t.id, t.created_by, 'owner', lower(u.email), coalesce(u.raw_user_meta_data ->> 'coach_name', u.email)
+from public.teams t
+join auth.users u on u.id = t.created_by
+on conflict (team_id, user_id) do nothing;
+
+do $$
+declare
+    data_table text;
+begin
+    foreach data_table in array array[
+        'games', 'game_players', 'game_sets', 'players', 'opponents', 'goals', 'drills', 'practice_plans'
+    ]
+    loop
+        execute format('alter table public.%I add column if not exists team_id uuid references public.teams (id) on delete cascade', data_table);
+        execute format(
+            'update public.%I d set team_id = (select t.id from public.teams t where t.created_by = d.user_id order by t.created_at limit 1) where d.team_id is null',
+            data_table
+        );
+        execute format('alter table public.%I alter column team_id set not null', data_table);
+        execute format('create index if not exists %I on public.%I (team_id)', data_table || '_team', data_table);
+    end loop;
+end
+$$;
+
+-- Seasons for the games already saved: July to June, named like "2025-26"
+alter table public.games add column if not exists season_id uuid;
+
+-- Every game needs a season, and the season comes from the date; a game saved without one
+-- is dated the day it was saved
+update public.games set game_date = created_at::date where game_date is null;
+alter table public.games alter column game_date set not null;
+
+insert into public.seasons (team_id, name, starts_on, ends_on)
+select distinct
+    g.team_id,
+    g.start_year || '-' || lpad(((g.start_year + 1) % 100)::text, 2, '0'),
+    make_date(g.start_year, 7, 1),
+    make_date(g.start_year + 1, 6, 30)
+from (
+    select team_id,
+           case when extract(month from game_date) >= 7
+                then extract(year from game_date)::int
+                else extract(year from game_date)::int - 1 end as start_year
+    from public.games
+) g
+where not exists (
+    select 1 from public.seasons s where s.team_id = g.team_id and s.starts_on = make_date(g.start_year, 7, 1)
+);
+
+update public.games g
+set season_id = s.id
+from public.seasons s
+where g.season_id is null
+  and s.team_id = g.team_id
+  and g.game_date between s.starts_on and s.ends_on;
+
+alter table public.games alter column season_id set not null;
+
+alter table public.games drop constraint if exists games_season_team;
+alter table public.games
+    add constraint games_season_team foreign key (season_id, team_id) references public.seasons (id, team_id);
+
+create index if not exists games_team_season_date on public.games (team_id, season_id, game_date desc);
+
+-- Row level security ---------------------------------------------------------
+
+-- Replace the old per-user policies on the team data tables
+do $$
+declare
+    policy record;
+begin
+    for policy in
+        select policyname, tablename from pg_policies
+        where schemaname = 'public'
+          and tablename in ('games', 'game_players', 'game_sets', 'players', 'opponents', 'goals', 'drills', 'practice_plans', 'seasons')
+    loop
+        execute format('drop policy %I on public.%I', policy.policyname, policy.tablename);
+    end loop;
+end
+$$;
+
+-- Team data: any member reads, editors and owners write
+do $$
+declare
+    data_table text;
+begin
+    foreach data_table in array array[
+        'games', 'game_players', 'game_sets', 'players', 'opponents', 'goals', 'drills', 'practice_plans', 'seasons'
+    ]
+    loop
+        execute format('alter table public.%I enable row level security', data_table);
+        execute format('create policy "Team members read" on public.%I for select using (public.has_team_role(team_id, ''viewer''))', data_table);
+        execute format('create policy "Editors add" on public.%I for insert with check (public.has_team_role(team_id, ''editor''))', data_table);
+        execute format(
+            'create policy "Editors change" on public.%I for update using (public.has_team_role(team_id, ''editor'')) with check (public.has_team_role(team_id, ''editor''))',
+            data_table
+        );
+        execute format('create policy "Editors remove" on public.%I for delete using (public.has_team_role(team_id, ''editor''))', data_table);
+    end loop;
+end
+$$;
+
+alter table public.teams enable row level security;
+alter table public.team_members enable row level security;
+alter table public.team_invites enable row level security;
+
+drop policy if exists "Members read their teams" on public.teams;
+drop policy if exists "Coaches create teams" on public.teams;
+drop policy if exists "Owners rename teams" on public.teams;
+drop policy if exists "Owners delete teams" on public.teams;
+
+-- The creator can read a new team back before their owner row exists
+create policy "Members read their teams" on public.teams
+    for select using (public.has_team_role(id, 'viewer') or created_by = auth.uid());
+create policy "Coaches create teams" on public.teams
+    for insert with check (created_by = auth.uid());
+create policy "Owners rename teams" on public.teams
+    for update using (public.has_team_role(id, 'owner')) with check (public.has_team_role(id, 'owner'));
+create policy "Owners delete teams" on public.teams
+    for delete using (public.has_team_role(id, 'owner'));
+
+drop policy if exists "Members see the staff list" on public.team_members;
+drop policy if exists "Owners add staff" on public.team_members;
+drop policy if exists "Owners change roles" on public.team_members;
+drop policy if exists "Owners remove staff, anyone leaves" on public.team_members;
+
+create policy "Members see the staff list" on public.team_members
+    for select using (public.has_team_role(team_id, 'viewer'));
+-- Owners add staff; the creator of a new team adds themselves as its first owner
+create policy "Owners add staff" on public.team_members
+    for insert with check (
+        public.has_team_role(team_id, 'owner')
+        or (
+            user_id = auth.uid()
+            and role = 'owner'
+            and not public.team_has_members(team_id)
+            and exists (select 1 from public.teams t where t.id = team_id and t.created_by = auth.uid())
+        )
+    );
+create policy "Owners change roles" on public.team_members
+    for update using (public.has_team_role(team_id, 'owner')) with check (public.has_team_role(team_id, 'owner'));
+create policy "Owners remove staff, anyone leaves" on public.team_members
+    for delete using (public.has_team_role(team_id, 'owner') or user_id = auth.uid());
+
+drop policy if exists "Owners and invitees read invites" on public.team_invites;
+drop policy if exists "Owners invite" on public.team_invites;
+drop policy if exists "Owners change invites" on public.team_invites;
+drop policy if exists "Owners revoke invites" on public.team_invites;
+
+create policy "Owners and invitees read invites" on public.team_invites
+    for select using (public.has_team_role(team_id, 'owner') or lower(email) = lower(auth.jwt() ->> 'email'));
+create policy "Owners invite" on public.team_invites
+    for insert with check (public.has_team_role(team_id, 'owner'));
+create policy "Owners change invites" on public.team_invites
+    for update using (public.has_team_role(team_id, 'owner')) with check (public.has_team_role(team_id, 'owner'));
+create policy "Owners revoke invites" on public.team_invites
+    for delete using (public.has_team_role(team_id, 'owner'));
+
+grant execute on function public.accept_team_invites() to authenticated;
@@ -0,0 +1,39 @@
+-- StatCoach Volleyball - Save a game with its lines
+--
+-- A new game, its player lines and its set rows are inserted in one transaction, so a save that
+-- fails part way leaves nothing behind. Before this, a queued save could create the game, fail on
+-- its player lines, and then be marked synced on retry because the game was already there.
+
+-- game is a games row as JSON (games.js builds it). Only the columns it names are inserted, so the
+-- rest keep their defaults. The lists are as for replace_game_lines; null saves none. Runs as the
+-- caller, so row level security applies. Returns the saved row.
+create or replace function public.save_game(game jsonb, player_lines jsonb, set_lines jsonb)
+returns public.games
+language plpgsql
+set search_path = public
+as $$
+declare
+    columns text;
+    saved games;
+begin
+    select string_agg(quote_ident(attname), ', ' order by attnum) into columns
+    from pg_attribute
+    where attrelid = 'public.games'::regclass
+      and attnum > 0
+      and not attisdropped
+      and game ? attname;
+
+    if columns is null then
+        raise exception 'save_game needs at least one games column';
+    end if;
+
+    execute format('insert into games (%1$s) select %1$s from jsonb_populate_record(null::games, $1) returning *', columns)
+    into saved
+    using game;
+
+    perform replace_game_lines(saved.id, player_lines, set_lines);
+    return saved;
+end
+$$;
+
+grant execute on function public.save_game(jsonb, jsonb, jsonb) to authenticated;
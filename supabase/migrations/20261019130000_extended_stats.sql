@@ -0,0 +1,13 @@
+-- StatCoach Volleyball - Extended team stats
+--
+-- Optional columns for the stats coaches keep beyond the research box score (EXTENDED_LIMITS
+-- in game-schema.js). Null means the game didn't record it; games saved before this keep null.
+-- pass_rating is the average serve-receive pass on the 0-3 scale.
+
+alter table public.games
+    add column if not exists assists integer check (assists >= 0),
+    add column if not exists ball_handling_errors integer check (ball_handling_errors >= 0),
+    add column if not exists reception_attempts integer check (reception_attempts >= 0),
+    add column if not exists pass_rating numeric(3, 2) check (pass_rating between 0 and 3),
+    add column if not exists points_on_serve integer check (points_on_serve >= 0),
+    add column if not exists sideout_points integer check (sideout_points >= 0);
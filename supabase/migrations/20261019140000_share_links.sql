@@ -0,0 +1,58 @@
+-- StatCoach Volleyball - Read-only share links
+--
+-- A share link opens one game's or one season's report without an account. The token is the
+-- only secret: /api/report looks it up with the service key and shows nothing but that report.
+-- Editors and owners create, list and revoke their team's links; revoked links are kept so the
+-- list shows what was shared. Nobody can read a link through the anon key. The token always comes
+-- from the default, never from the page, and revoking is the only change a link takes.
+
+-- Lets share_links reference (game_id, team_id) so a link can't point at another team's game
+alter table public.games drop constraint if exists games_id_team;
+alter table public.games add constraint games_id_team unique (id, team_id);
+
+create table if not exists public.share_links (
+    id uuid primary key default gen_random_uuid(),
+    -- 64 hex characters from two random uuids
+    token text not null unique default replace(gen_random_uuid()::text || gen_random_uuid()::text, '-', ''),
+    team_id uuid not null references public.teams (id) on delete cascade,
+    kind text not null check (kind in ('game', 'season')),
+    game_id uuid,
+    season_id uuid,
+    label text check (label is null or length(label) <= 100),
+    benchmark_profile text,
+    created_by uuid not null default auth.uid() references auth.users (id),
+    created_by_name text,
+    created_at timestamptz not null default now(),
+    expires_at timestamptz,
+    revoked_at timestamptz,
+    last_viewed_at timestamptz,
+    foreign key (game_id, team_id) references public.games (id, team_id) on delete cascade,
+    foreign key (season_id, team_id) references public.seasons (id, team_id) on delete cascade,
+    check (
+        (kind = 'game' and game_id is not null and season_id is null)
+        or (kind = 'season' and season_id is not null and game_id is null)
+    )
+);
+
+create index if not exists share_links_team on public.share_links (team_id, created_at desc);
+
+alter table public.share_links enable row level security;
+
+drop policy if exists "Editors read share links" on public.share_links;
+drop policy if exists "Editors share" on public.share_links;
+drop policy if exists "Editors revoke share links" on public.share_links;
+
+create policy "Editors read share links" on public.share_links
+    for select using (public.has_team_role(team_id, 'editor'));
+create policy "Editors share" on public.share_links
+    for insert with check (public.has_team_role(team_id, 'editor') and created_by = auth.uid());
+create policy "Editors revoke share links" on public.share_links
+    for update using (public.has_team_role(team_id, 'editor') and revoked_at is null)
+    with check (public.has_team_role(team_id, 'editor') and revoked_at is not null);
+
+-- Row level security picks the rows; these pick the columns. /api/report stamps last_viewed_at
+-- with the service key, which isn't limited by them.
+revoke insert, update on public.share_links from anon, authenticated;
+grant insert (team_id, kind, game_id, season_id, label, benchmark_profile, created_by, created_by_name, expires_at)
+    on public.share_links to authenticated;
+grant update (revoked_at) on public.share_links to authenticated;
@@ -0,0 +1,67 @@
+-- StatCoach Volleyball - REST API keys and outgoing webhooks
+--
+-- An API key belongs to a team and reaches /api/v1 with either read or write scope. Only its
+-- SHA-256 hash is stored; the key itself is shown once when it's made. Revoked keys are kept
+-- so the list shows what was issued. A webhook is a URL the server posts a signed JSON body to
+-- when one of the team's games is saved. Both are owner-only: they reach every game on the team.
+-- Revoking is the only change a key takes, and a revoked key stays revoked.
+
+create table if not exists public.api_keys (
+    id uuid primary key default gen_random_uuid(),
+    team_id uuid not null references public.teams (id) on delete cascade,
+    name text not null check (length(name) between 1 and 60),
+    -- The first characters of the key, so a coach can tell keys apart
+    prefix text not null,
+    key_hash text not null unique,
+    scope text not null default 'read' check (scope in ('read', 'write')),
+    created_by uuid not null default auth.uid() references auth.users (id),
+    created_by_name text,
+    created_at timestamptz not null default now(),
+    last_used_at timestamptz,
+    revoked_at timestamptz
+);
+
+create index if not exists api_keys_team on public.api_keys (team_id, created_at desc);
+
+create table if not exists public.webhooks (
+    id uuid primary key default gen_random_uuid(),
+    team_id uuid not null references public.teams (id) on delete cascade,
+    url text not null check (url ~ '^https://' and length(url) <= 500),
+    events text[] not null default array['game.created', 'game.updated'],
+    -- Signs each delivery (X-StatCoach-Signature) so the receiver can tell it came from us
+    secret text not null default replace(gen_random_uuid()::text, '-', ''),
+    active boolean not null default true,
+    created_by uuid not null default auth.uid() references auth.users (id),
+    created_at timestamptz not null default now(),
+    last_delivery_at timestamptz,
+    last_status integer,
+    last_error text
+);
+
+create index if not exists webhooks_team on public.webhooks (team_id);
+
+alter table public.api_keys enable row level security;
+alter table public.webhooks enable row level security;
+
+drop policy if exists "Owners read API keys" on public.api_keys;
+drop policy if exists "Owners create API keys" on public.api_keys;
+drop policy if exists "Owners revoke API keys" on public.api_keys;
+
+create policy "Owners read API keys" on public.api_keys
+    for select using (public.has_team_role(team_id, 'owner'));
+create policy "Owners create API keys" on public.api_keys
+    for insert with check (public.has_team_role(team_id, 'owner') and created_by = auth.uid());
+create policy "Owners revoke API keys" on public.api_keys
+    for update using (public.has_team_role(team_id, 'owner') and revoked_at is null)
+    with check (public.has_team_role(team_id, 'owner') and revoked_at is not null);
+
+-- Row level security picks the rows; these pick the columns. /api/v1 stamps last_used_at with the
+-- service key, which isn't limited by them.
+revoke insert, update on public.api_keys from anon, authenticated;
+grant insert (team_id, name, prefix, key_hash, scope, created_by, created_by_name) on public.api_keys to authenticated;
+grant update (revoked_at) on public.api_keys to authenticated;
+
+drop policy if exists "Owners manage webhooks" on public.webhooks;
+
+create policy "Owners manage webhooks" on public.webhooks
+    for all using (public.has_team_role(team_id, 'owner')) with check (public.has_team_role(team_id, 'owner'));
@@ -0,0 +1,8 @@
+-- StatCoach Volleyball - Saved coaching insights
+--
+-- /api/analyze keeps the text the model wrote for a saved game here, as
+-- { key, text, source, model, generatedAt }. key changes with the stats and the model, so an
+-- edited game or a new model gets fresh insights. Null until insights are first asked for.
+
+alter table public.games
+    add column if not exists insights jsonb;
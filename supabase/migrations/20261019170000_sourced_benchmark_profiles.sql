@@ -0,0 +1,12 @@
+-- StatCoach Volleyball - Sourced benchmark profiles only
+--
+-- The D-I women's, D-II/D-III, high school and club profiles had no published data behind them
+-- and are gone from BENCHMARK_PROFILES (analysis.js). Games and share links that used one go back
+-- to null, which is read as the default D-I men's profile; /api/migrate-games then re-analyzes
+-- those games against it, keeping the old analysis in their history.
+
+update public.games set benchmark_profile = null
+    where benchmark_profile in ('ncaa_d1_women', 'ncaa_d2_d3', 'high_school', 'club');
+
+update public.share_links set benchmark_profile = null
+    where benchmark_profile in ('ncaa_d1_women', 'ncaa_d2_d3', 'high_school', 'club');
@@ -0,0 +1,43 @@
+-- StatCoach Volleyball - Save a game edit with its lines
+--
+-- An edit's games row update and its player line and set row replacement run in one transaction,
+-- so the team totals never disagree with the lines after a failed save.
+
+-- game is the game's id and changes the columns to update as JSON (games.js builds them); only the
+-- columns it names are touched. The lists are as for replace_game_lines; null keeps what's saved.
+-- Runs as the caller, so row level security applies. Returns the updated row.
+create or replace function public.update_game(game uuid, changes jsonb, player_lines jsonb, set_lines jsonb)
+returns public.games
+language plpgsql
+set search_path = public
+as $$
+declare
+    columns text;
+    saved games;
+begin
+    select string_agg(quote_ident(attname), ', ' order by attnum) into columns
+    from pg_attribute
+    where attrelid = 'public.games'::regclass
+      and attnum > 0
+      and not attisdropped
+      and attname <> 'id'
+      and changes ? attname;
+
+    if columns is null then
+        select * into saved from games where id = game;
+    else
+        execute format('update games set (%1$s) = (select %1$s from jsonb_populate_record(null::games, $1)) where id = $2 returning *', columns)
+        into saved
+        using changes, game;
+    end if;
+
+    if saved.id is null then
+        raise exception 'Game % not found', game using errcode = 'P0002';
+    end if;
+
+    perform replace_game_lines(saved.id, player_lines, set_lines);
+    return saved;
+end
+$$;
+
+grant execute on function public.update_game(uuid, jsonb, jsonb, jsonb) to authenticated;
@@ -0,0 +1,119 @@
+/**
+ * StatCoach Volleyball - Sync Status
+ * The sync indicator shared by the entry form, live tracking and the dashboard:
+ * online or offline, how many games are waiting on this device, and a list of
+ * them where conflicts and failed saves are settled. It also registers the
+ * service worker that keeps the app working offline, and syncs the queue when
+ * the page loads, when the connection comes back and when the tab is reopened.
+ * Pages include the .sync-* CSS.
+ */
+
+let syncPanel = null;
+
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.register('service-worker.js').catch(error => {
+        console.error('Service worker registration failed:', error);
+    });
+}
+
+/**
+ * Show the sync indicator in a container
+ * options.onSynced(entries) is called after a sync saves at least one game
+ */
+function mountSyncStatus(containerId, client, options = {}) {
+    syncPanel = {
+        containerId,
+        client,
+        onSynced: options.onSynced || null,
+        open: false,
+        syncing: false
+    };
+
+    registerServiceWorker();
+
+    window.addEventListener('online', syncNow);
+    window.addEventListener('offline', renderSyncStatus);
+    window.addEventListener('statcoach:queue', renderSyncStatus);
+    window.addEventListener('statcoach:syncing', event => {
+        syncPanel.syncing = event.detail.active;
+        renderSyncStatus();
+        if (!event.detail.active && event.detail.synced.length > 0 && syncPanel.onSynced) {
+            syncPanel.onSynced(event.detail.synced);
+        }
+    });
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') syncNow();
+    });
+
+    renderSyncStatus();
+    syncNow();
+}
+
+function syncNow() {
+    if (!syncPanel || !navigator.onLine) {
+        renderSyncStatus();
+        return;
+    }
+    flushQueue(syncPanel.client).catch(error => console.error('Sync error:', error));
+}
+
+// Indicator text and dot colour for the current state
+function syncIndicator(summary) {
+    const waiting = `${summary.pending} game${summary.pending !== 1 ? 's' : ''} waiting`;
+    const attention = summary.conflict + summary.failed;
+
+    if (attention > 0) return { state: 'attention', text: `${attention} game${attention !== 1 ? 's need' : ' needs'} attention` };
+    if (!navigator.onLine) return { state: 'offline', text: summary.pending > 0 ? `Offline - ${waiting}` : 'Offline' };
+    if (syncPanel.syncing) return { state: 'syncing', text: 'Syncing...' };
+    if (summary.pending > 0) return { state: 'pending', text: waiting };
+    return { state: 'online', text: 'All games synced' };
+}
+
+function renderSyncStatus() {
+    if (!syncPanel) return;
+
+    // The page may not have drawn the container yet (the entry form adds it once the coach signs in)
+    const container = document.getElementById(syncPanel.containerId);
+    if (!container) return;
+
+    const queue = readQueue();
+    const indicator = syncIndicator(queueSummary(queue));
+    if (queue.length === 0) syncPanel.open = false;
+
+    container.innerHTML = `
+        <button type="button" class="sync-indicator ${indicator.state}" onclick="toggleSyncList()" title="Games saved on this device">
+            <span class="sync-dot"></span>${indicator.text}
+        </button>
+        ${syncPanel.open ? `
+            <div class="sync-list">
+                ${queue.map(entry => `
+                    <div class="sync-entry ${entry.status}">
+                        <div class="sync-entry-title">vs ${escapeHtml(entry.stats.opponent)} <span class="sync-entry-date">${new Date(entry.stats.gameDate + 'T00:00').toLocaleDateString()}</span></div>
+                        <div class="sync-entry-detail">${SYNC_STATUSES[entry.status].label}${entry.teamName ? ` - ${escapeHtml(entry.teamName)}` : ''}${entry.message ? `: ${escapeHtml(entry.message)}` : ''}</div>
+                        <div class="sync-entry-actions">
+                            ${entry.status === 'conflict' ? Object.entries(CONFLICT_CHOICES).map(([choice, option]) => `
+                                <button type="button" onclick="chooseSyncAction('${entry.id}', '${choice}')">${option.label}</button>
+                            `).join('') : ''}
+                            ${entry.status === 'conflict' && entry.conflictGameId ? `<a href="game.html?id=${entry.conflictGameId}">View saved game</a>` : ''}
+                            ${entry.status === 'failed' ? `<button type="button" onclick="chooseSyncAction('${entry.id}', 'retry')">Retry</button>` : ''}
+                            ${entry.status !== 'conflict' ? `<button type="button" onclick="chooseSyncAction('${entry.id}', 'discard')">Discard</button>` : ''}
+                        </div>
+                    </div>
+                `).join('')}
+                ${navigator.onLine && queueSummary(queue).pending > 0 ? '<button type="button" class="sync-now" onclick="syncNow()">Sync now</button>' : ''}
+            </div>
+        ` : ''}
+    `;
+}
+
+function toggleSyncList() {
+    syncPanel.open = !syncPanel.open && readQueue().length > 0;
+    renderSyncStatus();
+}
+
+function chooseSyncAction(id, choice) {
+    if (choice === 'discard' && !confirm('Discard this game? It is only stored on this device, so it will be lost.')) return;
+    updateQueuedEntry(id, choice);
+    syncNow();
+}
@@ -0,0 +1,276 @@
+/**
+ * StatCoach Volleyball - Offline Sync Module
+ * Games entered without a connection wait in a queue on this device and are
+ * saved through the usual saveGame path once the connection is back. Before a
+ * queued game is saved, the team's games on the same date are checked: the same
+ * game already saved is dropped as synced, a different stat line against the same
+ * opponent is held as a conflict for the coach to settle.
+ */
+
+// game-schema.js, opponents.js, access.js and games.js are loaded first on the page
+const syncSchema = typeof module !== 'undefined' && module.exports
+    ? require('./game-schema.js')
+    : { COUNT_LIMITS, gameRowToStats, describeErrors };
+const syncOpponents = typeof module !== 'undefined' && module.exports
+    ? require('./opponents.js')
+    : { opponentKey };
+const syncAccess = typeof module !== 'undefined' && module.exports
+    ? require('./access.js')
+    : { loadTeamContext };
+const syncGames = typeof module !== 'undefined' && module.exports
+    ? require('./games.js')
+    : { saveGame, loadGame, updateGame };
+
+// localStorage keys: the queue, and the last team loaded online so games can be queued offline
+const SYNC_QUEUE_KEY = 'statcoach.syncQueue';
+const LAST_TEAM_KEY = 'statcoach.lastTeam';
+
+// Queue entry states
+const SYNC_STATUSES = {
+    pending: { label: 'Waiting to sync' },
+    conflict: { label: 'Needs a decision' },
+    failed: { label: 'Could not be saved' }
+};
+
+// How a conflict can be settled; keep_both saves the queued game as a separate game
+const CONFLICT_CHOICES = {
+    keep_both: { label: 'Save as another game' },
+    replace: { label: 'Replace the saved game' },
+    discard: { label: 'Discard this copy' }
+};
+
+// Postgres code for a row level security refusal
+const RLS_VIOLATION = '42501';
+
+/**
+ * A new queue entry for a game analyzed offline
+ * team is { id, name } or null when no team has been loaded on this device yet;
+ * the coach's current team is used when it syncs
+ */
+function createQueueEntry(stats, analysis, team, now = new Date()) {
+    return {
+        id: `${now.getTime().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        teamId: team ? team.id : null,
+        teamName: team ? team.name : null,
+        stats,
+        analysis,
+        queuedAt: now.toISOString(),
+        status: 'pending',
+        message: null,
+        conflictGameId: null,
+        resolution: null
+    };
+}
+
+/**
+ * Counts for the status indicator: { total, pending, conflict, failed }
+ */
+function queueSummary(queue) {
+    const summary = { total: queue.length, pending: 0, conflict: 0, failed: 0 };
+    queue.forEach(entry => {
+        summary[entry.status] = (summary[entry.status] || 0) + 1;
+    });
+    return summary;
+}
+
+/**
+ * Do two stat lines record the same game? Same opponent, date, sets and team counts
+ */
+function sameGameStats(a, b) {
+    return a.gameDate === b.gameDate
+        && syncOpponents.opponentKey(a.opponent) === syncOpponents.opponentKey(b.opponent)
+        && Number(a.totalSets) === Number(b.totalSets)
+        && Object.keys(syncSchema.COUNT_LIMITS).every(field => Number(a[field] || 0) === Number(b[field] || 0));
+}
+
+/**
+ * Did a save fail because there's no connection (rather than being refused)?
+ */
+function isNetworkError(error) {
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) return true;
+    if (!error) return false;
+    return error.name === 'AuthRetryableFetchError'
+        || /failed to fetch|networkerror|network error|load failed|fetch failed/i.test(error.message || '');
+}
+
+// A refusal the coach has to act on, worded for the queue list
+function failureMessage(entry, error) {
+    if (error.fieldErrors) {
+        return `Invalid stats: ${syncSchema.describeErrors(entry.stats, error.fieldErrors).join('; ')}`;
+    }
+    if (error.code === RLS_VIOLATION) {
+        return `You no longer have edit access to ${entry.teamName || 'this team'}`;
+    }
+    return error.message || 'Save failed';
+}
+
+/**
+ * Try to save one queued game; returns the entry's new state
+ * { status: 'synced', gameId } when it's saved (or was already), 'conflict' when a different
+ * line for the same match is on the team already, 'failed' when the save was refused, or
+ * 'pending' when nobody is signed in. Network errors are thrown so the caller stops and retries later.
+ */
+async function syncEntry(client, entry) {
+    const { stats, analysis } = entry;
+
+    try {
+        let teamId = entry.teamId;
+        if (!teamId) {
+            const context = await syncAccess.loadTeamContext(client);
+            if (!context) return { ...entry, status: 'pending', message: 'Sign in to sync' };
+            teamId = context.team.id;
+        }
+
+        if (entry.resolution === 'replace') {
+            const existing = await syncGames.loadGame(client, entry.conflictGameId);
+            if (!existing) {
+                return { ...entry, status: 'failed', message: 'The saved game it was replacing has been deleted' };
+            }
+            const updated = await syncGames.updateGame(client, existing.row, stats, analysis);
+            if (!updated) return { ...entry, status: 'pending', message: 'Sign in to sync' };
+            return { ...entry, status: 'synced', gameId: updated.id };
+        }
+
+        if (entry.resolution !== 'keep_both') {
+            const { data: sameDay, error } = await client
+                .from('games')
+                .select('*')
+                .eq('team_id', teamId)
+                .eq('game_date', stats.gameDate);
+
+            if (error) throw error;
+
+            const match = (sameDay || []).find(row =>
+                syncOpponents.opponentKey(row.opponent) === syncOpponents.opponentKey(stats.opponent));
+            if (match && sameGameStats(syncSchema.gameRowToStats(match), stats)) {
+                // Saved already, by another device or a sync whose reply never arrived
+                return { ...entry, status: 'synced', gameId: match.id };
+            }
+            if (match) {
+                return {
+                    ...entry,
+                    teamId,
+                    status: 'conflict',
+                    conflictGameId: match.id,
+                    message: `A different stat line for ${match.opponent} on ${match.game_date} is already saved${match.updated_by_name ? ` by ${match.updated_by_name}` : ''}`
+                };
+            }
+        }
+
+        const saved = await syncGames.saveGame(client, stats, analysis, teamId);
+        if (!saved) return { ...entry, status: 'pending', message: 'Sign in to sync' };
+        return { ...entry, status: 'synced', gameId: saved.id };
+    } catch (error) {
+        if (isNetworkError(error)) throw error;
+        return { ...entry, status: 'failed', message: failureMessage(entry, error) };
+    }
+}
+
+/**
+ * Settle a conflict or retry a failed entry; returns the entry (null when discarded)
+ * choice is a CONFLICT_CHOICES key, or 'retry'
+ */
+function resolveEntry(entry, choice) {
+    if (choice === 'discard') return null;
+    if (choice === 'retry') return { ...entry, status: 'pending', message: null };
+    return { ...entry, status: 'pending', message: null, resolution: choice };
+}
+
+function readQueue() {
+    try {
+        return JSON.parse(localStorage.getItem(SYNC_QUEUE_KEY)) || [];
+    } catch (error) {
+        return [];
+    }
+}
+
+function writeQueue(queue) {
+    localStorage.setItem(SYNC_QUEUE_KEY, JSON.stringify(queue));
+    window.dispatchEvent(new CustomEvent('statcoach:queue'));
+}
+
+function enqueueGame(stats, analysis, team) {
+    const entry = createQueueEntry(stats, analysis, team);
+    writeQueue(readQueue().concat([entry]));
+    return entry;
+}
+
+function updateQueuedEntry(id, choice) {
+    writeQueue(readQueue()
+        .map(entry => (entry.id === id ? resolveEntry(entry, choice) : entry))
+        .filter(Boolean));
+}
+
+// Remembered each time a page loads the team online, for saves made offline later
+function rememberTeam(context) {
+    if (!context) return;
+    localStorage.setItem(LAST_TEAM_KEY, JSON.stringify({ team: { id: context.team.id, name: context.team.name }, role: context.role }));
+}
+
+function rememberedTeam() {
+    try {
+        return JSON.parse(localStorage.getItem(LAST_TEAM_KEY));
+    } catch (error) {
+        return null;
+    }
+}
+
+let flushing = null;
+
+async function runFlush(client) {
+    const synced = [];
+    window.dispatchEvent(new CustomEvent('statcoach:syncing', { detail: { active: true } }));
+    try {
+        for (const entry of readQueue().filter(candidate => candidate.status === 'pending')) {
+            let result;
+            try {
+                result = await syncEntry(client, entry);
+            } catch (error) {
+                console.error('Sync stopped, still offline:', error);
+                break;
+            }
+
+            // Re-read so changes made while this save was in flight aren't lost
+            const queue = readQueue();
+            if (result.status === 'synced') {
+                synced.push(result);
+                writeQueue(queue.filter(candidate => candidate.id !== entry.id));
+            } else {
+                writeQueue(queue.map(candidate => (candidate.id === entry.id ? result : candidate)));
+            }
+        }
+    } finally {
+        window.dispatchEvent(new CustomEvent('statcoach:syncing', { detail: { active: false, synced } }));
+    }
+    return { synced, remaining: readQueue() };
+}
+
+/**
+ * Save every pending game, oldest first; stops at the first network error
+ * Returns { synced, remaining } where synced is the entries saved this time.
+ * A call while a sync is running waits for that one.
+ */
+async function flushQueue(client) {
+    if (flushing) return flushing;
+
+    flushing = runFlush(client);
+    try {
+        return await flushing;
+    } finally {
+        flushing = null;
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SYNC_STATUSES,
+        CONFLICT_CHOICES,
+        createQueueEntry,
+        queueSummary,
+        sameGameStats,
+        isNetworkError,
+        syncEntry,
+        resolveEntry
+    };
+}
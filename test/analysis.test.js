@@ -0,0 +1,82 @@
+// The combined win model, player lines, and set-by-set analysis on incomplete set rows. Run with: node --test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeGame, analyzePlayers, sumBoxScore, analyzeSets, buildWinModel, normalizeStats, predictWinProbability, getBenchmarkProfile } = require('../analysis.js');
+
+const profile = getBenchmarkProfile('ncaa_d1_men');
+const game = {
+    opponent: 'Rival', gameDate: '2025-10-01', totalSets: 3,
+    totalKills: 40, killAttempts: 110, attackErrors: 15, serviceAces: 5, serviceErrors: 8,
+    receptionErrors: 6, soloBlocks: 2, blockAssists: 8, digs: 50
+};
+
+test('a team halfway between the winning and losing averages is a 50/50 match', () => {
+    const model = buildWinModel(profile);
+    const prediction = predictWinProbability({ ...model.centers }, model);
+
+    assert.ok(Math.abs(prediction.probability - 0.5) < 1e-9);
+    Object.values(prediction.contributions).forEach(contribution => assert.ok(Math.abs(contribution.share) < 1e-9));
+});
+
+test("each metric's share adds up to the move from the baseline probability", () => {
+    const model = buildWinModel(profile);
+    const prediction = predictWinProbability(normalizeStats(game, 3, profile), model);
+    const total = Object.values(prediction.contributions).reduce((sum, contribution) => sum + contribution.share, 0);
+
+    assert.ok(Math.abs(total - (prediction.percent - prediction.baselineProbability * 100)) < 1e-9);
+});
+
+test('kills raise the win probability and reception errors lower it', () => {
+    const base = analyzeGame(game, profile.id).winProbability.probability;
+
+    assert.ok(analyzeGame({ ...game, totalKills: 45 }, profile.id).winProbability.probability > base);
+    assert.ok(analyzeGame({ ...game, receptionErrors: 10 }, profile.id).winProbability.probability < base);
+});
+
+test("stats are scaled to the profile's match length", () => {
+    const normalized = normalizeStats(game, 3, profile);
+    assert.ok(Math.abs(normalized.kills - 40 * profile.setsPerMatch / 3) < 1e-9);
+    assert.ok(Math.abs(normalizeStats(game, 4, profile).digs - 50 * profile.setsPerMatch / 4) < 1e-9);
+});
+
+test('a team model is only used for the profile it was fitted on', () => {
+    const research = buildWinModel(profile);
+    const teamModel = { ...research, source: 'team', profile: profile.id, intercept: research.intercept + 1 };
+
+    assert.equal(analyzeGame(game, profile.id, teamModel).winProbability.source, 'team');
+    assert.equal(analyzeGame(game, profile.id, { ...teamModel, profile: 'club' }).winProbability.source, 'research');
+    assert.ok(analyzeGame(game, profile.id, teamModel).winProbability.probability > analyzeGame(game, profile.id).winProbability.probability);
+});
+
+test('analyzeSets counts missing set fields as 0 instead of producing NaN', () => {
+    const { sets } = analyzeSets([
+        { setNumber: 1, ourScore: 25, opponentScore: 20, totalKills: 14, killAttempts: 35, attackErrors: 4 },
+        { setNumber: 2, ourScore: '22', opponentScore: '25', totalKills: 10, killAttempts: 36, attackErrors: 8, digs: null }
+    ]);
+
+    sets.forEach(set => {
+        assert.ok(Number.isFinite(set.winProbability), `set ${set.setNumber}`);
+        Object.values(set.contributions).forEach(contribution => assert.ok(Number.isFinite(contribution.share)));
+    });
+    assert.equal(sets[1].won, false);
+    assert.equal(sets[1].ourScore, 22);
+});
+
+const passer = { name: 'Ana Peña', totalKills: 2, killAttempts: 10, attackErrors: 1, serviceAces: 0, serviceErrors: 1, receptionErrors: 5, digs: 20, soloBlocks: 0, blockAssists: 0 };
+const hitter = { name: 'Bea Cruz', totalKills: 15, killAttempts: 35, attackErrors: 1, serviceAces: 2, serviceErrors: 1, receptionErrors: '1', digs: 5, soloBlocks: 1, blockAssists: 3 };
+
+test('sumBoxScore adds up the player lines, reading typed text as numbers', () => {
+    const totals = sumBoxScore([passer, hitter]);
+    assert.equal(totals.totalKills, 17);
+    assert.equal(totals.receptionErrors, 6);
+    assert.equal(totals.blockAssists, 3);
+});
+
+test('analyzePlayers ranks the players and names one behind most of an error total', () => {
+    const { players, flags } = analyzePlayers([passer, hitter], { ...sumBoxScore([passer, hitter]), totalSets: 3 }, profile);
+
+    assert.deepEqual(players.map(player => player.name), ['Bea Cruz', 'Ana Peña']);
+    assert.equal(players[0].breakdown.kills.count, 15);
+    assert.ok(Math.abs(players[0].killEfficiency - 15 / 35 * 100) < 1e-9);
+    assert.deepEqual(flags.map(flag => flag.text), ["Ana Peña had 5 of the team's 6 reception errors"]);
+});
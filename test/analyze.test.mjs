@@ -0,0 +1,140 @@
+// /api/analyze against a local stand-in for the model and a fake Supabase client. Run with: node --test
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { createAnalyzeHandler } from '../api/_lib/insights.js';
+import { createProvider } from '../api/_lib/llm.js';
+
+const GAME_ID = '5b0c7a52-3f1e-4c8e-9a55-0d6f2f7f1a10';
+const row = {
+    id: GAME_ID, team_id: 't1', season_id: 's1', opponent: 'Rival', game_date: '2026-10-10', total_sets: 3,
+    total_kills: 40, kill_attempts: 110, attack_errors: 15, service_aces: 5, service_errors: 8,
+    reception_errors: 6, solo_blocks: 2, block_assists: 8, digs: 50, analysis_data: null, insights: null
+};
+
+// An OpenAI-style /chat/completions server that answers with a fixed text and counts its calls
+async function startModel(status = 200) {
+    const model = { calls: 0, prompts: [] };
+    model.server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            model.calls += 1;
+            model.prompts.push(JSON.parse(body).messages[0].content);
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(status === 200 ? { choices: [{ message: { content: 'Serve tougher.' } }] } : { error: 'down' }));
+        });
+    });
+    await new Promise(resolve => model.server.listen(0, '127.0.0.1', resolve));
+    model.env = {
+        LLM_PROVIDER: 'openai-compatible',
+        LLM_BASE_URL: `http://127.0.0.1:${model.server.address().port}/v1`,
+        LLM_MODEL: 'stand-in'
+    };
+    return model;
+}
+
+// Just enough of the Supabase client for loading a game, checking the team role and saving insights
+function fakeSupabase(game, role = 'viewer') {
+    const query = (table) => {
+        const builder = {
+            select: () => builder,
+            eq: () => builder,
+            order: () => builder,
+            maybeSingle: async () => ({ data: table === 'games' ? game : table === 'team_members' && role ? { role } : null, error: null }),
+            update: (values) => ({
+                eq: async () => {
+                    Object.assign(game, values);
+                    return { error: null };
+                }
+            }),
+            then: (resolve) => resolve({ data: [], error: null })
+        };
+        return builder;
+    };
+    return {
+        from: query,
+        auth: { getUser: async (token) => ({ data: { user: token === 'good' ? { id: 'u1' } : null }, error: null }) }
+    };
+}
+
+async function call(handler, body) {
+    const res = {
+        statusCode: 200,
+        status(code) { this.statusCode = code; return this; },
+        json(value) { this.body = value; return this; }
+    };
+    await handler({ method: 'POST', body }, res);
+    return res;
+}
+
+test('insights for a saved game are saved on the row and reused', async () => {
+    const model = await startModel();
+    const game = { ...row };
+    const handler = createAnalyzeHandler({ getClient: () => fakeSupabase(game), getProvider: () => createProvider(model.env) });
+
+    try {
+        const first = await call(handler, { gameId: GAME_ID, userToken: 'good' });
+        assert.equal(first.statusCode, 200);
+        assert.equal(first.body.analysis, 'Serve tougher.');
+        assert.equal(first.body.source, 'openai-compatible');
+        assert.equal(first.body.cached, false);
+        assert.equal(game.insights.text, 'Serve tougher.');
+        assert.match(model.prompts[0], /Attack Errors/);
+
+        // A new handler stands in for another serverless instance
+        const other = createAnalyzeHandler({ getClient: () => fakeSupabase(game), getProvider: () => createProvider(model.env) });
+        const second = await call(other, { gameId: GAME_ID, userToken: 'good' });
+        assert.equal(second.body.analysis, 'Serve tougher.');
+        assert.equal(second.body.cached, true);
+        assert.equal(model.calls, 1);
+
+        // Edited stats make the saved insights stale
+        game.total_kills = 42;
+        const third = await call(other, { gameId: GAME_ID, userToken: 'good' });
+        assert.equal(third.body.cached, false);
+        assert.equal(model.calls, 2);
+    } finally {
+        model.server.close();
+    }
+});
+
+test('a model that fails falls back to the rule-based insights and saves nothing', async () => {
+    const model = await startModel(503);
+    const game = { ...row };
+    const handler = createAnalyzeHandler({ getClient: () => fakeSupabase(game), getProvider: () => createProvider(model.env) });
+
+    try {
+        const res = await call(handler, { gameId: GAME_ID, userToken: 'good' });
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.source, 'fallback');
+        assert.equal(res.body.fallbackReason, 'provider unavailable');
+        assert.ok(res.body.analysis.length > 0);
+        assert.equal(game.insights, null);
+    } finally {
+        model.server.close();
+    }
+});
+
+test('a saved game needs a valid token and a role on its team', async () => {
+    const handler = createAnalyzeHandler({ getClient: () => fakeSupabase({ ...row }, null), getProvider: () => null });
+
+    assert.equal((await call(handler, { gameId: GAME_ID })).statusCode, 400);
+    assert.equal((await call(handler, { gameId: GAME_ID, userToken: 'bad' })).statusCode, 401);
+    assert.equal((await call(handler, { gameId: 'not-a-game', userToken: 'good' })).statusCode, 404);
+    assert.equal((await call(handler, { gameId: GAME_ID, userToken: 'good' })).statusCode, 403);
+});
+
+test('posted stats without a game id are analyzed and not saved', async () => {
+    const handler = createAnalyzeHandler({ getClient: () => assert.fail('no client needed'), getProvider: () => createProvider({ LLM_PROVIDER: 'mock' }) });
+    const stats = {
+        opponent: 'Rival', gameDate: '2026-10-10', totalSets: 3,
+        totalKills: 40, killAttempts: 110, attackErrors: 15, serviceAces: 5, serviceErrors: 8,
+        receptionErrors: 6, soloBlocks: 2, blockAssists: 8, digs: 50
+    };
+
+    const res = await call(handler, { stats });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.source, 'mock');
+    assert.equal(res.body.gameId, 'Rival_2026-10-10');
+});
@@ -0,0 +1,130 @@
+// Fitting the win model on a team's own results and scoring its predictions. Run with: node --test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    MIN_CALIBRATION_GAMES,
+    buildSamples,
+    fitTeamModel,
+    predictSample,
+    leaveOneOutPredictions,
+    calibrationReport,
+    loadTeamModel
+} = require('../calibration.js');
+
+// A season where the wins come with more kills; the rest varies at random (seeded, so every run fits the same)
+function season(count) {
+    let seed = 7;
+    const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+    const games = [];
+    for (let i = 0; i < count; i++) {
+        const won = i % 2 === 0;
+        const stats = {
+            opponent: `Rival ${i}`, gameDate: '2025-09-01', totalSets: 3,
+            totalKills: 30 + Math.round(random() * 15) + (won ? 5 : 0), killAttempts: 100,
+            attackErrors: 15 + Math.round(random() * 6), serviceAces: 4 + Math.round(random() * 4),
+            serviceErrors: 8 + Math.round(random() * 4), receptionErrors: 4 + Math.round(random() * 4),
+            soloBlocks: 2 + Math.round(random() * 3), blockAssists: 0, digs: 40 + Math.round(random() * 10),
+            result: won ? 'win' : 'loss'
+        };
+        games.push({ row: { id: `g${i}`, game_date: stats.gameDate, opponent: stats.opponent }, stats });
+    }
+    return games;
+}
+
+test('fitTeamModel needs both wins and losses', () => {
+    assert.equal(fitTeamModel([], 'ncaa_d1_men').model, null);
+
+    const wins = buildSamples(season(10).filter(game => game.stats.result === 'win'), 'ncaa_d1_men');
+    const fit = fitTeamModel(wins, 'ncaa_d1_men');
+    assert.equal(fit.model, null);
+    assert.match(fit.warnings[0], /are wins; a model needs both/);
+});
+
+test('fitTeamModel fits the team model and keeps the research value for a stat that never changed', () => {
+    const samples = buildSamples(season(40), 'ncaa_d1_men');
+    const fit = fitTeamModel(samples, 'ncaa_d1_men');
+
+    assert.equal(fit.usable, true);
+    assert.equal(fit.model.source, 'team');
+    assert.equal(fit.model.profile, 'ncaa_d1_men');
+    assert.ok(fit.metrics.kills.oddsRatio > 1);
+    assert.equal(fit.metrics.blockAssists.fixed, true);
+
+    // An intercept fitted on a .500 season predicts about .500 on average
+    const mean = samples.reduce((sum, sample) => sum + predictSample(sample, fit.model), 0) / samples.length;
+    assert.ok(Math.abs(mean - 0.5) < 0.05, `mean prediction ${mean}`);
+});
+
+test(`fitTeamModel is only a preview below ${MIN_CALIBRATION_GAMES} games`, () => {
+    const fit = fitTeamModel(buildSamples(season(MIN_CALIBRATION_GAMES - 1), 'ncaa_d1_men'), 'ncaa_d1_men');
+    assert.ok(fit.model);
+    assert.equal(fit.usable, false);
+    assert.ok(fit.warnings.some(warning => warning.includes('treat these numbers as a preview')));
+});
+
+test('leaveOneOutPredictions predicts each game with a model that never saw it', () => {
+    const samples = buildSamples(season(24), 'ncaa_d1_men');
+    const predictions = leaveOneOutPredictions(samples, 'ncaa_d1_men');
+    assert.equal(predictions.length, samples.length);
+
+    const { model: withoutFirst } = fitTeamModel(samples.slice(1), 'ncaa_d1_men');
+    const { model: withAll } = fitTeamModel(samples, 'ncaa_d1_men');
+    assert.equal(predictions[0], predictSample(samples[0], withoutFirst));
+    assert.notEqual(predictions[0], predictSample(samples[0], withAll));
+});
+
+test('calibrationReport scores predictions against the results', () => {
+    assert.equal(calibrationReport([{ probability: null, won: true }]), null);
+
+    const report = calibrationReport([
+        { probability: 0.8, won: true },
+        { probability: 0.4, won: false },
+        { probability: 0.7, won: false },
+        { probability: null, won: true }
+    ]);
+    assert.equal(report.games, 3);
+    assert.ok(Math.abs(report.brier - (0.04 + 0.16 + 0.49) / 3) < 1e-12);
+    assert.ok(Math.abs(report.accuracy - 2 / 3) < 1e-12);
+    assert.deepEqual(report.bins.map(bin => bin.count), [0, 0, 1, 1, 1]);
+    assert.equal(report.bins[3].actual, 0);
+});
+
+// Just enough of the Supabase client for the team's games and set rows
+function fakeClient(games, setRows = []) {
+    return {
+        from(table) {
+            const data = table === 'games' ? games : setRows;
+            const builder = {
+                select: () => builder,
+                eq: () => builder,
+                order: () => builder,
+                then: (resolve) => resolve({ data, error: null })
+            };
+            return builder;
+        }
+    };
+}
+
+function gameRow({ row, stats }) {
+    return {
+        id: row.id, team_id: 't1', opponent: stats.opponent, game_date: stats.gameDate, total_sets: stats.totalSets,
+        total_kills: stats.totalKills, kill_attempts: stats.killAttempts, attack_errors: stats.attackErrors,
+        service_aces: stats.serviceAces, service_errors: stats.serviceErrors, reception_errors: stats.receptionErrors,
+        solo_blocks: stats.soloBlocks, block_assists: stats.blockAssists, digs: stats.digs, result: stats.result
+    };
+}
+
+test('loadTeamModel uses the team model only once enough saved games have a result', async () => {
+    const rows = season(MIN_CALIBRATION_GAMES).map(gameRow);
+    const model = await loadTeamModel(fakeClient(rows), 't1', 'ncaa_d1_men');
+    assert.equal(model.source, 'team');
+    assert.equal(model.games, MIN_CALIBRATION_GAMES);
+
+    // Without a result or set rows the last game can't count, which leaves too few
+    rows[0].result = null;
+    assert.equal(await loadTeamModel(fakeClient(rows), 't1', 'ncaa_d1_men'), null);
+
+    // Its set rows still say who won
+    const setRows = [1, 2, 3].map(set => ({ game_id: rows[0].id, set_number: set, our_score: 25, opponent_score: 20 }));
+    assert.ok(await loadTeamModel(fakeClient(rows, setRows), 't1', 'ncaa_d1_men'));
+});
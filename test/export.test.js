@@ -0,0 +1,48 @@
+// CSV and JSON export, and importing the files again. Run with: node --test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { gamesToCSV, gamesToJSON } = require('../export.js');
+const { importBoxScores } = require('../import.js');
+
+const row = {
+    id: 'g1', opponent: 'Rival', game_date: '2025-10-01', total_sets: 3,
+    total_kills: 40, kill_attempts: 110, attack_errors: 15, service_aces: 5, service_errors: 8,
+    reception_errors: 6, solo_blocks: 2, block_assists: 8, digs: 50, benchmark_profile: 'ncaa_d1_men'
+};
+
+test('CSV export keeps formula-like text from running in a spreadsheet, and imports back unchanged', () => {
+    const names = ['=HYPERLINK("http://x","y")', '+SUM(A1)', '-1+1', '@cmd', 'Central HS'];
+    const csv = gamesToCSV(names.map((opponent, index) => ({ ...row, id: `g${index}`, opponent })));
+
+    const lines = csv.trim().split('\r\n').slice(1);
+    assert.ok(lines[0].startsWith(`2025-10-01,"'=HYPERLINK(""http://x"",""y"")"`));
+    assert.ok(lines[1].startsWith('2025-10-01,\'+SUM(A1),'));
+    assert.ok(lines[4].startsWith('2025-10-01,Central HS,3,40,'));
+
+    const { matches } = importBoxScores('games.csv', csv);
+    assert.deepEqual(matches.map(match => match.stats.opponent), names);
+});
+
+test('JSON backup carries each game\'s player lines and set rows, and imports them back', () => {
+    const playerRows = [
+        { game_id: 'g1', player_id: 'p1', player_name: 'Ana Peña', total_kills: 12, kill_attempts: 30, attack_errors: 3, digs: 9 },
+        { game_id: 'other', player_id: 'p2', player_name: 'Not in this export' }
+    ];
+    const setRows = [
+        { game_id: 'g1', set_number: 2, our_score: 22, opponent_score: 25, total_kills: 12 },
+        { game_id: 'g1', set_number: 1, our_score: 25, opponent_score: 20, total_kills: 14 }
+    ];
+    const json = gamesToJSON([row], { team: 'Varsity' }, { playerRows, setRows });
+
+    const backup = JSON.parse(json);
+    assert.equal(backup.version, 2);
+    assert.equal(backup.games[0].game_players.length, 1);
+    assert.deepEqual(backup.games[0].game_sets.map(set => set.set_number), [1, 2]);
+
+    const [match] = importBoxScores('backup.json', json).matches;
+    assert.equal(match.stats.players[0].name, 'Ana Peña');
+    assert.equal(match.stats.players[0].totalKills, 12);
+    // Roster ids from another database aren't trusted; the player is matched by name on save
+    assert.equal(match.stats.players[0].playerId, null);
+    assert.deepEqual(match.stats.sets.map(set => [set.setNumber, set.ourScore, set.opponentScore]), [[1, 25, 20], [2, 22, 25]]);
+});
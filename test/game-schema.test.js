@@ -0,0 +1,59 @@
+// Game validation on malformed input, as the API and file import can send it. Run with: node --test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateGame, statsToRow } = require('../game-schema.js');
+
+const game = {
+    opponent: 'Rival', gameDate: '2025-10-01', totalSets: 3,
+    totalKills: 40, killAttempts: 110, attackErrors: 15, serviceAces: 5, serviceErrors: 8,
+    receptionErrors: 6, soloBlocks: 2, blockAssists: 8, digs: 50
+};
+const line = { totalKills: 10, killAttempts: 30, attackErrors: 4, serviceAces: 1, serviceErrors: 2, receptionErrors: 1, digs: 12, soloBlocks: 0, blockAssists: 2 };
+// The rest of the team totals, so the two lines add up to the game
+const rest = { totalKills: 30, killAttempts: 80, attackErrors: 11, serviceAces: 4, serviceErrors: 6, receptionErrors: 5, digs: 38, soloBlocks: 2, blockAssists: 6 };
+
+test('validateGame accepts a complete game', () => {
+    const { valid, errors } = validateGame({ ...game, players: [{ name: 'Ana Peña', ...line }, { name: 'Bea Cruz', ...rest }] });
+    assert.deepEqual(errors, {});
+    assert.equal(valid, true);
+});
+
+test("validateGame rejects player lines that don't add up to the team totals", () => {
+    const { valid, errors } = validateGame({ ...game, players: [{ name: 'Ana Peña', ...line }, { name: 'Bea Cruz', ...rest, digs: 30 }] });
+    assert.equal(valid, false);
+    assert.deepEqual(Object.keys(errors), ['digs']);
+    assert.equal(errors.digs, "Digs (50) doesn't match the player lines (42)");
+});
+
+test('validateGame reports malformed input as field errors instead of throwing', () => {
+    const cases = [
+        [null, 'game'],
+        ['abc', 'game'],
+        [[game], 'game'],
+        [{ ...game, players: 'abc' }, 'players'],
+        [{ ...game, players: [null] }, 'players.0'],
+        [{ ...game, players: [42] }, 'players.0'],
+        [{ ...game, sets: {} }, 'sets'],
+        [{ ...game, sets: [null] }, 'sets.0'],
+        [{ ...game, setScores: [null] }, 'setScores'],
+        [{ ...game, opponentStats: 'strong' }, 'opponentStats']
+    ];
+    for (const [stats, field] of cases) {
+        const { valid, errors } = validateGame(stats);
+        assert.equal(valid, false, JSON.stringify(stats));
+        assert.ok(errors[field], `${JSON.stringify(stats)} should flag ${field}`);
+    }
+});
+
+test('validateGame requires a player name', () => {
+    for (const name of [undefined, '', '   ']) {
+        const { errors } = validateGame({ ...game, players: [{ ...line, name }] });
+        assert.equal(errors['players.0.name'], 'Player name is required');
+    }
+});
+
+test('a retired benchmark profile is accepted and saved as the default; an unknown one is not', () => {
+    assert.equal(validateGame({ ...game, benchmarkProfile: 'club' }).valid, true);
+    assert.equal(statsToRow({ ...game, benchmarkProfile: 'club' }).benchmark_profile, 'ncaa_d1_men');
+    assert.equal(validateGame({ ...game, benchmarkProfile: 'pro_league' }).errors.benchmarkProfile, 'Unknown benchmark profile');
+});
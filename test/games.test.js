@@ -0,0 +1,78 @@
+// Saving a game with its player lines, as the offline queue retries it. Run with: node --test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { insertGame, applyGameUpdate } = require('../games.js');
+
+// Just enough of the Supabase client for the roster and the save_game call; failSaves makes the
+// first saves fail the way a dropped connection would
+function fakeClient(roster, failSaves = 0) {
+    let saves = 0;
+    return {
+        roster,
+        from(table) {
+            assert.equal(table, 'players');
+            const builder = {
+                select: () => builder,
+                eq: () => builder,
+                single: async () => ({ data: builder.created, error: null }),
+                insert(rows) {
+                    builder.created = { id: `p${roster.length + 1}`, ...rows[0] };
+                    roster.push(builder.created);
+                    return builder;
+                },
+                then: (resolve) => resolve({ data: roster.slice(), error: null })
+            };
+            return builder;
+        },
+        async rpc(name, args) {
+            assert.equal(name, 'save_game');
+            saves += 1;
+            if (saves <= failSaves) return { data: null, error: { message: 'Network request failed' } };
+            return { data: { id: 'g1', ...args.game }, error: null };
+        }
+    };
+}
+
+const line = { totalKills: 10, killAttempts: 30, attackErrors: 4, serviceAces: 1, serviceErrors: 2, receptionErrors: 1, digs: 12, soloBlocks: 0, blockAssists: 2 };
+
+test('a retried save reuses the roster players the failed attempt added', async () => {
+    const client = fakeClient([{ id: 'p0', name: 'Ana Peña' }], 1);
+    const queued = () => [{ name: 'ana peña ', ...line }, { name: 'Bea Cruz', ...line }];
+
+    await assert.rejects(insertGame(client, { team_id: 't1' }, 'u1', queued(), []));
+    const saved = await insertGame(client, { team_id: 't1' }, 'u1', queued(), []);
+
+    assert.equal(saved.id, 'g1');
+    assert.deepEqual(client.roster.map(player => player.name), ['Ana Peña', 'Bea Cruz']);
+});
+
+test('player lines point at their roster players', async () => {
+    const client = fakeClient([{ id: 'p0', name: 'Ana Peña' }]);
+    let sent = null;
+    const rpc = client.rpc;
+    client.rpc = async (name, args) => {
+        sent = args;
+        return rpc(name, args);
+    };
+
+    await insertGame(client, { team_id: 't1' }, 'u1', [{ name: 'Ana Peña', ...line }, { name: 'Bea Cruz', ...line }, { name: 'Bea Cruz', ...line }], []);
+
+    assert.deepEqual(sent.player_lines.map(row => row.player_id), ['p0', 'p2', 'p2']);
+    assert.equal(sent.set_lines, null);
+});
+
+test('an edit saves the row update and its lines in one update_game call', async () => {
+    const client = fakeClient([{ id: 'p0', name: 'Ana Peña' }]);
+    const calls = [];
+    client.rpc = async (name, args) => {
+        calls.push([name, args]);
+        return { data: { id: args.game, ...args.changes }, error: null };
+    };
+
+    const saved = await applyGameUpdate(client, { id: 'g1', team_id: 't1' }, { total_kills: 41 }, 'u1', [{ name: 'Ana Peña', ...line }], null);
+
+    assert.deepEqual(calls.map(([name]) => name), ['update_game']);
+    assert.equal(calls[0][1].player_lines[0].player_id, 'p0');
+    assert.equal(calls[0][1].set_lines, null);
+    assert.equal(saved.total_kills, 41);
+});
@@ -0,0 +1,81 @@
+// Goal progress, projected dates and regression alerts. Run with: node --test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { goalProgress, regressionAlerts, trendLine, describeGoal, goalRowToGoal } = require('../goals.js');
+
+// A game a week from October 1st
+function game(week, changes = {}) {
+    const date = new Date(Date.UTC(2025, 9, 1 + week * 7)).toISOString().slice(0, 10);
+    return {
+        opponent: `Rival ${week}`, gameDate: date, totalSets: 3,
+        totalKills: 40, killAttempts: 110, attackErrors: 15, serviceAces: 5, serviceErrors: 8,
+        receptionErrors: 6, soloBlocks: 2, blockAssists: 8, digs: 45, ...changes
+    };
+}
+
+function close(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+}
+
+// Reception errors per set fall by a third of an error a week: 3, 2.67 ... 1.33
+const improving = [9, 8, 7, 6, 5, 4].map((receptionErrors, week) => game(week, { receptionErrors }));
+
+test('goalProgress measures from the first games towards the target, on rolling averages', () => {
+    const progress = goalProgress({ metric: 'receptionErrorsPerSet', target: 1, deadline: '2025-12-01' }, improving, new Date('2025-11-05'));
+
+    close(progress.current, 5 / 3);
+    close(progress.start, 8 / 3);
+    close(progress.progress, 0.6);
+    assert.equal(progress.games, 6);
+
+    // Two more weeks at this rate, counted from the last game
+    assert.equal(progress.projectedDate.toISOString().slice(0, 10), '2025-11-19');
+    assert.equal(progress.status, 'on_track');
+});
+
+test('goalProgress is behind when the trend reaches the target after the deadline', () => {
+    const progress = goalProgress({ metric: 'receptionErrorsPerSet', target: 1, deadline: '2025-11-10' }, improving, new Date('2025-11-05'));
+    assert.equal(progress.status, 'behind');
+});
+
+test('goalProgress: met, off track when the trend runs the wrong way, and no data', () => {
+    const met = goalProgress({ metric: 'receptionErrorsPerSet', target: 2 }, improving);
+    assert.equal(met.status, 'met');
+    assert.equal(met.progress, 1);
+
+    const wrongWay = goalProgress({ metric: 'digsPerSet', target: 20 }, improving.map((stats, week) => ({ ...stats, digs: 50 - week })));
+    assert.equal(wrongWay.status, 'off_track');
+    assert.equal(wrongWay.projectedDate, null);
+
+    assert.equal(goalProgress({ metric: 'passRating', target: 2.2 }, improving).status, 'no_data');
+});
+
+test('trendLine fits a slope per day and needs two game dates', () => {
+    const line = trendLine([{ gameDate: '2025-10-01', value: 1 }, { gameDate: '2025-10-11', value: 3 }]);
+    close(line.slope, 0.2);
+    close(line.intercept, 1);
+    assert.equal(trendLine([{ gameDate: '2025-10-01', value: 1 }]), null);
+    assert.equal(trendLine([{ gameDate: '2025-10-01', value: 1 }, { gameDate: '2025-10-01', value: 2 }]), null);
+});
+
+test('regressionAlerts flags a metric that dropped well below its earlier games', () => {
+    const digs = [45, 46, 44, 45, 46, 44, 45, 30, 31, 29];
+    const games = digs.map((value, week) => game(week, { digs: value }));
+    const goal = { metric: 'digsPerSet', target: 15 };
+
+    const alerts = regressionAlerts(games, [goal]);
+    assert.deepEqual(alerts.map(alert => alert.metric), ['digsPerSet']);
+    close(alerts[0].change, -5);
+    assert.equal(alerts[0].goal, goal);
+
+    // A few games are not enough to judge
+    assert.deepEqual(regressionAlerts(games.slice(-5)), []);
+});
+
+test('goals read from their rows and describe themselves', () => {
+    const goal = goalRowToGoal({ id: 'goal1', metric: 'receptionErrorsPerSet', target: '1.2', deadline: null, label: null, created_at: '2025-09-01T00:00:00Z' });
+    assert.equal(goal.target, 1.2);
+    assert.equal(goal.createdAt, '2025-09-01T00:00:00Z');
+    assert.equal(describeGoal(goal), 'Reception Errors / Set ≤ 1.2/set');
+    assert.equal(describeGoal({ metric: 'hittingPercentage', target: 0.25 }), 'Hitting Percentage ≥ .250');
+});
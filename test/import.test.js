@@ -0,0 +1,64 @@
+// Box score import against the files in samples/. Run with: node --test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { importBoxScores, decodeXmlEntities } = require('../import.js');
+
+function readSample(name) {
+    return fs.readFileSync(path.join(__dirname, '..', 'samples', name), 'utf8');
+}
+
+test('decodeXmlEntities decodes the predefined entities and character references', () => {
+    assert.equal(decodeXmlEntities('Smith &amp; Jones &lt;A&gt; &quot;B&quot; Mary&apos;s'), 'Smith & Jones <A> "B" Mary\'s');
+    assert.equal(decodeXmlEntities('Pe&#241;a Pe&#xF1;a Pe&#XF1;a'), 'Peña Peña Peña');
+    // Decoded once: an escaped ampersand stays a literal reference
+    assert.equal(decodeXmlEntities('&amp;lt;'), '&lt;');
+    assert.equal(decodeXmlEntities('&nbsp; &constructor; &#0; &#x110000;'), '&nbsp; &constructor; &#0; &#x110000;');
+});
+
+test('StatCrew sample: both matches, from our side', () => {
+    const { format, matches } = importBoxScores('statcrew-matches.xml', readSample('statcrew-matches.xml'), 'State College');
+
+    assert.equal(format, 'statcrew');
+    assert.equal(matches.length, 2);
+
+    const [first, second] = matches;
+    assert.equal(first.stats.opponent, 'Lincoln Prep');
+    assert.equal(first.stats.gameDate, '2024-09-06');
+    assert.equal(first.stats.location, 'home');
+    assert.equal(first.stats.totalKills, 42);
+    assert.deepEqual(first.stats.players.map(player => player.name), ['Ana Peña', 'Maya Chen', 'Grace Okafor']);
+
+    assert.equal(second.stats.opponent, 'St. Mary\'s North');
+    assert.equal(second.stats.location, 'away');
+    assert.deepEqual(second.stats.setScores.map(set => `${set.ourScore}-${set.opponentScore}`), ['25-20', '21-25', '25-23', '26-24']);
+    assert.equal(second.stats.opponentStats.totalKills, 50);
+});
+
+test('StatCrew: a quoted ">" in an attribute doesn\'t end the tag', () => {
+    const xml = `<vbgame>
+        <venue date="09/20/2024"/>
+        <team vh="H" id="US" name="Us"><totals><attack k="10" ta="30" e="3"/></totals>
+            <player name="A &gt; B, Cy" gp="1"><attack k="4" ta="9" e="1"/></player>
+            <player name='Dee > Ell, Fay' gp="1"><attack k="6" ta="21" e="2"/></player>
+        </team>
+        <team vh="V" id="THEM" name="Them &amp; Co"><totals><attack k="8" ta="31" e="6"/></totals></team>
+    </vbgame>`;
+    const [match] = importBoxScores('match.xml', xml, 'Us').matches;
+
+    assert.equal(match.stats.opponent, 'Them & Co');
+    assert.deepEqual(match.stats.players.map(player => [player.name, player.totalKills]), [['Cy A > B', 4], ['Fay Dee > Ell', 6]]);
+});
+
+test('CSV sample: quoted cells, both date styles and unknown columns', () => {
+    const { format, matches, unknownColumns } = importBoxScores('season.csv', readSample('season.csv'));
+
+    assert.equal(format, 'csv');
+    assert.equal(matches.length, 4);
+    assert.deepEqual(unknownColumns, ['notes']);
+    assert.equal(matches[1].stats.opponent, 'St. Mary\'s, North');
+    assert.equal(matches[2].stats.gameDate, '2024-09-20');
+    assert.equal(matches[2].stats.totalSets, 5);
+    assert.ok(matches.every(match => match.warnings.length === 0));
+});
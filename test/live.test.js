@@ -0,0 +1,51 @@
+// Live tracking: replaying the rally log into scores, rotations and the game's stats. Run with: node --test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { replayEvents, eventsToStats, isSetOver } = require('../live.js');
+const { validateGame } = require('../game-schema.js');
+
+const events = (...types) => types.map(type => ({ type }));
+
+test('isSetOver needs 25 (15 in the fifth) and a two-point lead', () => {
+    assert.equal(isSetOver({ ourScore: 25, opponentScore: 23 }, 1), true);
+    assert.equal(isSetOver({ ourScore: 25, opponentScore: 24 }, 1), false);
+    assert.equal(isSetOver({ ourScore: 27, opponentScore: 25 }, 2), true);
+    assert.equal(isSetOver({ ourScore: 15, opponentScore: 12 }, 5), true);
+    assert.equal(isSetOver({ ourScore: 15, opponentScore: 12 }, 3, 3), true);
+    assert.equal(isSetOver({ ourScore: 15, opponentScore: 12 }, 3), false);
+});
+
+test('the rotation only turns when we side out', () => {
+    // We serve: point on serve, lose the rally, side out (rotate), point on serve
+    const state = replayEvents(events('kill', 'attackError', 'serviceAce', 'kill'), { weServeFirst: true });
+    assert.equal(state.rotation, 2);
+    assert.equal(state.pointsOnServe, 2);
+    assert.equal(state.sideoutPoints, 1);
+    assert.equal(state.serving, 'us');
+
+    const receiving = replayEvents(events('dig', 'kill'), { weServeFirst: false, startingRotation: 6 });
+    assert.equal(receiving.rotation, 1);
+    assert.equal(receiving.sideoutPoints, 1);
+});
+
+test('undo is replaying the log without its last event', () => {
+    const log = events('kill', 'kill', 'receptionError');
+    const before = replayEvents(log.slice(0, -1));
+    assert.deepEqual(before.sets[0], { ...replayEvents(log).sets[0], opponentScore: 0, receptionErrors: 0 });
+});
+
+test('eventsToStats builds a game the entry form would accept', () => {
+    const log = events('kill', 'attackAttempt', 'dig', 'blockAssist', 'serviceError', 'endSet', 'soloBlock', 'theirPoint', 'endSet');
+    const stats = eventsToStats(log, { opponent: 'Rival', gameDate: '2026-10-10' }, { weServeFirst: true });
+
+    // The empty set after the last End Set is dropped
+    assert.equal(stats.totalSets, 2);
+    assert.deepEqual(stats.sets.map(set => [set.ourScore, set.opponentScore]), [[2, 1], [1, 1]]);
+    assert.equal(stats.totalKills, 1);
+    assert.equal(stats.killAttempts, 2);
+    assert.equal(stats.blockAssists, 2);
+    assert.equal(stats.digs, 1);
+    assert.equal(stats.pointsOnServe + stats.sideoutPoints, 3);
+    assert.deepEqual(stats.eventLog.events, log);
+    assert.deepEqual(validateGame(stats).errors, {});
+});
@@ -0,0 +1,60 @@
+// Matching opponent names, head-to-head records and scouting. Run with: node --test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { opponentKey, matchOpponent, headToHead, averageBoxScore, compareImpacts, scoutOpponent } = require('../opponents.js');
+
+const line = {
+    totalSets: 3, totalKills: 40, killAttempts: 110, attackErrors: 15, serviceAces: 5, serviceErrors: 8,
+    receptionErrors: 6, soloBlocks: 2, blockAssists: 8, digs: 50
+};
+
+test('opponentKey reads "St." as Saint up front and State after a name', () => {
+    assert.equal(opponentKey("St. Mary's"), 'saint marys');
+    assert.equal(opponentKey('Ohio St.'), 'ohio state');
+    assert.equal(opponentKey('The Ohio State Univ.'), 'ohio state university');
+    assert.equal(opponentKey('Texas A&M'), 'texas a and m');
+    assert.equal(opponentKey('  '), '');
+});
+
+test('matchOpponent finds a saved opponent by its name or a spelling seen before', () => {
+    const opponents = [
+        { id: 'o1', name: 'Ohio State', aliases: [] },
+        { id: 'o2', name: 'Michigan', aliases: ['U of M'] }
+    ];
+    assert.equal(matchOpponent(opponents, 'ohio st.').id, 'o1');
+    assert.equal(matchOpponent(opponents, 'U of M').id, 'o2');
+    assert.equal(matchOpponent(opponents, 'Michigan State'), null);
+    assert.equal(matchOpponent(opponents, ''), null);
+});
+
+test('headToHead counts results and sets, and games with no result as unknown', () => {
+    const record = headToHead([
+        { ...line, result: 'win', setScores: [{ ourScore: 25, opponentScore: 20 }, { ourScore: 25, opponentScore: 22 }, { ourScore: 25, opponentScore: 18 }] },
+        { ...line, setScores: [{ ourScore: 20, opponentScore: 25 }, { ourScore: 25, opponentScore: 22 }, { ourScore: 13, opponentScore: 15 }] },
+        { ...line }
+    ]);
+    assert.deepEqual(record, { played: 3, wins: 1, losses: 1, unknown: 1, setsWon: 4, setsLost: 2 });
+});
+
+test('averageBoxScore averages the raw totals and the sets played', () => {
+    const average = averageBoxScore([line, { ...line, totalKills: 50, totalSets: 4 }]);
+    assert.equal(average.totalKills, 45);
+    assert.equal(average.totalSets, 3.5);
+});
+
+test('compareImpacts puts the biggest change against an opponent first', () => {
+    const comparison = compareImpacts([{ ...line, receptionErrors: 14 }], [line, line], 'ncaa_d1_men');
+
+    assert.equal(comparison.metrics[0].metric, 'receptionErrors');
+    assert.ok(comparison.metrics[0].difference < 0);
+    assert.equal(compareImpacts([], [line], 'ncaa_d1_men'), null);
+});
+
+test("scoutOpponent notes what to stop and what to attack in the opponent's line", () => {
+    const report = scoutOpponent([{ ...line, receptionErrors: 14, serviceAces: 9 }], 'ncaa_d1_men');
+
+    assert.equal(report.matches, 1);
+    assert.ok(report.weaknesses.some(item => item.metric === 'receptionErrors' && item.note.length > 0));
+    assert.ok(report.strengths.every(item => typeof item.note === 'string'));
+    assert.equal(scoutOpponent([], 'ncaa_d1_men'), null);
+});
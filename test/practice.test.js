@@ -0,0 +1,72 @@
+// Practice plans from the recommendations, and checking them against later games. Run with: node --test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeGame } = require('../analysis.js');
+const { practiceFocus, buildPracticePlan, planBaseline, planFollowUp, mergeDrillLibrary, formatClock, DEFAULT_DRILLS } = require('../practice.js');
+
+const game = {
+    opponent: 'Rival', gameDate: '2025-10-01', totalSets: 3,
+    totalKills: 40, killAttempts: 110, attackErrors: 15, serviceAces: 5, serviceErrors: 8,
+    receptionErrors: 12, soloBlocks: 2, blockAssists: 8, digs: 50
+};
+
+const recommendations = {
+    weaknesses: [{ metric: 'receptionErrors' }],
+    strengths: [{ metric: 'digs' }],
+    allImpacts: [['receptionErrors', { impact: -9 }], ['digs', { impact: 4 }], ['serviceErrors', { impact: -0.5 }], ['kills', { impact: 0.2 }]]
+};
+
+test('practiceFocus tops the secondary focus up from the smaller negative impacts', () => {
+    assert.deepEqual(practiceFocus(recommendations), { primary: 'receptionErrors', secondary: ['serviceErrors'], maintain: ['digs'] });
+});
+
+test('every session fills the practice, in five-minute blocks, with the time split by focus', () => {
+    const plan = buildPracticePlan(recommendations, { minutes: 90, daysPerWeek: 3 });
+
+    assert.equal(plan.sessions.length, 3);
+    plan.sessions.forEach(session => {
+        assert.equal(session.minutes, 90);
+        session.blocks.forEach(block => assert.equal(block.minutes % 5, 0));
+
+        const minutesFor = kind => session.blocks.filter(block => block.kind === kind).reduce((sum, block) => sum + block.minutes, 0);
+        assert.equal(minutesFor('primary'), 35);
+        assert.equal(minutesFor('secondary'), 25);
+        assert.equal(minutesFor('maintain'), 20);
+
+        // No drill twice in one session
+        const ids = session.blocks.map(block => block.drillId).filter(Boolean);
+        assert.equal(new Set(ids).size, ids.length);
+    });
+});
+
+test('a plan with no weaknesses gives their time to game play', () => {
+    const plan = buildPracticePlan({ weaknesses: [], strengths: [], allImpacts: [] }, { minutes: 60, daysPerWeek: 1 });
+    assert.deepEqual([...new Set(plan.sessions[0].blocks.map(block => block.kind))], ['warmup', 'gameplay']);
+    assert.equal(plan.sessions[0].minutes, 60);
+});
+
+test("the coach's drills replace or hide the built-in ones", () => {
+    const [first, second] = DEFAULT_DRILLS;
+    const library = mergeDrillLibrary(DEFAULT_DRILLS, [
+        { id: 'c1', name: 'Our serve-receive', metrics: first.metrics, replaces: first.id },
+        { id: 'c2', name: 'Hidden', metrics: [], replaces: second.id, hidden: true }
+    ]);
+
+    assert.ok(!library.some(drill => drill.id === first.id || drill.id === second.id));
+    assert.deepEqual(library.filter(drill => drill.custom).map(drill => drill.name), ['Our serve-receive']);
+});
+
+test('planFollowUp says whether the focus metrics moved the right way', () => {
+    const analysis = analyzeGame(game, 'ncaa_d1_men');
+    const plan = buildPracticePlan(recommendations, { profile: 'ncaa_d1_men' });
+    plan.baseline = planBaseline(plan, analysis);
+
+    const followUp = planFollowUp(plan, [{ ...game, receptionErrors: 6, digs: 40 }]);
+    const byMetric = Object.fromEntries(followUp.metrics.map(metric => [metric.metric, metric]));
+    assert.equal(byMetric.receptionErrors.kind, 'primary');
+    assert.equal(byMetric.receptionErrors.improved, true);
+    assert.equal(byMetric.digs.improved, false);
+
+    assert.equal(planFollowUp(plan, []).metrics[0].after, null);
+    assert.equal(formatClock(75), '1:15');
+});
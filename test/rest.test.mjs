@@ -0,0 +1,87 @@
+// API key auth for the /api/v1 routes: revoked keys, scopes and the key owner's role. Run with: node --test
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+import { authenticateApiKey } from '../api/_lib/rest.js';
+
+const require = createRequire(import.meta.url);
+const { generateApiKey, hashApiKey } = require('../integrations.js');
+
+// Just enough of the Supabase client for the key lookup, the team role check and last_used_at
+async function fakeSupabase({ scope = 'read', role = 'editor', revoked = false } = {}) {
+    const key = generateApiKey();
+    const row = { id: 'k1', name: 'Sheet', team_id: 't1', scope, created_by: 'u1', key_hash: await hashApiKey(key), revoked_at: revoked ? '2026-10-01T00:00:00Z' : null, last_used_at: null };
+    const supabase = {
+        key,
+        row,
+        from(table) {
+            const filters = {};
+            const builder = {
+                select: () => builder,
+                eq(column, value) {
+                    filters[column] = value;
+                    return builder;
+                },
+                maybeSingle: async () => {
+                    if (table === 'api_keys') return { data: filters.key_hash === row.key_hash ? row : null, error: null };
+                    return { data: role && filters.user_id === row.created_by && filters.team_id === row.team_id ? { role } : null, error: null };
+                },
+                update: (values) => ({
+                    eq: async () => {
+                        Object.assign(row, values);
+                        return { error: null };
+                    }
+                })
+            };
+            return builder;
+        }
+    };
+    return supabase;
+}
+
+const bearer = key => ({ headers: { authorization: `Bearer ${key}` } });
+
+async function rejects(promise, status, message) {
+    await assert.rejects(promise, error => error.status === status && (!message || message.test(error.message)));
+}
+
+test('a key is read from either header and acts for its team', async () => {
+    const supabase = await fakeSupabase();
+
+    const apiKey = await authenticateApiKey(supabase, bearer(supabase.key));
+    assert.deepEqual(apiKey, { id: 'k1', name: 'Sheet', teamId: 't1', scope: 'read', userId: 'u1' });
+    assert.ok(supabase.row.last_used_at);
+
+    assert.equal((await authenticateApiKey(supabase, { headers: { 'x-api-key': supabase.key } })).id, 'k1');
+});
+
+test('missing, unknown and revoked keys are refused', async () => {
+    const supabase = await fakeSupabase();
+    await rejects(authenticateApiKey(supabase, { headers: {} }), 401, /Missing API key/);
+    await rejects(authenticateApiKey(supabase, bearer('sck_not-a-key')), 401);
+
+    const revoked = await fakeSupabase({ revoked: true });
+    await rejects(authenticateApiKey(revoked, bearer(revoked.key)), 401, /revoked/);
+    assert.equal(revoked.row.last_used_at, null);
+});
+
+test('a read-only key can read but not write', async () => {
+    const supabase = await fakeSupabase({ scope: 'read' });
+    assert.ok(await authenticateApiKey(supabase, bearer(supabase.key), 'read'));
+    await rejects(authenticateApiKey(supabase, bearer(supabase.key), 'write'), 403, /read only/);
+
+    const write = await fakeSupabase({ scope: 'write' });
+    assert.equal((await authenticateApiKey(write, bearer(write.key), 'write')).scope, 'write');
+});
+
+test('a key stops working when its coach leaves the team or loses the role its scope needs', async () => {
+    const gone = await fakeSupabase({ role: null });
+    await rejects(authenticateApiKey(gone, bearer(gone.key)), 403, /not on this team/);
+
+    // A write key made by an editor who is now a viewer can't even read through that key
+    const demoted = await fakeSupabase({ scope: 'write', role: 'viewer' });
+    await rejects(authenticateApiKey(demoted, bearer(demoted.key), 'read'), 403);
+
+    const viewer = await fakeSupabase({ scope: 'read', role: 'viewer' });
+    assert.ok(await authenticateApiKey(viewer, bearer(viewer.key), 'read'));
+});
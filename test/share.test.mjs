@@ -0,0 +1,115 @@
+// Share link expiry and revocation, down to the page /api/report serves. Run with: node --test
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+import { createReportHandler } from '../api/_lib/share-report.js';
+
+const require = createRequire(import.meta.url);
+const { shareExpiresAt, shareLinkStatus, revokeShareLink } = require('../share.js');
+
+const now = new Date('2026-10-19T12:00:00Z');
+
+test('shareExpiresAt counts days from now and never expires "until revoked" links', () => {
+    assert.equal(shareExpiresAt('week', now), '2026-10-26T12:00:00.000Z');
+    assert.equal(shareExpiresAt('day', now), '2026-10-20T12:00:00.000Z');
+    assert.equal(shareExpiresAt('never', now), null);
+    // An unknown choice gets the shortest default rather than no expiry
+    assert.equal(shareExpiresAt('forever', now), '2026-10-26T12:00:00.000Z');
+});
+
+test('shareLinkStatus: revoked wins over expiry, and a link stops working at its expiry time', () => {
+    assert.equal(shareLinkStatus({ expires_at: null }, now), 'active');
+    assert.equal(shareLinkStatus({ expires_at: '2026-10-19T12:00:01Z' }, now), 'active');
+    assert.equal(shareLinkStatus({ expires_at: '2026-10-19T12:00:00Z' }, now), 'expired');
+    assert.equal(shareLinkStatus({ expires_at: null, revoked_at: '2026-10-01T00:00:00Z' }, now), 'revoked');
+    assert.equal(shareLinkStatus({ expires_at: '2026-10-01T00:00:00Z', revoked_at: '2026-09-01T00:00:00Z' }, now), 'revoked');
+});
+
+const game = {
+    id: 'g1', team_id: 't1', opponent: 'Rival', game_date: '2026-10-10', total_sets: 3,
+    total_kills: 40, kill_attempts: 110, attack_errors: 15, service_aces: 5, service_errors: 8,
+    reception_errors: 6, solo_blocks: 2, block_assists: 8, digs: 50, analysis_data: null
+};
+
+// Just enough of the Supabase client for the report handler, filtering rows on eq()
+function fakeSupabase(links) {
+    const tables = { share_links: links, teams: [{ id: 't1', name: 'Eagles' }], games: [game], game_players: [], game_sets: [] };
+    const viewed = [];
+    return {
+        viewed,
+        from(table) {
+            const filters = [];
+            const rows = () => tables[table].filter(row => filters.every(([column, value]) => row[column] === value));
+            const builder = {
+                select: () => builder,
+                eq(column, value) {
+                    filters.push([column, value]);
+                    return builder;
+                },
+                order: () => builder,
+                maybeSingle: async () => ({ data: rows()[0] || null, error: null }),
+                single: async () => ({ data: rows()[0], error: null }),
+                update: (values) => ({
+                    eq: async (column, value) => {
+                        viewed.push(value);
+                        Object.assign(tables[table].find(row => row[column] === value), values);
+                        return { error: null };
+                    }
+                }),
+                then: (resolve) => resolve({ data: rows(), error: null })
+            };
+            return builder;
+        }
+    };
+}
+
+const link = (token, extra = {}) => ({ id: `l-${token}`, token, team_id: 't1', kind: 'game', game_id: 'g1', expires_at: null, revoked_at: null, ...extra });
+
+async function open(supabase, token) {
+    const res = {
+        statusCode: 200,
+        headers: {},
+        setHeader(name, value) { this.headers[name] = value; },
+        status(code) { this.statusCode = code; return this; },
+        send(value) { this.body = value; return this; },
+        json(value) { this.body = value; return this; }
+    };
+    await createReportHandler({ getClient: () => supabase })({ method: 'GET', query: { token } }, res);
+    return res;
+}
+
+test('an active link serves the report and records the view', async () => {
+    const supabase = fakeSupabase([link('live', { expires_at: '2099-01-01T00:00:00Z' })]);
+    const res = await open(supabase, 'live');
+
+    assert.equal(res.statusCode, 200);
+    assert.match(res.body, /Eagles/);
+    assert.match(res.body, /Rival/);
+    assert.equal(res.headers['Cache-Control'], 'no-store');
+    assert.deepEqual(supabase.viewed, ['l-live']);
+});
+
+test('unknown, revoked and expired links all get the same unavailable page', async () => {
+    const supabase = fakeSupabase([
+        link('revoked', { revoked_at: '2026-10-01T00:00:00Z' }),
+        link('expired', { expires_at: '2026-10-01T00:00:00Z' })
+    ]);
+
+    const unknown = await open(supabase, 'nope');
+    for (const token of ['revoked', 'expired']) {
+        const res = await open(supabase, token);
+        assert.equal(res.statusCode, unknown.statusCode);
+        assert.equal(res.body, unknown.body);
+    }
+    assert.equal(unknown.statusCode, 404);
+    assert.deepEqual(supabase.viewed, []);
+});
+
+test('revoking a link takes its report down', async () => {
+    const supabase = fakeSupabase([link('live')]);
+    assert.equal((await open(supabase, 'live')).statusCode, 200);
+
+    await revokeShareLink(supabase, 'l-live');
+
+    assert.equal((await open(supabase, 'live')).statusCode, 404);
+});
@@ -0,0 +1,112 @@
+// Syncing queued offline games: duplicates, conflicts and refusals. Run with: node --test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createQueueEntry, sameGameStats, syncEntry, resolveEntry, queueSummary, isNetworkError } = require('../sync.js');
+
+// saveGame tells the team's webhooks through /api/game-webhook; there's no server here
+globalThis.fetch = async () => ({ ok: true });
+
+const stats = {
+    opponent: 'Ohio St.', gameDate: '2026-10-10', totalSets: 3,
+    totalKills: 40, killAttempts: 110, attackErrors: 12, serviceAces: 5, serviceErrors: 7,
+    receptionErrors: 6, soloBlocks: 2, blockAssists: 8, digs: 50
+};
+
+// The same match as saved from another device
+const savedRow = {
+    id: 'g1', team_id: 't1', game_date: '2026-10-10', opponent: 'Ohio State', total_sets: 3,
+    total_kills: 40, kill_attempts: 110, attack_errors: 12, service_aces: 5, service_errors: 7,
+    reception_errors: 6, solo_blocks: 2, block_assists: 8, digs: 50
+};
+
+// Just enough of the Supabase client for the same-day check and saveGame; options.fail makes
+// every query answer with that error
+function fakeClient(tables, options = {}) {
+    const saved = [];
+    return {
+        saved,
+        auth: { getSession: async () => ({ data: { session: { user: { id: 'u1', email: 'coach@example.com', user_metadata: {} } } } }) },
+        from(table) {
+            const filters = [];
+            let inserted = null;
+            const builder = {
+                select: () => builder,
+                eq(column, value) {
+                    filters.push([column, value]);
+                    return builder;
+                },
+                insert(rows) {
+                    inserted = { id: `${table}-new`, ...rows[0] };
+                    return builder;
+                },
+                single: () => builder,
+                then(resolve) {
+                    if (options.fail) return resolve({ data: null, error: options.fail });
+                    if (inserted) return resolve({ data: inserted, error: null });
+                    const rows = (tables[table] || []).filter(row => filters.every(([column, value]) => row[column] === value));
+                    return resolve({ data: rows, error: null });
+                }
+            };
+            return builder;
+        },
+        async rpc(name, args) {
+            assert.equal(name, 'save_game');
+            if (options.refuseSave) return { data: null, error: options.refuseSave };
+            saved.push(args.game);
+            return { data: { id: 'g2', ...args.game }, error: null };
+        }
+    };
+}
+
+const entry = () => createQueueEntry(stats, {}, { id: 't1', name: 'Varsity' }, new Date('2026-10-10T20:00:00Z'));
+
+test('sameGameStats matches the opponent by name and every team count', () => {
+    assert.equal(sameGameStats(stats, { ...stats, opponent: 'ohio state' }), true);
+    assert.equal(sameGameStats(stats, { ...stats, digs: 51 }), false);
+    assert.equal(sameGameStats(stats, { ...stats, gameDate: '2026-10-11' }), false);
+});
+
+test('a game that is already saved is marked synced and not saved again', async () => {
+    const client = fakeClient({ games: [savedRow] });
+    const result = await syncEntry(client, entry());
+
+    assert.equal(result.status, 'synced');
+    assert.equal(result.gameId, 'g1');
+    assert.equal(client.saved.length, 0);
+});
+
+test('a different stat line for the same match is held as a conflict', async () => {
+    const client = fakeClient({ games: [{ ...savedRow, digs: 51, updated_by_name: 'Sam' }] });
+    const result = await syncEntry(client, entry());
+
+    assert.equal(result.status, 'conflict');
+    assert.equal(result.conflictGameId, 'g1');
+    assert.equal(result.message, 'A different stat line for Ohio State on 2026-10-10 is already saved by Sam');
+    assert.equal(client.saved.length, 0);
+    assert.deepEqual(queueSummary([result, entry()]), { total: 2, pending: 1, conflict: 1, failed: 0 });
+
+    // Keeping both saves the queued line as another game; discarding drops it
+    const kept = await syncEntry(client, resolveEntry(result, 'keep_both'));
+    assert.equal(kept.status, 'synced');
+    assert.equal(kept.gameId, 'g2');
+    assert.equal(client.saved[0].digs, 50);
+    assert.equal(resolveEntry(result, 'discard'), null);
+});
+
+test('a game against another opponent on the same day is saved', async () => {
+    const client = fakeClient({ games: [{ ...savedRow, opponent: 'Michigan' }], seasons: [], opponents: [], players: [] });
+    const result = await syncEntry(client, entry());
+
+    assert.equal(result.status, 'synced');
+    assert.equal(client.saved.length, 1);
+});
+
+test('no connection is thrown for a later retry; a refusal fails the entry', async () => {
+    const offline = fakeClient({}, { fail: { message: 'TypeError: Failed to fetch' } });
+    await assert.rejects(syncEntry(offline, entry()), error => isNetworkError(error));
+
+    const refused = fakeClient({ games: [], seasons: [], opponents: [], players: [] }, { refuseSave: { code: '42501', message: 'new row violates row-level security policy' } });
+    const result = await syncEntry(refused, entry());
+    assert.equal(result.status, 'failed');
+    assert.equal(result.message, 'You no longer have edit access to Varsity');
+});
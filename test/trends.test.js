@@ -0,0 +1,70 @@
+// Trend tests: Welch's t-test and the Holm correction across metrics. Run with: node --test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { welchTest, holmAdjust, compareMetric, trendIndicators, SIGNIFICANCE_LEVEL } = require('../trends.js');
+
+function close(actual, expected, tolerance = 1e-9) {
+    assert.ok(Math.abs(actual - expected) < tolerance, `${actual} is not ${expected}`);
+}
+
+test('welchTest matches the t distribution for groups with different spreads', () => {
+    // Reference p from integrating the t density with df = 5.882
+    const result = welchTest([1, 2, 3, 4, 5], [2, 4, 6, 8, 10]);
+    close(result.t, -3 / Math.sqrt(2.5));
+    close(result.df, 6.25 / 1.0625);
+    close(result.p, 0.1075311949, 1e-8);
+
+    // The test is two-sided, so the order of the groups only flips the sign of t
+    const flipped = welchTest([2, 4, 6, 8, 10], [1, 2, 3, 4, 5]);
+    close(flipped.t, -result.t);
+    close(flipped.p, result.p);
+});
+
+test('welchTest needs two values a side and treats spread-free groups as exact', () => {
+    assert.equal(welchTest([1], [2, 3]), null);
+    assert.deepEqual(welchTest([4, 4, 4], [4, 4]), { t: null, df: null, p: 1 });
+    assert.deepEqual(welchTest([4, 4, 4], [5, 5]), { t: null, df: null, p: 0 });
+});
+
+test('holmAdjust steps the p-values down and never lets one fall below the one before', () => {
+    const metrics = ['digsPerSet', 'acesPerSet', 'killsPerSet', 'hittingPercentage'];
+    const comparisons = [0.04, 0.01, null, 0.03].map((p, index) => ({ metric: metrics[index], change: 1, p, pAdjusted: p }));
+
+    holmAdjust(comparisons);
+
+    // Three tested: 0.01 x 3, 0.03 x 2, then 0.04 x 1 held up at 0.06
+    close(comparisons[1].pAdjusted, 0.03);
+    close(comparisons[3].pAdjusted, 0.06);
+    close(comparisons[0].pAdjusted, 0.06);
+    assert.equal(comparisons[2].pAdjusted, null);
+    assert.deepEqual([0, 1, 3].map(index => comparisons[index].significant), [false, true, false]);
+});
+
+function game(day, digs) {
+    return {
+        opponent: `Rival ${day}`, gameDate: `2025-10-${String(day).padStart(2, '0')}`, totalSets: 3,
+        totalKills: 40, killAttempts: 110, attackErrors: 15, serviceAces: 5, serviceErrors: 8,
+        receptionErrors: 6, soloBlocks: 2, blockAssists: 8, digs
+    };
+}
+
+test('a clear change in the last games is improving; small wobbles are noise', () => {
+    const earlier = [40, 42, 41, 39, 40, 41, 42, 40].map((digs, index) => game(index + 1, digs));
+    const recent = [60, 62, 61, 59, 60].map((digs, index) => game(index + 20, digs));
+
+    const indicators = trendIndicators(earlier.concat(recent), 5);
+    const digs = indicators.find(indicator => indicator.metric === 'digsPerSet');
+    assert.equal(digs.status, 'improving');
+    assert.ok(digs.pAdjusted < SIGNIFICANCE_LEVEL);
+    assert.ok(digs.pAdjusted >= digs.p);
+
+    // Every other count is the same in every game: nothing else changed
+    assert.equal(indicators.find(indicator => indicator.metric === 'acesPerSet').status, 'noise');
+});
+
+test('compareMetric leaves groups that are too small untested', () => {
+    const result = compareMetric([game(1, 40), game(2, 41)], [game(3, 60), game(4, 61)], 'digsPerSet');
+    assert.equal(result.p, null);
+    assert.equal(result.significant, false);
+    assert.equal(result.better, null);
+});
@@ -0,0 +1,55 @@
+// Webhook delivery refuses receivers that aren't on the public internet. Run with: node --test
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { isPublicAddress, deliverGameEvent } from '../api/_lib/webhooks.js';
+
+test('isPublicAddress refuses private, loopback, link-local and reserved addresses', () => {
+    for (const address of [
+        '10.1.2.3', '127.0.0.1', '169.254.169.254', '172.16.0.1', '192.168.1.10', '100.64.0.1', '0.0.0.0',
+        '::1', '::', 'fd00::1', 'fe80::1', '::ffff:10.0.0.1', '::ffff:127.0.0.1', '64:ff9b::a00:1', 'not an address'
+    ]) {
+        assert.equal(isPublicAddress(address), false, address);
+    }
+    for (const address of ['93.184.216.34', '8.8.8.8', '2606:4700:4700::1111']) {
+        assert.equal(isPublicAddress(address), true, address);
+    }
+});
+
+// Just enough of the Supabase query builder for deliverGameEvent
+function fakeSupabase(webhooks, updates) {
+    const query = (table) => {
+        const builder = {
+            select: () => builder,
+            eq: () => builder,
+            contains: () => builder,
+            single: async () => ({ data: { name: 'Varsity' }, error: null }),
+            update: (values) => {
+                updates.push(values);
+                return { eq: async () => ({ error: null }) };
+            },
+            then: (resolve) => resolve({ data: table === 'webhooks' ? webhooks : null, error: null })
+        };
+        return builder;
+    };
+    return { from: query };
+}
+
+test('deliverGameEvent records blocked receivers instead of posting to them', async () => {
+    const webhooks = ['https://127.0.0.1/hook', 'https://[::1]/hook', 'https://localhost/hook', 'https://169.254.169.254/latest']
+        .map((url, index) => ({ id: String(index), url, secret: 'secret', events: ['game.created'], active: true }));
+    const updates = [];
+    const row = {
+        id: 'g1', team_id: 't1', season_id: 's1', opponent: 'Rival', game_date: '2026-10-10', total_sets: 3,
+        total_kills: 40, kill_attempts: 110, attack_errors: 15, service_aces: 5, service_errors: 8,
+        reception_errors: 6, solo_blocks: 2, block_assists: 8, digs: 50, analysis_data: null
+    };
+
+    const delivered = await deliverGameEvent(fakeSupabase(webhooks, updates), row, 'game.created');
+
+    assert.equal(delivered, 0);
+    assert.equal(updates.length, webhooks.length);
+    updates.forEach(update => {
+        assert.equal(update.last_status, null);
+        assert.match(update.last_error, /not a public address/);
+    });
+});
@@ -0,0 +1,70 @@
+// What-if scenarios and stat trade-offs through the odds ratios. Run with: node --test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    applyChanges, cleanChanges, simulateScenario, changeLogOdds, tradeOff, describeTradeOff,
+    describeChanges, saveScenario, loadScenarios, deleteScenario
+} = require('../whatif.js');
+const { ODDS_RATIOS } = require('../analysis.js');
+
+const game = {
+    opponent: 'Rival', gameDate: '2025-10-01', totalSets: 3, benchmarkProfile: 'ncaa_d1_men',
+    totalKills: 40, killAttempts: 110, attackErrors: 15, serviceAces: 5, serviceErrors: 8,
+    receptionErrors: 6, soloBlocks: 2, blockAssists: 8, digs: 50,
+    players: [{ name: 'Ana Peña', totalKills: 40 }]
+};
+
+test('applyChanges edits the team line only, never below zero', () => {
+    const line = applyChanges(game, { serviceAces: 2, receptionErrors: -10, totalSets: 2, players: 1 });
+    assert.equal(line.serviceAces, 7);
+    assert.equal(line.receptionErrors, 0);
+    assert.equal(line.totalSets, 3);
+    assert.equal(line.players, undefined);
+});
+
+test('cleanChanges keeps only real changes to model stats', () => {
+    assert.deepEqual(cleanChanges({ serviceAces: '2', digs: 0, opponent: 'X', receptionErrors: -1 }), { serviceAces: 2, receptionErrors: -1 });
+    assert.equal(describeChanges({ serviceAces: 2, serviceErrors: 3 }), '+2 Service Aces, +3 Service Errors');
+    assert.equal(describeChanges({}), 'No changes');
+});
+
+test('simulateScenario reports the change in win probability and the new priorities', () => {
+    const result = simulateScenario(game, { receptionErrors: -4 });
+
+    assert.ok(result.change > 0);
+    assert.ok(Math.abs(result.change - (result.scenario.winProbability.percent - result.base.winProbability.percent)) < 1e-9);
+    assert.equal(result.priorities.length, Object.keys(result.scenario.impacts).length);
+    assert.equal(simulateScenario(game, {}).change, 0);
+});
+
+test('trade-offs price one stat in another through the odds ratios', () => {
+    const killLogOdds = Math.log(ODDS_RATIOS.kills) + Math.log(ODDS_RATIOS.attempts);
+    assert.ok(Math.abs(changeLogOdds({ totalKills: 1, killAttempts: 1 }, ODDS_RATIOS) - killLogOdds) < 1e-12);
+
+    const aceForKills = tradeOff('kill', 'serviceAce', ODDS_RATIOS);
+    assert.ok(Math.abs(aceForKills.exchange - Math.log(ODDS_RATIOS.serviceAces) / killLogOdds) < 1e-12);
+    assert.equal(aceForKills.offsets, false);
+
+    const errorForAce = tradeOff('serviceAce', 'receptionError', ODDS_RATIOS);
+    assert.equal(errorForAce.offsets, true);
+    assert.match(describeTradeOff(errorForAce), /^One Reception Error cancels out|^One Service Ace makes up for/);
+});
+
+test('saved scenarios are replaced by name and can be deleted', () => {
+    const stored = {};
+    globalThis.localStorage = {
+        getItem: key => (key in stored ? stored[key] : null),
+        setItem: (key, value) => { stored[key] = value; }
+    };
+
+    try {
+        saveScenario('Cleaner passing', { receptionErrors: -2 });
+        const replaced = saveScenario(' Cleaner passing ', { receptionErrors: -3, digs: 0 });
+        assert.deepEqual(loadScenarios().map(scenario => [scenario.name, scenario.changes]), [['Cleaner passing', { receptionErrors: -3 }]]);
+
+        deleteScenario(replaced.id);
+        assert.deepEqual(loadScenarios(), []);
+    } finally {
+        delete globalThis.localStorage;
+    }
+});
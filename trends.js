@@ -0,0 +1,334 @@
+/**
+ * StatCoach Volleyball - Trends Module
+ * Rolling windows and filters over the saved games, any metric (or the predicted
+ * win probability) game by game, and a test of whether a recent change is bigger
+ * than the game-to-game noise. Splits compare early and late season, home and away.
+ */
+
+// analysis.js and goals.js are loaded first on the page; under Node pull them in directly
+const trendsAnalysis = typeof module !== 'undefined' && module.exports
+    ? require('./analysis.js')
+    : { analyzeGame };
+const trendsGoals = typeof module !== 'undefined' && module.exports
+    ? require('./goals.js')
+    : { GOAL_METRICS, formatGoalValue };
+
+// Rolling windows the dashboard offers; null is every game the filters let through
+const TREND_WINDOWS = {
+    all: { label: 'All games', games: null },
+    last3: { label: 'Last 3 games', games: 3 },
+    last5: { label: 'Last 5 games', games: 5 },
+    last10: { label: 'Last 10 games', games: 10 }
+};
+
+// Metrics the chart and trend indicators can show: the predicted win probability plus every goal metric
+// value(stats, options) returns null when the metric can't be worked out for a game
+const TREND_METRICS = {
+    winProbability: {
+        label: 'Predicted Win Probability',
+        unit: '%',
+        lower: false,
+        value: (stats, options = {}) => trendsAnalysis.analyzeGame(stats, options.profileId, options.teamModel).winProbability.percent
+    },
+    ...trendsGoals.GOAL_METRICS
+};
+
+// With "All games" selected, recent form is judged on this many games
+const DEFAULT_RECENT_GAMES = 5;
+
+// Each side of a comparison needs this many games before it's tested
+const MIN_COMPARISON_GAMES = 3;
+
+// A change counts as real rather than noise below this p-value, after the Holm correction
+// across every metric tested together (holmAdjust)
+const SIGNIFICANCE_LEVEL = 0.05;
+
+function average(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+function sampleVariance(values) {
+    const mean = average(values);
+    return values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1);
+}
+
+function byDate(a, b) {
+    return new Date(a.gameDate) - new Date(b.gameDate);
+}
+
+/**
+ * Games matching { from, to, location }, oldest first
+ * games are stats objects; empty filter values let everything through
+ */
+function filterGames(games, filters = {}) {
+    return games
+        .filter(stats => stats.gameDate)
+        .filter(stats => !filters.from || stats.gameDate >= filters.from)
+        .filter(stats => !filters.to || stats.gameDate <= filters.to)
+        .filter(stats => !filters.location || stats.location === filters.location)
+        .sort(byDate);
+}
+
+/**
+ * The most recent games in a window (a TREND_WINDOWS key), oldest first
+ */
+function windowGames(games, windowId) {
+    const size = (TREND_WINDOWS[windowId] || TREND_WINDOWS.all).games;
+    const sorted = games.slice().sort(byDate);
+    return size ? sorted.slice(-size) : sorted;
+}
+
+/**
+ * A metric's per-game values, oldest first, skipping games where it can't be worked out
+ */
+function metricValues(games, metric, options = {}) {
+    return games
+        .slice()
+        .sort(byDate)
+        .map(stats => ({ gameDate: stats.gameDate, opponent: stats.opponent, value: TREND_METRICS[metric].value(stats, options) }))
+        .filter(point => point.value !== null && point.value !== undefined && !isNaN(point.value));
+}
+
+/**
+ * The series for the trend chart: [{ gameDate, opponent, value, rolling }]
+ * rolling is the average of this game and the ones before it, null until there are enough games
+ */
+function trendSeries(games, metric, rollingGames, options = {}) {
+    const points = metricValues(games, metric, options);
+    return points.map((point, index) => ({
+        ...point,
+        rolling: index + 1 >= rollingGames
+            ? average(points.slice(index + 1 - rollingGames, index + 1).map(p => p.value))
+            : null
+    }));
+}
+
+// Lanczos approximation of ln Γ(x)
+function logGamma(x) {
+    const coefficients = [76.18009172947146, -86.50532032941677, 24.01409824083091,
+        -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+    let y = x;
+    const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+    let series = 1.000000000190015;
+    coefficients.forEach(coefficient => {
+        series += coefficient / ++y;
+    });
+    return -tmp + Math.log(2.5066282746310005 * series / x);
+}
+
+// Continued fraction for the incomplete beta function (Numerical Recipes betacf)
+function betaContinuedFraction(x, a, b) {
+    const tiny = 1e-30;
+    let c = 1;
+    let d = 1 - (a + b) * x / (a + 1);
+    if (Math.abs(d) < tiny) d = tiny;
+    d = 1 / d;
+    let h = d;
+
+    for (let m = 1; m <= 200; m++) {
+        const m2 = 2 * m;
+        let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+        d = 1 + aa * d;
+        if (Math.abs(d) < tiny) d = tiny;
+        c = 1 + aa / c;
+        if (Math.abs(c) < tiny) c = tiny;
+        d = 1 / d;
+        h *= d * c;
+
+        aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+        d = 1 + aa * d;
+        if (Math.abs(d) < tiny) d = tiny;
+        c = 1 + aa / c;
+        if (Math.abs(c) < tiny) c = tiny;
+        d = 1 / d;
+        const delta = d * c;
+        h *= delta;
+        if (Math.abs(delta - 1) < 1e-10) break;
+    }
+    return h;
+}
+
+// Regularized incomplete beta function I_x(a, b)
+function incompleteBeta(x, a, b) {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+    const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+    return x < (a + 1) / (a + b + 2)
+        ? front * betaContinuedFraction(x, a, b) / a
+        : 1 - front * betaContinuedFraction(1 - x, b, a) / b;
+}
+
+/**
+ * Welch's t-test for two groups of per-game values that may have different spreads
+ * Returns { t, df, p } with a two-sided p-value, or null when either group has fewer than two values
+ */
+function welchTest(a, b) {
+    if (a.length < 2 || b.length < 2) return null;
+
+    const varA = sampleVariance(a) / a.length;
+    const varB = sampleVariance(b) / b.length;
+    const difference = average(a) - average(b);
+    const se = Math.sqrt(varA + varB);
+
+    // No game-to-game spread at all (bar rounding): any difference is exact
+    if (se < 1e-9) {
+        return { t: null, df: null, p: Math.abs(difference) > 1e-9 ? 0 : 1 };
+    }
+
+    const t = difference / se;
+    const df = (varA + varB) ** 2 / (varA ** 2 / (a.length - 1) + varB ** 2 / (b.length - 1));
+    return { t, df, p: incompleteBeta(df / (df + t * t), df / 2, 0.5) };
+}
+
+// Judge a comparison on its adjusted p-value; better is the group the change favours
+function judgeComparison(result) {
+    result.significant = result.pAdjusted !== null && result.pAdjusted < SIGNIFICANCE_LEVEL;
+    result.better = result.significant
+        ? ((result.change < 0) === TREND_METRICS[result.metric].lower ? 'b' : 'a')
+        : null;
+    return result;
+}
+
+/**
+ * Compare two groups of games on one metric
+ * Returns { metric, label, a, b, change (b - a), p, pAdjusted, significant, better } where better is
+ * 'a', 'b' or null - null when the groups are too small to test or the difference is within the noise.
+ * On its own pAdjusted is p; holmAdjust corrects it when several metrics are compared at once.
+ */
+function compareMetric(groupA, groupB, metric, options = {}) {
+    const definition = TREND_METRICS[metric];
+    const a = metricValues(groupA, metric, options).map(point => point.value);
+    const b = metricValues(groupB, metric, options).map(point => point.value);
+    const result = {
+        metric,
+        label: definition.label,
+        a: average(a),
+        b: average(b),
+        gamesA: a.length,
+        gamesB: b.length,
+        change: a.length > 0 && b.length > 0 ? average(b) - average(a) : null,
+        p: null,
+        pAdjusted: null,
+        significant: false,
+        better: null
+    };
+    if (a.length < MIN_COMPARISON_GAMES || b.length < MIN_COMPARISON_GAMES) return result;
+
+    result.p = welchTest(b, a).p;
+    result.pAdjusted = result.p;
+    return judgeComparison(result);
+}
+
+/**
+ * Holm's step-down correction over comparisons made together. With 15 metrics tested at 0.05, one
+ * or more would look significant by chance in most seasons; Holm keeps that to 1 in 20 overall.
+ * The k-th smallest of m p-values is multiplied by m - k + 1 and never falls below the one before.
+ */
+function holmAdjust(comparisons) {
+    const tested = comparisons.filter(result => result.p !== null).sort((x, y) => x.p - y.p);
+    let adjusted = 0;
+    tested.forEach((result, index) => {
+        adjusted = Math.max(adjusted, Math.min(1, result.p * (tested.length - index)));
+        result.pAdjusted = adjusted;
+        judgeComparison(result);
+    });
+    return comparisons;
+}
+
+/**
+ * Recent form against everything before it, for every trend metric
+ * Returns [{ ...compareMetric, status }] where status is 'improving', 'declining', 'noise' or 'not_enough';
+ * a is the earlier games and b the last recentGames
+ */
+function trendIndicators(games, recentGames = DEFAULT_RECENT_GAMES, options = {}) {
+    const sorted = games.slice().sort(byDate);
+    const recent = sorted.slice(-recentGames);
+    const earlier = sorted.slice(0, Math.max(0, sorted.length - recentGames));
+
+    const comparisons = holmAdjust(Object.keys(TREND_METRICS).map(metric => compareMetric(earlier, recent, metric, options)));
+
+    return comparisons.map(comparison => {
+        let status;
+        if (comparison.p === null) {
+            status = 'not_enough';
+        } else if (!comparison.significant) {
+            status = 'noise';
+        } else {
+            status = comparison.better === 'b' ? 'improving' : 'declining';
+        }
+        return { ...comparison, status };
+    });
+}
+
+/**
+ * The first and second half of the games by date; an odd game out goes to the second half
+ */
+function splitEarlyLate(games) {
+    const sorted = games.slice().sort(byDate);
+    const half = Math.floor(sorted.length / 2);
+    return { early: sorted.slice(0, half), late: sorted.slice(half) };
+}
+
+/**
+ * Home and away games; neutral sites and games without a location are left out
+ */
+function splitHomeAway(games) {
+    return {
+        home: games.filter(stats => stats.location === 'home'),
+        away: games.filter(stats => stats.location === 'away')
+    };
+}
+
+/**
+ * Every trend metric compared between two groups of games, Holm-corrected together
+ */
+function compareGroups(groupA, groupB, options = {}) {
+    return holmAdjust(Object.keys(TREND_METRICS).map(metric => compareMetric(groupA, groupB, metric, options)));
+}
+
+/**
+ * A metric value with its unit; win probability as a whole percentage
+ */
+function formatTrendValue(metric, value) {
+    if (value === null || value === undefined) return '--';
+    if (metric === 'winProbability') return `${value.toFixed(0)}%`;
+    return trendsGoals.formatGoalValue(metric, value);
+}
+
+/**
+ * A difference with its sign: "+3.2%", "-0.4/set", "+.021"
+ */
+function formatTrendChange(metric, change) {
+    if (change === null || change === undefined) return '--';
+    return `${change >= 0 ? '+' : '-'}${formatTrendValue(metric, Math.abs(change))}`;
+}
+
+function formatPValue(p) {
+    if (p === null || p === undefined) return '';
+    return p < 0.001 ? 'p < 0.001' : `p = ${p.toFixed(3)}`;
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TREND_WINDOWS,
+        TREND_METRICS,
+        DEFAULT_RECENT_GAMES,
+        MIN_COMPARISON_GAMES,
+        SIGNIFICANCE_LEVEL,
+        filterGames,
+        windowGames,
+        metricValues,
+        trendSeries,
+        welchTest,
+        compareMetric,
+        holmAdjust,
+        trendIndicators,
+        splitEarlyLate,
+        splitHomeAway,
+        compareGroups,
+        formatTrendValue,
+        formatTrendChange,
+        formatPValue
+    };
+}
@@ -0,0 +1,298 @@
+/**
+ * StatCoach Volleyball - What-If Panel
+ * The what-if simulator shared by the entry form, the game detail page and the
+ * dashboard. The page gives it a container and the stat lines to start from;
+ * everything else (inputs, results, trade-offs, saved scenarios) lives here.
+ * Pages include the .whatif-* CSS.
+ */
+
+let whatIf = null;
+
+/**
+ * Show the simulator in a container
+ * bases are [{ id, label, stats }] - a real game or the season average line;
+ * options are { profileId, teamModel } as passed to analyzeGame
+ */
+function mountWhatIf(containerId, bases, options = {}) {
+    const previous = whatIf && whatIf.containerId === containerId ? whatIf : null;
+    const base = (previous && bases.find(item => item.id === previous.base.id)) || bases[0];
+
+    // Re-mounting after a profile or model change keeps the coach's edits
+    whatIf = {
+        containerId,
+        bases,
+        base,
+        changes: previous ? previous.changes : {},
+        mode: previous ? previous.mode : 'adjust',
+        tradeUnit: previous ? previous.tradeUnit : 'serviceAce',
+        profileId: options.profileId,
+        teamModel: options.teamModel || null
+    };
+
+    const container = document.getElementById(containerId);
+    container.innerHTML = `
+        <div class="whatif-header">
+            <div>
+                <h3>What-If Simulator</h3>
+                <p class="whatif-detail">Change the stat line to see how the predicted win probability and the priorities move</p>
+            </div>
+            <div class="whatif-controls">
+                ${bases.length > 1 ? `
+                    <select class="whatif-select" onchange="selectWhatIfBase(this.value)" title="Start from">
+                        ${bases.map(item => `<option value="${item.id}" ${item.id === base.id ? 'selected' : ''}>${item.label}</option>`).join('')}
+                    </select>
+                ` : ''}
+                <div class="whatif-tabs">
+                    <button type="button" class="whatif-tab" data-mode="adjust" onclick="setWhatIfMode('adjust')">Adjust Stats</button>
+                    <button type="button" class="whatif-tab" data-mode="tradeoff" onclick="setWhatIfMode('tradeoff')">Trade-Offs</button>
+                </div>
+            </div>
+        </div>
+        <div id="whatIfBody"></div>
+    `;
+    container.classList.remove('hidden');
+    renderWhatIfBody();
+}
+
+function selectWhatIfBase(id) {
+    whatIf.base = whatIf.bases.find(item => String(item.id) === String(id)) || whatIf.bases[0];
+    renderWhatIfBody();
+}
+
+function setWhatIfMode(mode) {
+    whatIf.mode = mode;
+    renderWhatIfBody();
+}
+
+function renderWhatIfBody() {
+    document.querySelectorAll(`#${whatIf.containerId} .whatif-tab`).forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.mode === whatIf.mode);
+    });
+
+    const body = document.getElementById('whatIfBody');
+    if (whatIf.mode === 'tradeoff') {
+        body.innerHTML = '<div id="whatIfTradeOffs"></div>';
+        renderWhatIfTradeOffs();
+        return;
+    }
+
+    const line = teamLine(whatIf.base.stats);
+    body.innerHTML = `
+        <div class="whatif-layout">
+            <div class="whatif-inputs">
+                ${Object.keys(WHATIF_FIELD_LABELS).map(field => {
+                    const change = whatIf.changes[field] || 0;
+                    const range = Math.max(10, Math.ceil(line[field] * 0.5));
+                    return `
+                        <div class="whatif-row">
+                            <label for="whatif-value-${field}">${WHATIF_FIELD_LABELS[field]}</label>
+                            <input type="range" id="whatif-range-${field}" min="${-Math.floor(line[field])}" max="${range}" step="1" value="${change}"
+                                oninput="changeWhatIfStat('${field}', this.value)">
+                            <input type="number" class="whatif-number" id="whatif-value-${field}" min="0" step="1" value="${formatWhatIfValue(line[field] + change)}"
+                                onchange="setWhatIfStat('${field}', this.value)">
+                            <span class="whatif-delta" id="whatif-delta-${field}"></span>
+                        </div>
+                    `;
+                }).join('')}
+                <div class="whatif-actions">
+                    <button type="button" class="btn btn-secondary" onclick="resetWhatIf()">Reset</button>
+                    <input type="text" class="whatif-name" id="whatIfName" placeholder="Scenario name">
+                    <button type="button" class="btn" onclick="saveWhatIfScenario()">Save Scenario</button>
+                </div>
+            </div>
+            <div id="whatIfResult"></div>
+        </div>
+        <div class="whatif-saved" id="whatIfSaved"></div>
+    `;
+    renderWhatIfResult();
+    renderWhatIfScenarios();
+}
+
+function formatWhatIfValue(value) {
+    return Number.isInteger(value) ? value : value.toFixed(1);
+}
+
+/**
+ * Slider moved: the change from the base line
+ */
+function changeWhatIfStat(field, change) {
+    whatIf.changes[field] = Number(change) || 0;
+    const value = teamLine(whatIf.base.stats)[field] + whatIf.changes[field];
+    document.getElementById(`whatif-value-${field}`).value = formatWhatIfValue(Math.max(0, value));
+    renderWhatIfResult();
+}
+
+/**
+ * Number typed: the new value, stored as a change so the scenario replays on other games
+ */
+function setWhatIfStat(field, value) {
+    const base = teamLine(whatIf.base.stats)[field];
+    const target = Math.max(0, Number(value) || 0);
+    whatIf.changes[field] = Math.round((target - base) * 10) / 10;
+    document.getElementById(`whatif-range-${field}`).value = whatIf.changes[field];
+    renderWhatIfResult();
+}
+
+function resetWhatIf() {
+    whatIf.changes = {};
+    renderWhatIfBody();
+}
+
+function renderWhatIfResult() {
+    const result = simulateScenario(whatIf.base.stats, whatIf.changes, whatIf.profileId, whatIf.teamModel);
+
+    Object.keys(WHATIF_FIELD_LABELS).forEach(field => {
+        const change = result.changes[field] || 0;
+        const delta = document.getElementById(`whatif-delta-${field}`);
+        delta.textContent = change ? `${change > 0 ? '+' : ''}${formatWhatIfValue(change)}` : '';
+    });
+
+    const before = result.base.winProbability.percent;
+    const after = result.scenario.winProbability.percent;
+    const changeClass = result.change >= 0 ? 'whatif-positive' : 'whatif-negative';
+
+    document.getElementById('whatIfResult').innerHTML = `
+        <div class="whatif-probability">
+            <div class="whatif-probability-label">Predicted Win Probability${result.scenario.winProbability.source === 'team' ? ' · team model' : ''}</div>
+            <div class="whatif-probability-value">
+                ${before.toFixed(0)}% → ${after.toFixed(0)}%
+                <span class="${changeClass}">${result.change >= 0 ? '+' : ''}${result.change.toFixed(1)} pts</span>
+            </div>
+            <div class="whatif-bar">
+                <div class="whatif-bar-fill" style="width: ${after.toFixed(1)}%"></div>
+            </div>
+            <p class="whatif-detail">${describeChanges(result.changes)}</p>
+        </div>
+        <table class="whatif-table">
+            <thead>
+                <tr>
+                    <th>Priority</th>
+                    <th>Metric</th>
+                    <th>Impact</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${result.priorities.map(item => {
+                    const moved = item.baseRank && item.baseRank !== item.rank
+                        ? `<span class="whatif-move">${item.baseRank > item.rank ? '▲' : '▼'} from ${item.baseRank}</span>`
+                        : '';
+                    const impactClass = item.impact >= 0 ? 'whatif-positive' : 'whatif-negative';
+                    return `
+                        <tr>
+                            <td>${item.rank} ${moved}</td>
+                            <td>${formatMetricName(item.metric)}</td>
+                            <td>
+                                ${Math.abs(item.impact - item.baseImpact) >= 0.05 ? `<span class="whatif-before">${item.baseImpact >= 0 ? '+' : ''}${item.baseImpact.toFixed(1)} →</span>` : ''}
+                                <span class="${impactClass}">${item.impact >= 0 ? '+' : ''}${item.impact.toFixed(1)}</span>
+                            </td>
+                        </tr>
+                    `;
+                }).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+function renderWhatIfScenarios() {
+    const container = document.getElementById('whatIfSaved');
+    const scenarios = loadScenarios();
+    if (scenarios.length === 0) {
+        container.innerHTML = '<p class="whatif-detail">Saved scenarios appear here and can be replayed on any game.</p>';
+        return;
+    }
+
+    container.innerHTML = `
+        <h4>Saved Scenarios</h4>
+        ${scenarios.map(scenario => {
+            const result = simulateScenario(whatIf.base.stats, scenario.changes, whatIf.profileId, whatIf.teamModel);
+            return `
+                <div class="whatif-scenario">
+                    <div>
+                        <strong>${escapeHtml(scenario.name)}</strong>
+                        <div class="whatif-detail">${describeChanges(scenario.changes)}</div>
+                    </div>
+                    <span class="${result.change >= 0 ? 'whatif-positive' : 'whatif-negative'}">${result.change >= 0 ? '+' : ''}${result.change.toFixed(1)} pts</span>
+                    <button type="button" class="btn btn-secondary" onclick="applyWhatIfScenario('${scenario.id}')">Apply</button>
+                    <button type="button" class="whatif-delete" onclick="deleteWhatIfScenario('${scenario.id}')" title="Delete scenario">✕</button>
+                </div>
+            `;
+        }).join('')}
+    `;
+}
+
+function saveWhatIfScenario() {
+    const nameInput = document.getElementById('whatIfName');
+    const changes = cleanChanges(whatIf.changes);
+    if (Object.keys(changes).length === 0) {
+        alert('Change at least one stat before saving a scenario.');
+        return;
+    }
+
+    saveScenario(nameInput.value.trim() || describeChanges(changes), changes);
+    nameInput.value = '';
+    renderWhatIfScenarios();
+}
+
+function applyWhatIfScenario(id) {
+    const scenario = loadScenarios().find(saved => saved.id === id);
+    if (!scenario) return;
+    whatIf.changes = { ...scenario.changes };
+    whatIf.mode = 'adjust';
+    renderWhatIfBody();
+}
+
+function deleteWhatIfScenario(id) {
+    deleteScenario(id);
+    renderWhatIfScenarios();
+}
+
+function setWhatIfTradeUnit(unit) {
+    whatIf.tradeUnit = unit;
+    renderWhatIfTradeOffs();
+}
+
+function renderWhatIfTradeOffs() {
+    const analysis = simulateScenario(whatIf.base.stats, {}, whatIf.profileId, whatIf.teamModel).base;
+    const oddsRatios = analysisOddsRatios(analysis);
+    const unit = whatIf.tradeUnit;
+    const rows = tradeOffTable(unit, oddsRatios);
+
+    // The current changes priced in the chosen unit, when there are any
+    const changes = cleanChanges(whatIf.changes);
+    const changeLogOddsValue = changeLogOdds(changes, oddsRatios);
+    const unitLogOdds = changeLogOdds(TRADE_UNITS[unit].stats, oddsRatios);
+    const scenarioWorth = Object.keys(changes).length > 0 && Math.abs(unitLogOdds) > 1e-9
+        ? `<p class="whatif-detail">Your current changes (${describeChanges(changes)}) are worth ${(changeLogOddsValue / unitLogOdds).toFixed(1)} × ${TRADE_UNITS[unit].label}.</p>`
+        : '';
+
+    document.getElementById('whatIfTradeOffs').innerHTML = `
+        <div class="whatif-tradeoff-header">
+            <label for="whatIfTradeUnit">Price everything in</label>
+            <select class="whatif-select" id="whatIfTradeUnit" onchange="setWhatIfTradeUnit(this.value)">
+                ${Object.entries(TRADE_UNITS).map(([id, item]) => `<option value="${id}" ${id === unit ? 'selected' : ''}>${item.label}</option>`).join('')}
+            </select>
+        </div>
+        ${scenarioWorth}
+        <table class="whatif-table">
+            <thead>
+                <tr>
+                    <th>Stat</th>
+                    <th>Log-Odds Each</th>
+                    <th>Worth in ${TRADE_UNITS[unit].label}</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody>
+                ${rows.map(trade => `
+                    <tr>
+                        <td>${TRADE_UNITS[trade.unitB].label}</td>
+                        <td class="${trade.logOddsB >= 0 ? 'whatif-positive' : 'whatif-negative'}">${trade.logOddsB >= 0 ? '+' : ''}${trade.logOddsB.toFixed(3)}</td>
+                        <td>${trade.exchange === null ? '—' : `${trade.exchange >= 0 ? '+' : ''}${trade.exchange.toFixed(2)}`}</td>
+                        <td class="whatif-detail">${describeTradeOff(trade)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        <p class="whatif-detail">Each event moves the log-odds of winning by ln(odds ratio), so one stat is worth ln(OR of that stat) / ln(OR of the other). ${analysis.winProbability.source === 'team' ? 'Odds ratios are from your team-calibrated model.' : 'Odds ratios are from the research model.'} A negative worth means the two pull in opposite directions.</p>
+    `;
+}
@@ -0,0 +1,276 @@
+/**
+ * StatCoach Volleyball - What-If Module
+ * Re-runs analyzeGame on an edited stat line to show how a change moves the
+ * predicted win probability and reorders the priorities, and prices one stat in
+ * another through the odds ratios. Scenarios are saved as stat changes rather
+ * than stat lines, so a saved scenario can be replayed on any game.
+ */
+
+// analysis.js is loaded first on the page; under Node pull it in directly
+const whatifAnalysis = typeof module !== 'undefined' && module.exports
+    ? require('./analysis.js')
+    : { analyzeGame, BOX_SCORE_FIELDS };
+
+// localStorage key for saved scenarios: [{ id, name, changes, createdAt }]
+const WHATIF_SCENARIOS_KEY = 'statcoach.whatifScenarios';
+
+// Labels for the stat inputs, in box score order
+const WHATIF_FIELD_LABELS = {
+    totalKills: 'Kills',
+    killAttempts: 'Attack Attempts',
+    attackErrors: 'Attack Errors',
+    serviceAces: 'Service Aces',
+    serviceErrors: 'Service Errors',
+    receptionErrors: 'Reception Errors',
+    digs: 'Digs',
+    soloBlocks: 'Solo Blocks',
+    blockAssists: 'Block Assists'
+};
+
+// Box score field -> win model metric
+const WHATIF_METRICS = {
+    totalKills: 'kills',
+    killAttempts: 'attempts',
+    attackErrors: 'errors',
+    serviceAces: 'serviceAces',
+    serviceErrors: 'serviceErrors',
+    receptionErrors: 'receptionErrors',
+    digs: 'digs',
+    soloBlocks: 'soloBlocks',
+    blockAssists: 'blockAssists'
+};
+
+// Units for trade-off mode, as the box score changes each one makes
+// A kill or attack error is also a swing, so it carries its attack attempt with it
+const TRADE_UNITS = {
+    kill:           { label: 'Kill (with its swing)',         stats: { totalKills: 1, killAttempts: 1 } },
+    attackError:    { label: 'Attack Error (with its swing)', stats: { attackErrors: 1, killAttempts: 1 } },
+    attackInPlay:   { label: 'Attack Kept in Play',           stats: { killAttempts: 1 } },
+    serviceAce:     { label: 'Service Ace',                   stats: { serviceAces: 1 } },
+    serviceError:   { label: 'Service Error',                 stats: { serviceErrors: 1 } },
+    receptionError: { label: 'Reception Error',               stats: { receptionErrors: 1 } },
+    dig:            { label: 'Dig',                           stats: { digs: 1 } },
+    soloBlock:      { label: 'Solo Block',                    stats: { soloBlocks: 1 } },
+    blockAssist:    { label: 'Block Assist',                  stats: { blockAssists: 1 } }
+};
+
+/**
+ * The team line a scenario is run on: box score totals and match length only
+ * Player and set rows are dropped, since a changed team total no longer adds up to them
+ */
+function teamLine(stats) {
+    const line = {
+        opponent: stats.opponent,
+        gameDate: stats.gameDate,
+        totalSets: Number(stats.totalSets) || 3,
+        benchmarkProfile: stats.benchmarkProfile
+    };
+    whatifAnalysis.BOX_SCORE_FIELDS.forEach(field => {
+        line[field] = Number(stats[field]) || 0;
+    });
+    return line;
+}
+
+/**
+ * Apply { field: change } to a stat line; no stat goes below zero
+ */
+function applyChanges(stats, changes) {
+    const line = teamLine(stats);
+    for (let field in changes) {
+        if (line[field] === undefined || field === 'totalSets') continue;
+        line[field] = Math.max(0, line[field] + (Number(changes[field]) || 0));
+    }
+    return line;
+}
+
+/**
+ * Only the fields that actually change, so saved scenarios stay small
+ */
+function cleanChanges(changes) {
+    const cleaned = {};
+    for (let field in changes) {
+        const change = Number(changes[field]) || 0;
+        if (WHATIF_METRICS[field] && change !== 0) {
+            cleaned[field] = change;
+        }
+    }
+    return cleaned;
+}
+
+/**
+ * Each metric's rank in the base and scenario priorities, scenario order first
+ * Rank 1 is the metric with the biggest impact either way, as in generateRecommendations
+ */
+function comparePriorities(base, scenario) {
+    const baseRanks = {};
+    base.recommendations.allImpacts.forEach(([metric], index) => {
+        baseRanks[metric] = index + 1;
+    });
+
+    return scenario.recommendations.allImpacts.map(([metric, data], index) => ({
+        metric,
+        impact: data.impact,
+        baseImpact: base.impacts[metric] ? base.impacts[metric].impact : 0,
+        rank: index + 1,
+        baseRank: baseRanks[metric] || null
+    }));
+}
+
+/**
+ * Run a base stat line and its changed version through the same analysis
+ * Returns { stats, changes, base, scenario, change, priorities } where change is in win probability points
+ */
+function simulateScenario(baseStats, changes, profileId = baseStats.benchmarkProfile, teamModel = null) {
+    const cleaned = cleanChanges(changes);
+    const stats = applyChanges(baseStats, cleaned);
+    const base = whatifAnalysis.analyzeGame(teamLine(baseStats), profileId, teamModel);
+    const scenario = whatifAnalysis.analyzeGame(stats, profileId, teamModel);
+
+    return {
+        stats,
+        changes: cleaned,
+        base,
+        scenario,
+        change: scenario.winProbability.percent - base.winProbability.percent,
+        priorities: comparePriorities(base, scenario)
+    };
+}
+
+/**
+ * The odds ratios an analysis used - the research ones, or the team's when the team model was in use
+ */
+function analysisOddsRatios(analysis) {
+    const oddsRatios = {};
+    for (let metric in analysis.impacts) {
+        oddsRatios[metric] = analysis.impacts[metric].oddsRatio;
+    }
+    return oddsRatios;
+}
+
+/**
+ * Log-odds of a set of box score changes: each event adds ln(odds ratio)
+ * Counts aren't scaled to the match length here; both sides of a trade scale the same way
+ */
+function changeLogOdds(changes, oddsRatios) {
+    let logOdds = 0;
+    for (let field in changes) {
+        const oddsRatio = oddsRatios[WHATIF_METRICS[field]];
+        if (oddsRatio) {
+            logOdds += (Number(changes[field]) || 0) * Math.log(oddsRatio);
+        }
+    }
+    return logOdds;
+}
+
+/**
+ * How many of unit A one of unit B is worth: ln(OR_B) / ln(OR_A)
+ * A negative exchange means they pull in opposite directions - one B cancels that many A.
+ * exchange is null when A has no effect in the model.
+ */
+function tradeOff(unitA, unitB, oddsRatios) {
+    const logOddsA = changeLogOdds(TRADE_UNITS[unitA].stats, oddsRatios);
+    const logOddsB = changeLogOdds(TRADE_UNITS[unitB].stats, oddsRatios);
+
+    return {
+        unitA,
+        unitB,
+        logOddsA,
+        logOddsB,
+        exchange: Math.abs(logOddsA) > 1e-9 ? logOddsB / logOddsA : null,
+        offsets: logOddsA * logOddsB < 0
+    };
+}
+
+/**
+ * Every trade unit priced in unit A, biggest effect first
+ */
+function tradeOffTable(unitA, oddsRatios) {
+    return Object.keys(TRADE_UNITS)
+        .filter(unit => unit !== unitA)
+        .map(unit => tradeOff(unitA, unit, oddsRatios))
+        .sort((a, b) => Math.abs(b.logOddsB) - Math.abs(a.logOddsB));
+}
+
+/**
+ * One trade-off as a sentence a coach can read off the screen
+ */
+function describeTradeOff(trade) {
+    const a = TRADE_UNITS[trade.unitA].label;
+    const b = TRADE_UNITS[trade.unitB].label;
+    if (trade.exchange === null) return `${a} has no effect in this model`;
+    if (Math.abs(trade.exchange) < 1e-6) return `${b} has no effect in this model`;
+
+    const count = Math.abs(trade.exchange);
+    if (trade.offsets) {
+        return count >= 1
+            ? `One ${b} cancels out ${count.toFixed(1)} × ${a}`
+            : `One ${a} makes up for ${(1 / count).toFixed(1)} × ${b}`;
+    }
+    return count >= 1
+        ? `One ${b} is worth ${count.toFixed(1)} × ${a}`
+        : `It takes ${(1 / count).toFixed(1)} × ${b} to equal one ${a}`;
+}
+
+/**
+ * Saved scenarios, newest first
+ */
+function loadScenarios() {
+    if (typeof localStorage === 'undefined') return [];
+    try {
+        const scenarios = JSON.parse(localStorage.getItem(WHATIF_SCENARIOS_KEY) || '[]');
+        return Array.isArray(scenarios) ? scenarios : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Save a named scenario; one with the same name is replaced
+ */
+function saveScenario(name, changes) {
+    const scenario = {
+        id: Date.now().toString(36),
+        name: String(name).trim(),
+        changes: cleanChanges(changes),
+        createdAt: new Date().toISOString()
+    };
+    const scenarios = [scenario].concat(loadScenarios().filter(saved => saved.name !== scenario.name));
+    localStorage.setItem(WHATIF_SCENARIOS_KEY, JSON.stringify(scenarios));
+    return scenario;
+}
+
+function deleteScenario(id) {
+    localStorage.setItem(WHATIF_SCENARIOS_KEY, JSON.stringify(loadScenarios().filter(saved => saved.id !== id)));
+}
+
+/**
+ * "+2 Service Aces, +3 Service Errors"
+ */
+function describeChanges(changes) {
+    const parts = Object.entries(cleanChanges(changes))
+        .map(([field, change]) => `${change > 0 ? '+' : ''}${change} ${WHATIF_FIELD_LABELS[field]}`);
+    return parts.length > 0 ? parts.join(', ') : 'No changes';
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        WHATIF_FIELD_LABELS,
+        WHATIF_METRICS,
+        TRADE_UNITS,
+        teamLine,
+        applyChanges,
+        cleanChanges,
+        comparePriorities,
+        simulateScenario,
+        analysisOddsRatios,
+        changeLogOdds,
+        tradeOff,
+        tradeOffTable,
+        describeTradeOff,
+        loadScenarios,
+        saveScenario,
+        deleteScenario,
+        describeChanges
+    };
+}